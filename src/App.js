@@ -1,90 +1,241 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import "./App.css";
-
-// Helper to safely convert strings (incl. with commas) into numbers
-function parseNumber(value) {
-  if (value === null || value === undefined) return 0;
-  const cleaned = String(value).replace(/,/g, "").trim();
-  const num = parseFloat(cleaned);
-  return isNaN(num) ? 0 : num;
-}
-
-// Format a string as a UK-style number with commas
-function formatNumberString(value) {
-  const num = parseNumber(value);
-  if (!num) return "";
-  return num.toLocaleString("en-GB", { maximumFractionDigits: 2 });
-}
-
-// Reusable tooltip component
-function InfoTip({ text }) {
-  return (
-    <span className="info-tip">
-      ?
-      <span className="info-tip-text">{text}</span>
-    </span>
-  );
-}
+import "./print.css";
+import { calculateMortgage } from "./lib/mortgage";
+import {
+  DEFAULT_ALLOWANCE_PCT,
+  compareOverpayments,
+  findAllowanceBreaches,
+  hasOverpayments,
+  normaliseOverpayments,
+} from "./lib/overpayments";
+import {
+  FIXED_PERIOD_OPTIONS,
+  paymentShock,
+  summarisePhases,
+} from "./lib/ratePhases";
+import {
+  DEFAULT_INCOME_MULTIPLE,
+  DEFAULT_STRESS_BUFFER,
+  assessAffordability,
+} from "./lib/affordability";
+import { OUTGOING_FIELDS, assessBudget } from "./lib/budget";
+import { assessSensitivity, ratePathSteps } from "./lib/sensitivity";
+import { trackerSummary } from "./lib/tracker";
+import { compareOffset } from "./lib/offset";
+import { DEFAULT_ICR } from "./lib/buyToLet";
+import {
+  DEFAULT_MAX_AGE,
+  WHOLE_YEARS_MESSAGE,
+  termYearsFor,
+  termYearsWhole,
+} from "./lib/term";
+import { nextBandStep } from "./lib/ltvBands";
+import {
+  DEFAULT_RENT_RATE,
+  DEFAULT_SHARE,
+  sharedOwnershipCosts,
+  shareValid,
+  staircasingCost,
+} from "./lib/sharedOwnership";
+import {
+  comparisonPeriod,
+  compareScenarios,
+  createScenario,
+  evaluateScenario,
+  scenarioContextFor,
+  scenarioErrors,
+  scenarioName,
+} from "./lib/scenarios";
+import { decodeUrlState, encodeUrlState } from "./lib/urlState";
+import { migrateFormData, versionFormData } from "./lib/storage";
+import { headlineFigures } from "./lib/report";
+import { FIELD_RULES, fieldValid } from "./lib/validation";
+import {
+  deleteCalculation,
+  duplicateCalculation,
+  loadLibrary,
+  renameCalculation,
+  saveCalculation,
+  serialiseLibrary,
+} from "./lib/savedCalculations";
+import {
+  UPFRONT_FEE_FIELDS,
+  calculateSdlt,
+  calculateUpfrontCosts,
+} from "./lib/stampDuty";
+import {
+  formatCurrency,
+  formatDuration,
+  formatNumberString,
+  parseNumber,
+} from "./lib/format";
+import InfoTip from "./components/InfoTip";
+import NumberInput from "./components/NumberInput";
+import AmortisationSchedule from "./components/AmortisationSchedule";
+import OverpaymentPlanner from "./components/OverpaymentPlanner";
+import OffsetPlanner from "./components/OffsetPlanner";
+import SharedOwnershipFields from "./components/SharedOwnershipFields";
+import AgeLimitFields from "./components/AgeLimitFields";
+import DepositPercentField from "./components/DepositPercentField";
+import LtvBandSlider from "./components/LtvBandSlider";
+import LtvBandPanel from "./components/LtvBandPanel";
+import SharedOwnershipPanel from "./components/SharedOwnershipPanel";
+import RatePhases from "./components/RatePhases";
+import SensitivityPanel from "./components/SensitivityPanel";
+import AffordabilityPanel from "./components/AffordabilityPanel";
+import BudgetSummary from "./components/BudgetSummary";
+import UpfrontCosts from "./components/UpfrontCosts";
+import ProductFeeFields from "./components/ProductFeeFields";
+import TrackerFields from "./components/TrackerFields";
+import ScenarioComparison from "./components/ScenarioComparison";
+import ResultsCharts from "./components/ResultsCharts";
+import CopyLinkButton from "./components/CopyLinkButton";
+import SavedCalculations from "./components/SavedCalculations";
+import ReportExport from "./components/ReportExport";
+import PrintReport from "./components/PrintReport";
+import ReverseCalculator from "./components/ReverseCalculator";
+import RemortgageCalculator from "./components/RemortgageCalculator";
+import BuyToLetCalculator from "./components/BuyToLetCalculator";
 
 const EMPTY_FORM = {
+  calculatorMode: "payment", // see CALCULATOR_MODES
+  targetPayment: "", // monthly budget for the borrow and term modes
   propertyPrice: "",
   deposit: "",
   income: "",
-  term: "",
+  secondIncome: "", // optional second applicant
+  term: "", // years
+  termExtraMonths: "", // added to the term, 0–11
+  applicantAge: "", // optional, for the lender's age limit
+  secondApplicantAge: "",
+  maxAgeAtEnd: String(DEFAULT_MAX_AGE), // see lib/term
+  sharedOwnership: false, // buying a share and renting the rest
+  ownershipShare: String(DEFAULT_SHARE), // % bought, see lib/sharedOwnership
+  rentRate: String(DEFAULT_RENT_RATE), // % a year of the unowned share
+  serviceCharge: "", // monthly
+  staircaseShare: "", // shared ownership: share owned after staircasing
+  staircaseYear: "", // years from now
+  priceGrowth: "", // % a year, blank = no change
   mortgageType: "fixed",
-  interestRate: "",
+  fixedPeriod: "5", // years before the fixed rate ends
+  reversionRate: "", // follow-on rate (e.g. SVR) after the fixed period
+  interestRate: "", // for a tracker, the margin over the base rate
+  baseRate: "", // tracker: today's base rate
+  baseRatePath: [], // tracker: [{ year, rate }] base-rate changes from year 2
+  trackerCollar: "", // tracker: lowest rate charged, blank = none
   repaymentType: "repayment",
-  interestRateB: "", // optional comparison scenario
+  interestOnlyPart: "", // part-and-part: amount kept on interest-only
+  arrangementFee: "", // lender product fee
+  feeAddedToLoan: false,
+  cashback: "",
+  scenarios: [], // other deals to compare (see lib/scenarios)
+  monthlyOverpayment: "",
+  lumpSums: [], // [{ month, amount }] one-off overpayments
+  ratePath: [], // [{ year, change }] custom rate moves for the sensitivity panel
+  overpaymentAllowance: String(DEFAULT_ALLOWANCE_PCT), // % of balance a year
+  offsetSavings: "", // savings set against the loan (offset mortgage)
+  offsetContribution: "", // added to the offset savings each month
+  offsetMode: "term", // "term" (finish sooner) | "payment" (pay less)
+  incomeMultiple: String(DEFAULT_INCOME_MULTIPLE),
+  stressBuffer: String(DEFAULT_STRESS_BUFFER), // % points added to the rate
+  includeBudget: false, // adds the optional monthly outgoings step
+  takeHomePay: "", // monthly, blank = estimate from income
+  loanRepayments: "",
+  creditCardPayments: "",
+  childcareCosts: "",
+  householdBills: "",
+  buyerType: "mover", // first-time | mover | additional (for Stamp Duty)
+  valuationFee: "",
+  legalFees: "",
+  surveyCost: "",
+  // Remortgage mode: the existing mortgage (the new deal uses the fields above)
+  currentBalance: "",
+  remainingTerm: "", // years
+  currentRate: "",
+  currentDealMonths: "", // months left on the current deal, blank = on SVR
+  svrRate: "",
+  earlyRepaymentCharge: "",
+  propertyValuation: "",
+  // Buy-to-let mode (price, deposit and rate come from the fields above)
+  monthlyRent: "",
+  lettingCosts: "", // yearly running costs, for the net yield
+  icrRatio: String(DEFAULT_ICR), // interest cover ratio (%), see lib/buyToLet
+  btlStressRate: "", // blank = the usual stress rate for the deal
 };
 
-// Build sample repayment schedule (first 3 + last 3 months)
-function buildScheduleSamples(
-  loanAmount,
-  interestRateNum,
-  termYears,
-  monthlyPayment
-) {
-  if (
-    loanAmount <= 0 ||
-    interestRateNum <= 0 ||
-    termYears <= 0 ||
-    monthlyPayment <= 0
-  ) {
-    return { first: [], last: [] };
-  }
-
-  const r = interestRateNum / 100 / 12;
-  const n = termYears * 12;
-  let balance = loanAmount;
-  const rows = [];
-
-  for (let month = 1; month <= n; month++) {
-    const interest = balance * r;
-    const principal = monthlyPayment - interest;
-    balance = balance - principal;
-    if (balance < 0) balance = 0;
-
-    rows.push({
-      month,
-      principal: principal > 0 ? principal : 0,
-      interest: interest > 0 ? interest : 0,
-      balance: balance > 0 ? balance : 0,
-    });
+// What the calculator works out. "payment" is the step-by-step wizard;
+// "borrow" and "term" start from a target monthly payment (see
+// ReverseCalculator), "remortgage" is for existing homeowners and "btl" is
+// for landlords.
+const CALCULATOR_MODES = [
+  { value: "payment", label: "Monthly payment" },
+  { value: "borrow", label: "How much I can borrow" },
+  { value: "term", label: "Term for a payment" },
+  { value: "remortgage", label: "Remortgage" },
+  { value: "btl", label: "Buy-to-let" },
+];
+
+const CALCULATOR_HELPERS = {
+  borrow: "Work back from the monthly payment you can afford.",
+  term: "Work back from the monthly payment you can afford.",
+  remortgage: "Compare staying with your lender against switching deals.",
+  btl: "Check whether the rent covers a landlord mortgage.",
+};
 
-    if (balance <= 0) break;
-  }
+// Wizard steps in order. Optional steps are only shown when switched on in
+// the form (see `includedWhen`), so the number of steps can change.
+const STEPS = [
+  {
+    id: "details",
+    label: "Your Details",
+    helper: "Tell us about the property and your basic details.",
+  },
+  {
+    id: "options",
+    label: "Mortgage Options",
+    helper: "Choose your mortgage options and interest rate.",
+  },
+  {
+    id: "budget",
+    label: "Monthly Outgoings",
+    helper: "Tell us about your regular monthly commitments.",
+    includedWhen: (formData) => formData.includeBudget,
+  },
+  {
+    id: "results",
+    label: "Results",
+    helper: "Review your estimated monthly payment and mortgage breakdown.",
+  },
+];
+
+// Steps currently in the wizard for this form
+function wizardSteps(formData) {
+  return STEPS.filter(
+    ({ includedWhen }) => !includedWhen || includedWhen(formData)
+  );
+}
 
-  const first = rows.slice(0, 3);
-  const last = rows.slice(-3);
-  return { first, last };
+// 1-based position of a step in the wizard, or 1 if it isn't shown
+function stepNumberFor(stepId, formData) {
+  return wizardSteps(formData).findIndex(({ id }) => id === stepId) + 1 || 1;
 }
 
 function App() {
+  // A shared link (see lib/urlState) takes priority over saved data
+  const [urlState] = useState(() =>
+    decodeUrlState(window.location.search, EMPTY_FORM)
+  );
+
   // Load saved form data from localStorage if available
   const [formData, setFormData] = useState(() => {
+    if (urlState.formData) return { ...EMPTY_FORM, ...urlState.formData };
     try {
       const saved = localStorage.getItem("mortgageFormData");
-      return saved ? { ...EMPTY_FORM, ...JSON.parse(saved) } : EMPTY_FORM;
+      // Older saves are migrated to the current shape (see lib/storage)
+      return saved
+        ? migrateFormData(JSON.parse(saved), EMPTY_FORM)
+        : EMPTY_FORM;
     } catch {
       return EMPTY_FORM;
     }
@@ -92,15 +243,27 @@ function App() {
 
   // Load saved step from localStorage if available
   const [step, setStep] = useState(() => {
+    if (urlState.stepId) return stepNumberFor(urlState.stepId, formData);
     try {
       const savedStep = localStorage.getItem("mortgageStep");
       const n = savedStep ? Number(savedStep) : 1;
-      return n >= 1 && n <= 3 ? n : 1;
+      return n >= 1 && n <= STEPS.length ? n : 1;
     } catch {
       return 1;
     }
   });
 
+  // Library of saved, named calculations (kept apart from the current form)
+  const [savedCalculations, setSavedCalculations] = useState(() => {
+    try {
+      const saved = localStorage.getItem("mortgageSavedCalculations");
+      return saved ? loadLibrary(JSON.parse(saved), EMPTY_FORM) : [];
+    } catch {
+      return [];
+    }
+  });
+  const [showSaved, setShowSaved] = useState(false);
+
   // Dark mode toggle (saved)
   const [darkMode, setDarkMode] = useState(() => {
     try {
@@ -117,6 +280,11 @@ function App() {
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  // For fields that aren't plain inputs (e.g. the list of lump sums)
+  const updateField = (name, value) => {
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
   const formatFieldOnBlur = (name) => {
     setFormData((prev) => ({
       ...prev,
@@ -124,6 +292,92 @@ function App() {
     }));
   };
 
+  // Comparison scenarios – added, edited and removed from the results table.
+  // `update` also gets the latest form, for copying the main deal.
+  const updateScenarios = (update) => {
+    setFormData((prev) => ({
+      ...prev,
+      scenarios: update(prev.scenarios, prev),
+    }));
+  };
+
+  const addScenario = () => {
+    updateScenarios((scenarios, form) => [
+      ...scenarios,
+      createScenario(form, scenarios),
+    ]);
+  };
+
+  const duplicateScenario = (id) => {
+    updateScenarios((scenarios, form) => {
+      if (id === "main") {
+        return [...scenarios, createScenario(form, scenarios)];
+      }
+      const source = scenarios.find((scenario) => scenario.id === id);
+      return [
+        ...scenarios,
+        createScenario(source, scenarios, `${source.name} (copy)`),
+      ];
+    });
+  };
+
+  const removeScenario = (id) => {
+    updateScenarios((scenarios) =>
+      scenarios.filter((scenario) => scenario.id !== id)
+    );
+  };
+
+  const changeScenario = (id, name, value) => {
+    updateScenarios((scenarios) =>
+      scenarios.map((scenario) =>
+        scenario.id === id ? { ...scenario, [name]: value } : scenario
+      )
+    );
+  };
+
+  const savedActions = {
+    save: (name) =>
+      setSavedCalculations((prev) => saveCalculation(prev, name, formData)),
+    load: (id) => {
+      const calculation = savedCalculations.find((saved) => saved.id === id);
+      setFormData(calculation.formData);
+      setStep(stepNumberFor("results", calculation.formData));
+      setShowSaved(false);
+    },
+    rename: (id, name) =>
+      setSavedCalculations((prev) => renameCalculation(prev, id, name)),
+    duplicate: (id) =>
+      setSavedCalculations((prev) => duplicateCalculation(prev, id)),
+    remove: (id) =>
+      setSavedCalculations((prev) => deleteCalculation(prev, id)),
+    // Rows from an imported file (see lib/importScenarios) hold only the
+    // fields given in the file; the rest start from the defaults
+    loadImported: (row) => {
+      const imported = { ...EMPTY_FORM, ...row.formData };
+      setFormData(imported);
+      setStep(stepNumberFor("results", imported));
+      setShowSaved(false);
+    },
+    saveImported: (rows) =>
+      setSavedCalculations((prev) =>
+        rows.reduce(
+          (calculations, row) =>
+            saveCalculation(calculations, row.name, {
+              ...EMPTY_FORM,
+              ...row.formData,
+            }),
+          prev
+        )
+      ),
+  };
+
+  // Copy an answer from the reverse calculator into the main form, then
+  // carry on through the wizard from the start to check the details
+  const applyReverseAnswer = (values) => {
+    setFormData((prev) => ({ ...prev, ...values, calculatorMode: "payment" }));
+    setStep(1);
+  };
+
   const clearAll = () => {
     setFormData(EMPTY_FORM);
     setStep(1);
@@ -135,29 +389,71 @@ function App() {
     }
   };
 
-  const nextStep = () => setStep((s) => Math.min(s + 1, 3));
+  // Steps currently in the wizard (optional ones depend on the form)
+  const steps = wizardSteps(formData);
+  const currentStep = Math.min(step, steps.length);
+  const stepId = steps[currentStep - 1].id;
+  const wizardMode = formData.calculatorMode === "payment";
+
+  const nextStep = () => setStep((s) => Math.min(s + 1, steps.length));
   const prevStep = () => setStep((s) => Math.max(s - 1, 1));
 
   // ---- Parse values for validation + calculation ----
   const propertyPriceNum = parseNumber(formData.propertyPrice);
   const depositNum = parseNumber(formData.deposit);
   const incomeNum = parseNumber(formData.income);
-  const termYears = parseNumber(formData.term);
+  const secondIncomeNum = parseNumber(formData.secondIncome);
+  const termYears = termYearsFor(formData);
   const interestRateNum = parseNumber(formData.interestRate);
-  const interestRateBNum = parseNumber(formData.interestRateB);
-
-  // Basic field validity checks (for inline errors)
-  const propertyPriceValid =
-    formData.propertyPrice === "" || propertyPriceNum > 0;
-  const depositValid = formData.deposit === "" || depositNum >= 0;
-  const incomeValid = formData.income === "" || incomeNum > 0;
-  const termValid = formData.term === "" || termYears > 0;
-  const interestRateValid =
-    formData.interestRate === "" ||
-    (interestRateNum > 0 && interestRateNum < 100);
-  const interestRateBValid =
-    formData.interestRateB === "" ||
-    (interestRateBNum > 0 && interestRateBNum < 100);
+  const interestOnlyPartNum = parseNumber(formData.interestOnlyPart);
+  const feeNum = parseNumber(formData.arrangementFee);
+
+  // Basic field validity checks (for inline errors) – the rules live in
+  // lib/validation so imported files are checked the same way
+  const propertyPriceValid = fieldValid(
+    "propertyPrice",
+    formData.propertyPrice
+  );
+  const depositValid = fieldValid("deposit", formData.deposit);
+  const incomeValid = fieldValid("income", formData.income);
+  const secondIncomeValid = fieldValid("secondIncome", formData.secondIncome);
+  const termValid =
+    fieldValid("term", formData.term) && termYearsWhole(formData);
+  const termExtraMonthsValid = fieldValid(
+    "termExtraMonths",
+    formData.termExtraMonths
+  );
+  const agesValid = ["applicantAge", "secondApplicantAge"].every((name) =>
+    fieldValid(name, formData[name])
+  );
+  const interestRateValid = fieldValid(
+    "interestRate",
+    formData.interestRate
+  );
+  const reversionRateValid = fieldValid(
+    "reversionRate",
+    formData.reversionRate
+  );
+  // A tracker needs today's base rate; the collar is optional
+  const trackerValid =
+    formData.baseRate !== "" &&
+    fieldValid("baseRate", formData.baseRate) &&
+    fieldValid("trackerCollar", formData.trackerCollar);
+  // Product fees and cashback can be blank or any amount of 0 or more
+  const feesValid = ["arrangementFee", "cashback"].every((name) =>
+    fieldValid(name, formData[name])
+  );
+
+  // Shared ownership needs a share in the allowed range; the rent and
+  // service charge default to the usual figures
+  const ownershipShareNum = parseNumber(formData.ownershipShare);
+  const sharedOwnershipValid =
+    !formData.sharedOwnership ||
+    (formData.ownershipShare !== "" &&
+      shareValid(ownershipShareNum) &&
+      ["ownershipShare", "rentRate", "serviceCharge"].every((name) =>
+        fieldValid(name, formData[name])
+      ));
 
   // Validation: only allow progress with appropriate numeric values
   const canGoToStep2 =
@@ -168,87 +464,325 @@ function App() {
     propertyPriceValid &&
     depositValid &&
     incomeValid &&
-    termValid;
+    secondIncomeValid &&
+    termValid &&
+    termExtraMonthsValid &&
+    agesValid &&
+    sharedOwnershipValid;
+
+  // Calculation section – Scenario A. The shared context (price, fixed
+  // period and follow-on rate) applies to every comparison scenario too.
+  // For shared ownership the price is the share being bought.
+  const scenarioContext = scenarioContextFor(formData);
+  const mainDeal = evaluateScenario(formData, scenarioContext);
+  const {
+    loanAmount,
+    borrowing,
+    interestOnlyAmount,
+    rateChanges,
+    ltv,
+    monthlyPayment,
+    totalPayment,
+    totalInterest,
+    capitalOutstanding,
+    termMonths,
+    schedule,
+  } = mainDeal;
+
+  // Part-and-part needs an interest-only amount that fits inside the loan
+  const interestOnlyPartValid =
+    formData.repaymentType !== "part-and-part" ||
+    (interestOnlyPartNum > 0 && interestOnlyPartNum < loanAmount);
 
   const canGoToStep3 =
-    interestRateNum > 0 && interestRateNum < 100 && interestRateValid;
-
-  // Calculation section – Scenario A
-  const loanAmount =
-    propertyPriceNum && depositNum >= 0
-      ? Math.max(propertyPriceNum - depositNum, 0)
-      : 0;
-
-  let monthlyPayment = 0;
-  let totalPayment = 0;
-  let totalInterest = 0;
-
-  if (loanAmount > 0 && interestRateNum > 0 && termYears > 0) {
-    const years = termYears;
-    const r = interestRateNum / 100 / 12; // monthly interest rate
-    const n = years * 12; // months
-
-    if (r === 0) {
-      monthlyPayment = loanAmount / n;
-    } else {
-      monthlyPayment =
-        (loanAmount * r * Math.pow(1 + r, n)) /
-        (Math.pow(1 + r, n) - 1);
-    }
-
-    totalPayment = monthlyPayment * n;
-    totalInterest = totalPayment - loanAmount;
-  }
-
-  // Scenario B (comparison) – optional
-  let monthlyPaymentB = 0;
-  let totalPaymentB = 0;
-  let totalInterestB = 0;
-  const hasScenarioB =
-    loanAmount > 0 &&
-    interestRateBNum > 0 &&
-    interestRateBNum < 100 &&
-    termYears > 0;
-
-  if (hasScenarioB) {
-    const yearsB = termYears;
-    const rB = interestRateBNum / 100 / 12;
-    const nB = yearsB * 12;
-
-    if (rB === 0) {
-      monthlyPaymentB = loanAmount / nB;
-    } else {
-      monthlyPaymentB =
-        (loanAmount * rB * Math.pow(1 + rB, nB)) /
-        (Math.pow(1 + rB, nB) - 1);
-    }
+    interestRateNum > 0 &&
+    interestRateNum < 100 &&
+    interestRateValid &&
+    interestOnlyPartValid &&
+    feesValid &&
+    (formData.mortgageType !== "fixed" || reversionRateValid) &&
+    (formData.mortgageType !== "tracker" || trackerValid);
+
+  // A tracker's payments are shown even if the base rate never changes
+  const tracker =
+    formData.mortgageType === "tracker" ? trackerSummary(schedule) : null;
+  const ratePhases =
+    rateChanges.length > 0 || tracker ? summarisePhases(schedule) : [];
+
+  // LTV bands – the extra deposit for the next band down, and the same deal
+  // there at that band's typical rate (see lib/ltvBands)
+  const bandStep = nextBandStep({
+    propertyPrice: scenarioContext.propertyPrice,
+    deposit: depositNum,
+    annualRate: interestRateNum,
+  });
+  const bandDeal =
+    bandStep && bandStep.nextBand !== null && monthlyPayment > 0
+      ? evaluateScenario(
+          {
+            ...formData,
+            deposit: String(bandStep.deposit),
+            interestRate: String(bandStep.annualRate),
+          },
+          scenarioContext
+        )
+      : null;
+  const ltvBands = bandStep && {
+    ...bandStep,
+    result: bandDeal,
+    monthlySaving: bandDeal ? monthlyPayment - bandDeal.monthlyPayment : 0,
+    interestSaving: bandDeal ? totalInterest - bandDeal.totalInterest : 0,
+  };
 
-    totalPaymentB = monthlyPaymentB * nB;
-    totalInterestB = totalPaymentB - loanAmount;
-  }
+  // Comparison scenarios. Scenarios with invalid inputs are listed but not
+  // costed. True cost of each deal: APRC over the whole term, plus interest
+  // and fees less cashback over the initial deal period (the fixed period,
+  // if any).
+  const scenarios = formData.scenarios || [];
+  const scenarioRows = [
+    {
+      id: "main",
+      name: scenarioName(0),
+      values: formData,
+      errors: {},
+      valid: canGoToStep3 && monthlyPayment > 0,
+    },
+    ...scenarios.map((scenario) => {
+      const errors = scenarioErrors(scenario, scenarioContext.propertyPrice);
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        values: scenario,
+        errors,
+        valid: Object.keys(errors).length === 0,
+      };
+    }),
+  ];
+  const scenarioResults = scenarioRows.map((row, index) => {
+    if (!row.valid) return null;
+    if (index === 0) return mainDeal;
+    return evaluateScenario(row.values, scenarioContext);
+  });
+  const dealMonths = comparisonPeriod(scenarioResults) || termMonths;
+  const comparedResults = compareScenarios(scenarioResults, dealMonths);
+  const comparisonRows = scenarioRows.map((row, index) => ({
+    ...row,
+    result: comparedResults[index],
+  }));
+
+  // Affordability – income multiple and a stress test at a higher rate. A
+  // tracker's rate is the base rate plus the margin, so use the rate paid.
+  const stressRate =
+    mainDeal.annualRate + Math.max(parseNumber(formData.stressBuffer), 0);
+  const { monthlyPayment: stressedPayment } = calculateMortgage({
+    loanAmount: borrowing,
+    annualRate: stressRate,
+    termYears,
+    interestOnlyAmount,
+  });
+  const affordability =
+    monthlyPayment > 0
+      ? assessAffordability({
+          loanAmount: borrowing,
+          incomes: [incomeNum, secondIncomeNum],
+          incomeMultiple: parseNumber(formData.incomeMultiple),
+          stressRate,
+          stressedPayment,
+        })
+      : null;
+
+  // Rate sensitivity – payment and cost if rates move, from the end of any
+  // fixed period (a deal fixed for the whole term can't change)
+  const sensitivityFrom =
+    formData.mortgageType === "fixed"
+      ? parseNumber(formData.fixedPeriod) * 12 + 1
+      : 1;
+  const sensitivity =
+    monthlyPayment > 0 && sensitivityFrom <= termMonths
+      ? assessSensitivity({
+          deal: {
+            loanAmount: borrowing,
+            annualRate: mainDeal.annualRate,
+            termYears,
+            interestOnlyAmount,
+            rateChanges,
+            fromMonth: sensitivityFrom,
+          },
+          customPath: ratePathSteps(
+            formData.ratePath,
+            Math.ceil(termMonths / 12)
+          ),
+          incomes: [incomeNum, secondIncomeNum],
+        })
+      : null;
+
+  // Budget – outgoings, disposable income and debt-to-income ratio
+  const outgoings = {};
+  OUTGOING_FIELDS.forEach(({ name }) => {
+    outgoings[name] = parseNumber(formData[name]);
+  });
+  const budgetValid =
+    fieldValid("takeHomePay", formData.takeHomePay) &&
+    OUTGOING_FIELDS.every(({ name }) => fieldValid(name, formData[name]));
+  const budget = assessBudget({
+    incomes: [incomeNum, secondIncomeNum],
+    takeHome: parseNumber(formData.takeHomePay),
+    outgoings,
+    mortgagePayment: monthlyPayment,
+  });
 
-  const ltv =
-    loanAmount > 0 && propertyPriceNum > 0
-      ? (loanAmount / propertyPriceNum) * 100
-      : 0;
+  // Upfront costs – Stamp Duty plus buying fees on top of the deposit
+  const sdlt = calculateSdlt(propertyPriceNum, formData.buyerType);
+  const fees = {};
+  UPFRONT_FEE_FIELDS.forEach(({ name }) => {
+    fees[name] = parseNumber(formData[name]);
+  });
+  const upfront = calculateUpfrontCosts({
+    deposit: depositNum,
+    sdlt: sdlt.total,
+    fees: { ...fees, productFee: formData.feeAddedToLoan ? 0 : feeNum },
+  });
 
-  // Schedule samples for Scenario A
-  const scheduleSamples = buildScheduleSamples(
-    loanAmount,
-    interestRateNum,
-    termYears,
-    monthlyPayment
+  // Overpayment planner – same loan, with regular and lump-sum overpayments
+  const overpayments = normaliseOverpayments(
+    parseNumber(formData.monthlyOverpayment),
+    (formData.lumpSums || []).map((lump) => ({
+      month: parseNumber(lump.month),
+      amount: parseNumber(lump.amount),
+    })),
+    termMonths
   );
+  const overpaymentsActive = monthlyPayment > 0 && hasOverpayments(overpayments);
+  const withOverpayments = calculateMortgage({
+    loanAmount: overpaymentsActive ? borrowing : 0,
+    annualRate: mainDeal.annualRate,
+    termYears,
+    interestOnlyAmount,
+    overpayments,
+    rateChanges,
+  });
+  const overpaymentSummary = overpaymentsActive
+    ? compareOverpayments({ schedule, totalInterest }, withOverpayments)
+    : null;
+  const allowanceBreaches = overpaymentsActive
+    ? findAllowanceBreaches(
+        withOverpayments.schedule,
+        borrowing,
+        parseNumber(formData.overpaymentAllowance)
+      )
+    : [];
+
+  // Offset – savings set against the loan, compared with the same loan
+  // without them. Only modelled for repayment mortgages.
+  const offsetSavingsNum = parseNumber(formData.offsetSavings);
+  const offsetContributionNum = parseNumber(formData.offsetContribution);
+  const offsetActive =
+    monthlyPayment > 0 &&
+    interestOnlyAmount === 0 &&
+    (offsetSavingsNum > 0 || offsetContributionNum > 0) &&
+    ["offsetSavings", "offsetContribution"].every((name) =>
+      fieldValid(name, formData[name])
+    );
+  const offset = offsetActive
+    ? compareOffset({
+        loanAmount: borrowing,
+        annualRate: mainDeal.annualRate,
+        termMonths,
+        rateChanges,
+        savings: offsetSavingsNum,
+        monthlyContribution: offsetContributionNum,
+        mode: formData.offsetMode,
+        standard: mainDeal,
+      })
+    : null;
+
+  // Shared ownership – rent on the unowned share and the service charge on
+  // top of the mortgage, and the cost of buying a bigger share later
+  const sharedCosts =
+    formData.sharedOwnership && sharedOwnershipValid && monthlyPayment > 0
+      ? sharedOwnershipCosts({
+          propertyPrice: propertyPriceNum,
+          share: ownershipShareNum,
+          rentRate: parseNumber(formData.rentRate),
+          serviceCharge: parseNumber(formData.serviceCharge),
+          mortgagePayment: monthlyPayment,
+        })
+      : null;
+  const staircaseShareNum = parseNumber(formData.staircaseShare);
+  const staircaseYearNum = parseNumber(formData.staircaseYear);
+  const staircaseInputsValid = [
+    "staircaseShare",
+    "staircaseYear",
+    "priceGrowth",
+  ].every((name) => fieldValid(name, formData[name]));
+  const staircaseError =
+    sharedCosts &&
+    staircaseInputsValid &&
+    formData.staircaseShare !== "" &&
+    staircaseShareNum <= ownershipShareNum
+      ? `Enter a share above the ${ownershipShareNum}% you'd own now.`
+      : "";
+  const staircasing =
+    sharedCosts &&
+    staircaseInputsValid &&
+    staircaseShareNum > ownershipShareNum &&
+    formData.staircaseYear !== ""
+      ? staircasingCost({
+          propertyPrice: propertyPriceNum,
+          fromShare: ownershipShareNum,
+          toShare: staircaseShareNum,
+          years: staircaseYearNum,
+          growthRate: parseNumber(formData.priceGrowth),
+          rentRate: parseNumber(formData.rentRate),
+          annualRate: mainDeal.annualRate,
+          remainingMonths: termMonths - staircaseYearNum * 12,
+        })
+      : null;
+
+  // Furthest step the wizard's checks let this form reach
+  const stepUnlocked = {
+    details: true,
+    options: canGoToStep2,
+    budget: canGoToStep2 && canGoToStep3,
+    results:
+      canGoToStep2 &&
+      canGoToStep3 &&
+      (!formData.includeBudget || budgetValid),
+  };
+  const lockedIndex = steps.findIndex(({ id }) => !stepUnlocked[id]);
+  const furthestStep = lockedIndex === -1 ? steps.length : lockedIndex;
+
+  // A step restored from a link or the last visit can't skip those checks,
+  // so it's pulled back once, before anything is shown
+  const [restoredStepChecked, setRestoredStepChecked] = useState(false);
+  if (!restoredStepChecked) {
+    setRestoredStepChecked(true);
+    if (step > furthestStep) setStep(furthestStep);
+  }
 
   // ---- Save to localStorage whenever data or step changes ----
   useEffect(() => {
     try {
-      localStorage.setItem("mortgageFormData", JSON.stringify(formData));
+      localStorage.setItem(
+        "mortgageFormData",
+        JSON.stringify(versionFormData(formData))
+      );
     } catch {
       // ignore storage errors
     }
   }, [formData]);
 
+  useEffect(() => {
+    try {
+      localStorage.setItem(
+        "mortgageSavedCalculations",
+        JSON.stringify(serialiseLibrary(savedCalculations))
+      );
+    } catch {
+      // ignore storage errors
+    }
+  }, [savedCalculations]);
+
   useEffect(() => {
     try {
       localStorage.setItem("mortgageStep", String(step));
@@ -257,6 +791,49 @@ function App() {
     }
   }, [step]);
 
+  // Keep the URL in sync: a new history entry for each step, so the
+  // browser's back/forward buttons move through the wizard, and the same
+  // entry updated in place as inputs change
+  const urlStepRef = useRef(null);
+  const shareUrl = `${window.location.origin}${
+    window.location.pathname
+  }?${encodeUrlState(formData, stepId, EMPTY_FORM)}`;
+
+  useEffect(() => {
+    if (urlStepRef.current !== null && urlStepRef.current !== stepId) {
+      window.history.pushState(null, "", shareUrl);
+    } else {
+      window.history.replaceState(null, "", shareUrl);
+    }
+    urlStepRef.current = stepId;
+  }, [shareUrl, stepId]);
+
+  useEffect(() => {
+    const handlePopState = () => {
+      const { stepId: urlStepId } = decodeUrlState(
+        window.location.search,
+        EMPTY_FORM
+      );
+      // Inputs may have changed since this entry was added, so forward can't
+      // skip past a step whose checks now fail
+      const requested = stepNumberFor(urlStepId, formData);
+      const number = Math.min(requested, furthestStep);
+      const id = wizardSteps(formData)[number - 1].id;
+      if (number < requested) {
+        window.history.replaceState(
+          null,
+          "",
+          `?${encodeUrlState(formData, id, EMPTY_FORM)}`
+        );
+      }
+      // Already in the history, so the sync above shouldn't push it again
+      urlStepRef.current = id;
+      setStep(number);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [formData, furthestStep]);
+
   useEffect(() => {
     try {
       localStorage.setItem("mortgageDarkMode", String(darkMode));
@@ -280,76 +857,190 @@ function App() {
         </button>
       </header>
 
-      <ProgressBar step={step} />
+      <div className="mode-switch" role="radiogroup" aria-label="Work out">
+        {CALCULATOR_MODES.map(({ value, label }) => (
+          <label
+            key={value}
+            className={formData.calculatorMode === value ? "active" : ""}
+          >
+            <input
+              type="radio"
+              name="calculatorMode"
+              value={value}
+              checked={formData.calculatorMode === value}
+              onChange={handleChange}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {wizardMode && <ProgressBar steps={steps} step={currentStep} />}
 
       <div className="top-actions">
         <p className="step-helper">
-          Step {step} of 3 –{" "}
-          {step === 1 && "Tell us about the property and your basic details."}
-          {step === 2 && "Choose your mortgage options and interest rate."}
-          {step === 3 &&
-            "Review your estimated monthly payment and mortgage breakdown."}
+          {wizardMode
+            ? `Step ${currentStep} of ${steps.length} – ${
+                steps[currentStep - 1].helper
+              }`
+            : CALCULATOR_HELPERS[formData.calculatorMode]}
         </p>
-        <button className="clear-btn" onClick={clearAll}>
-          Clear all data
-        </button>
+        <div className="top-buttons">
+          <button
+            className="saved-btn"
+            onClick={() => setShowSaved((show) => !show)}
+            aria-expanded={showSaved}
+          >
+            Saved calculations ({savedCalculations.length})
+          </button>
+          <button className="clear-btn" onClick={clearAll}>
+            Clear all data
+          </button>
+        </div>
       </div>
 
-      {step === 1 && (
+      {showSaved && (
+        <SavedCalculations
+          calculations={savedCalculations}
+          formData={formData}
+          actions={savedActions}
+        />
+      )}
+
+      {(formData.calculatorMode === "borrow" ||
+        formData.calculatorMode === "term") && (
+        <ReverseCalculator
+          formData={formData}
+          handleChange={handleChange}
+          formatFieldOnBlur={formatFieldOnBlur}
+          onUse={applyReverseAnswer}
+        />
+      )}
+
+      {formData.calculatorMode === "remortgage" && (
+        <RemortgageCalculator
+          formData={formData}
+          handleChange={handleChange}
+          updateField={updateField}
+          formatFieldOnBlur={formatFieldOnBlur}
+        />
+      )}
+
+      {formData.calculatorMode === "btl" && (
+        <BuyToLetCalculator
+          formData={formData}
+          handleChange={handleChange}
+          formatFieldOnBlur={formatFieldOnBlur}
+        />
+      )}
+
+      {wizardMode && stepId === "details" && (
         <StepOneDetails
           formData={formData}
           handleChange={handleChange}
+          updateField={updateField}
           formatFieldOnBlur={formatFieldOnBlur}
           nextStep={nextStep}
           canGoToStep2={canGoToStep2}
-          validity={{ propertyPriceValid, depositValid, incomeValid, termValid }}
+          termMonths={termMonths}
+          validity={{
+            propertyPriceValid,
+            depositValid,
+            incomeValid,
+            secondIncomeValid,
+            termValid,
+            termExtraMonthsValid,
+          }}
         />
       )}
 
-      {step === 2 && (
+      {wizardMode && stepId === "options" && (
         <StepTwoOptions
           formData={formData}
           handleChange={handleChange}
+          updateField={updateField}
           nextStep={nextStep}
           prevStep={prevStep}
           canGoToStep3={canGoToStep3}
           interestRateValid={interestRateValid}
-          interestRateBValid={interestRateBValid}
+          interestOnlyPartValid={interestOnlyPartValid}
+          reversionRateValid={reversionRateValid}
+          trackerValid={trackerValid}
+          feesValid={feesValid}
+          loanAmount={loanAmount}
+        />
+      )}
+
+      {wizardMode && stepId === "budget" && (
+        <StepBudget
+          formData={formData}
+          handleChange={handleChange}
+          formatFieldOnBlur={formatFieldOnBlur}
+          nextStep={nextStep}
+          prevStep={prevStep}
+          canContinue={budgetValid}
+          estimatedTakeHome={budget.netMonthly}
+          stepNumber={currentStep}
         />
       )}
 
-      {step === 3 && (
+      {wizardMode && stepId === "results" && (
         <StepThreeResults
           formData={formData}
           loanAmount={loanAmount}
+          borrowing={borrowing}
           monthlyPayment={monthlyPayment}
           totalInterest={totalInterest}
           totalPayment={totalPayment}
+          capitalOutstanding={capitalOutstanding}
           ltv={ltv}
-          monthlyPaymentB={monthlyPaymentB}
-          totalInterestB={totalInterestB}
-          totalPaymentB={totalPaymentB}
-          hasScenarioB={hasScenarioB}
-          scheduleSamples={scheduleSamples}
+          ltvBands={ltvBands}
+          aprc={mainDeal.aprc}
+          schedule={schedule}
           prevStep={prevStep}
+          handleChange={handleChange}
+          updateField={updateField}
+          termMonths={termMonths}
+          withOverpayments={overpaymentsActive ? withOverpayments : null}
+          overpaymentSummary={overpaymentSummary}
+          allowanceBreaches={allowanceBreaches}
+          offset={offset}
+          ratePhases={ratePhases}
+          tracker={tracker}
+          sensitivity={sensitivity}
+          sensitivityFrom={sensitivityFrom}
+          affordability={affordability}
+          budget={formData.includeBudget ? budget : null}
+          sdlt={sdlt}
+          upfront={upfront}
+          sharedCosts={sharedCosts}
+          staircasing={staircasing}
+          staircaseError={staircaseError}
+          formatFieldOnBlur={formatFieldOnBlur}
+          comparisonRows={comparisonRows}
+          scenarioActions={{
+            add: addScenario,
+            duplicate: duplicateScenario,
+            remove: removeScenario,
+            change: changeScenario,
+          }}
+          dealMonths={dealMonths}
+          shareUrl={shareUrl}
+          stepNumber={currentStep}
         />
       )}
     </div>
   );
 }
 
-function ProgressBar({ step }) {
+function ProgressBar({ steps, step }) {
   return (
     <div className="progress">
-      <div className={step === 1 ? "step active" : "step"}>
-        1. Your Details
-      </div>
-      <div className={step === 2 ? "step active" : "step"}>
-        2. Mortgage Options
-      </div>
-      <div className={step === 3 ? "step active" : "step"}>
-        3. Results
-      </div>
+      {steps.map(({ id, label }, index) => (
+        <div key={id} className={step === index + 1 ? "step active" : "step"}>
+          {index + 1}. {label}
+        </div>
+      ))}
     </div>
   );
 }
@@ -357,12 +1048,21 @@ function ProgressBar({ step }) {
 function StepOneDetails({
   formData,
   handleChange,
+  updateField,
   formatFieldOnBlur,
   nextStep,
   canGoToStep2,
+  termMonths,
   validity,
 }) {
-  const { propertyPriceValid, depositValid, incomeValid, termValid } = validity;
+  const {
+    propertyPriceValid,
+    depositValid,
+    incomeValid,
+    secondIncomeValid,
+    termValid,
+    termExtraMonthsValid,
+  } = validity;
 
   const showErrors =
     formData.propertyPrice ||
@@ -384,90 +1084,130 @@ function StepOneDetails({
             !propertyPriceValid && showErrors ? "error" : ""
           }`}
         >
-          <label>
-            Property price (£)
-            <InfoTip text="The total price of the property you want to buy." />
-          </label>
-          <input
-            type="text"
+          <NumberInput
+            label="Property price (£)"
+            hint="The total price of the property you want to buy."
+            kind="money"
             name="propertyPrice"
             value={formData.propertyPrice}
             onChange={handleChange}
             onBlur={() => formatFieldOnBlur("propertyPrice")}
             placeholder="e.g. 250,000"
+            error={
+              !propertyPriceValid &&
+              showErrors &&
+              FIELD_RULES.propertyPrice.message
+            }
           />
-          {!propertyPriceValid && showErrors && (
-            <span className="field-error">
-              Please enter a valid property price greater than 0.
-            </span>
-          )}
         </div>
 
         <div
           className={`field ${!depositValid && showErrors ? "error" : ""}`}
         >
-          <label>
-            Deposit (£)
-            <InfoTip text="The amount you pay upfront towards the property. The mortgage covers the rest." />
-          </label>
-          <input
-            type="text"
+          <NumberInput
+            label="Deposit (£)"
+            hint="The amount you pay upfront towards the property. The mortgage covers the rest."
+            kind="money"
             name="deposit"
             value={formData.deposit}
             onChange={handleChange}
             onBlur={() => formatFieldOnBlur("deposit")}
             placeholder="e.g. 30,000"
+            error={!depositValid && showErrors && FIELD_RULES.deposit.message}
           />
-          {!depositValid && showErrors && (
-            <span className="field-error">
-              Please enter a valid deposit (0 or more).
-            </span>
-          )}
         </div>
 
+        <DepositPercentField formData={formData} updateField={updateField} />
+
         <div
           className={`field ${!incomeValid && showErrors ? "error" : ""}`}
         >
-          <label>
-            Annual income (£)
-            <InfoTip text="Your yearly income before tax. Lenders use this to assess what you can afford." />
-          </label>
-          <input
-            type="text"
+          <NumberInput
+            label="Annual income (£)"
+            hint="Your yearly income before tax. Lenders use this to assess what you can afford."
+            kind="money"
             name="income"
             value={formData.income}
             onChange={handleChange}
             onBlur={() => formatFieldOnBlur("income")}
             placeholder="e.g. 35,000"
+            error={!incomeValid && showErrors && FIELD_RULES.income.message}
+          />
+        </div>
+
+        <div
+          className={`field ${
+            !secondIncomeValid && showErrors ? "error" : ""
+          }`}
+        >
+          <NumberInput
+            label="Second applicant's income (£)"
+            hint="Optional. If you're buying with someone else, lenders usually combine both incomes."
+            kind="money"
+            name="secondIncome"
+            value={formData.secondIncome}
+            onChange={handleChange}
+            onBlur={() => formatFieldOnBlur("secondIncome")}
+            placeholder="e.g. 28,000 (optional)"
+            error={
+              !secondIncomeValid &&
+              showErrors &&
+              FIELD_RULES.secondIncome.message
+            }
           />
-          {!incomeValid && showErrors && (
-            <span className="field-error">
-              Please enter a valid income greater than 0.
-            </span>
-          )}
         </div>
 
         <div className={`field ${!termValid && showErrors ? "error" : ""}`}>
-          <label>
-            Loan term (years)
-            <InfoTip text="How many years you want to repay the mortgage over (e.g. 25 years)." />
-          </label>
-          <input
-            type="text"
+          <NumberInput
+            label="Loan term (years)"
+            hint="How many years you want to repay the mortgage over (e.g. 25 years)."
+            kind="number"
             name="term"
             value={formData.term}
             onChange={handleChange}
             onBlur={() => formatFieldOnBlur("term")}
             placeholder="e.g. 25"
+            error={
+              !termValid &&
+              showErrors &&
+              (termYearsWhole(formData)
+                ? FIELD_RULES.term.message
+                : WHOLE_YEARS_MESSAGE)
+            }
+          />
+        </div>
+
+        <div className={`field ${!termExtraMonthsValid ? "error" : ""}`}>
+          <NumberInput
+            label="Plus months"
+            hint="Optional. Any months on top of the years, e.g. 6 for a term of 25 years 6 months."
+            name="termExtraMonths"
+            value={formData.termExtraMonths}
+            onChange={handleChange}
+            placeholder="e.g. 6 (optional)"
+            min={0}
+            max={11}
+            error={!termExtraMonthsValid && FIELD_RULES.termExtraMonths.message}
           />
-          {!termValid && showErrors && (
-            <span className="field-error">
-              Please enter a valid term in years (greater than 0).
-            </span>
-          )}
         </div>
       </div>
 
+      <LtvBandSlider formData={formData} updateField={updateField} />
+
+      <AgeLimitFields
+        formData={formData}
+        handleChange={handleChange}
+        updateField={updateField}
+        termMonths={termMonths}
+      />
+
+      <SharedOwnershipFields
+        formData={formData}
+        handleChange={handleChange}
+        updateField={updateField}
+        formatFieldOnBlur={formatFieldOnBlur}
+      />
+
       {!canGoToStep2 && showErrors && (
         <p className="helper-text">
           To continue, please make sure all values are valid numbers (no letters
@@ -491,23 +1231,30 @@ function StepTwoOptions({
   prevStep,
   canGoToStep3,
   interestRateValid,
-  interestRateBValid,
+  interestOnlyPartValid,
+  reversionRateValid,
+  trackerValid,
+  feesValid,
+  loanAmount,
+  updateField,
 }) {
+  const tracker = formData.mortgageType === "tracker";
   const showErrorMain = formData.interestRate !== "";
-  const showErrorB = formData.interestRateB !== "";
+  const showErrorPart = formData.interestOnlyPart !== "";
+  const showErrorReversion = formData.reversionRate !== "";
 
   return (
     <section className="card">
       <h2>Step 2 – Mortgage Options</h2>
       <p>
         Choose the type of mortgage you prefer and the interest rate you want to
-        model. You can also add a comparison rate to see a second scenario.
+        model. You can compare other deals against it on the results page.
       </p>
 
       <div className="field">
         <label>
           Mortgage type
-          <InfoTip text="Fixed rate: stays the same for a set period. Variable rate: can change based on market conditions." />
+          <InfoTip text="Fixed rate: stays the same for a set period. Variable rate: can change based on market conditions. Tracker: follows the Bank of England base rate, plus a set margin." />
         </label>
         <div className="radio-group">
           <label>
@@ -530,92 +1277,133 @@ function StepTwoOptions({
             />
             Variable rate
           </label>
+          <label>
+            <input
+              type="radio"
+              name="mortgageType"
+              value="tracker"
+              checked={tracker}
+              onChange={handleChange}
+            />
+            Tracker
+          </label>
         </div>
       </div>
 
+      {tracker && (
+        <TrackerFields
+          formData={formData}
+          handleChange={handleChange}
+          updateField={updateField}
+          termYears={Math.ceil(termYearsFor(formData))}
+        />
+      )}
+
+      {formData.mortgageType === "fixed" && (
+        <div className="grid">
+          <div className="field">
+            <label>
+              Fixed period
+              <InfoTip text="How long the fixed rate lasts. Afterwards your lender moves you to its follow-on rate unless you switch deals." />
+            </label>
+            <select
+              name="fixedPeriod"
+              value={formData.fixedPeriod}
+              onChange={handleChange}
+            >
+              {FIXED_PERIOD_OPTIONS.map((years) => (
+                <option key={years} value={String(years)}>
+                  {years} years
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div
+            className={`field ${
+              !reversionRateValid && showErrorReversion ? "error" : ""
+            }`}
+          >
+            <NumberInput
+              label="Follow-on rate after the fixed period (%)"
+              hint="Usually the lender's standard variable rate (SVR). Your payment is recalculated on the remaining balance at this rate. Leave blank to keep the same rate for the whole term."
+              kind="percent"
+              name="reversionRate"
+              value={formData.reversionRate}
+              onChange={handleChange}
+              placeholder="e.g. 7.5 (optional)"
+              error={
+                !reversionRateValid &&
+                showErrorReversion &&
+                "Please enter a valid follow-on rate between 0 and 100, or leave it blank."
+              }
+            />
+          </div>
+        </div>
+      )}
+
       {/* MAIN INTEREST RATE – slider + number input */}
       <div
         className={`field ${
           !interestRateValid && showErrorMain ? "error" : ""
         }`}
       >
-        <label>
-          Interest rate – Scenario A (%)
-          <InfoTip text="The percentage charged on the mortgage each year. Higher rates mean higher monthly payments." />
-        </label>
-
-        <div
-          style={{
-            display: "flex",
-            gap: "0.75rem",
-            alignItems: "center",
-          }}
-        >
-          {/* Slider control */}
-          <input
-            type="range"
-            name="interestRate"
-            min="0"
-            max="10"
-            step="0.1"
-            value={formData.interestRate || 0}
-            onChange={handleChange}
-            style={{ flex: 1 }}
-          />
+        {/* Exact numeric input */}
+        <NumberInput
+          label={
+            tracker
+              ? "Margin over base rate – Scenario A (%)"
+              : "Interest rate – Scenario A (%)"
+          }
+          hint={
+            tracker
+              ? "Added to the base rate to give the rate you pay, e.g. a 0.75% margin on a 4% base rate means paying 4.75%."
+              : "The percentage charged on the mortgage each year. Higher rates mean higher monthly payments."
+          }
+          kind="percent"
+          name="interestRate"
+          value={formData.interestRate}
+          onChange={handleChange}
+          placeholder="4.5"
+          error={
+            !interestRateValid &&
+            showErrorMain &&
+            `Please enter a valid ${
+              tracker ? "margin" : "interest rate"
+            } between 0 and 100.`
+          }
+        />
 
-          {/* Exact numeric input */}
-          <input
-            type="number"
-            name="interestRate"
-            min="0"
-            max="100"
-            step="0.1"
-            value={formData.interestRate}
-            onChange={handleChange}
-            placeholder="4.5"
-            style={{ width: "5rem" }}
-          />
-        </div>
+        {/* Slider control */}
+        <input
+          type="range"
+          name="interestRate"
+          min="0"
+          max="10"
+          step="0.1"
+          value={parseNumber(formData.interestRate)}
+          onChange={handleChange}
+          aria-label="Interest rate slider"
+        />
 
         <p className="helper-text">
           Use the slider to pick a rate (0–10%) or type an exact value.
         </p>
-
-        {!interestRateValid && showErrorMain && (
-          <span className="field-error">
-            Please enter a valid interest rate between 0 and 100.
-          </span>
-        )}
       </div>
 
-      {/* OPTIONAL COMPARISON RATE – still text input */}
-      <div
-        className={`field ${
-          !interestRateBValid && showErrorB ? "error" : ""
-        }`}
-      >
-        <label>
-          Optional comparison rate – Scenario B (%)
-          <InfoTip text="Add a second interest rate to compare monthly payments and total cost against Scenario A." />
-        </label>
-        <input
-          type="text"
-          name="interestRateB"
-          value={formData.interestRateB || ""}
-          onChange={handleChange}
-          placeholder="e.g. 5.0 (optional)"
+      <div className="fee-groups">
+        <ProductFeeFields
+          title="Product fee and cashback – Scenario A"
+          formData={formData}
+          handleChange={handleChange}
+          updateField={updateField}
         />
-        {!interestRateBValid && showErrorB && (
-          <span className="field-error">
-            Please enter a valid comparison rate between 0 and 100, or leave it blank.
-          </span>
-        )}
       </div>
 
       <div className="field">
         <label>
           Repayment type
-          <InfoTip text="Repayment: each payment reduces the loan and interest. Interest-only: you only pay interest during the term." />
+          <InfoTip text="Repayment: each payment reduces the loan and interest. Interest-only: you only pay interest during the term and still owe the full loan at the end. Part-and-part: a mix of the two." />
         </label>
         <select
           name="repaymentType"
@@ -624,15 +1412,58 @@ function StepTwoOptions({
         >
           <option value="repayment">Repayment</option>
           <option value="interest-only">Interest-only</option>
+          <option value="part-and-part">Part-and-part</option>
         </select>
       </div>
 
-      {!canGoToStep3 && showErrorMain && (
-        <p className="helper-text">
-          Please choose a valid interest rate to see your results.
-        </p>
+      {formData.repaymentType === "part-and-part" && (
+        <div
+          className={`field ${
+            !interestOnlyPartValid && showErrorPart ? "error" : ""
+          }`}
+        >
+          <NumberInput
+            label="Interest-only part (£)"
+            hint="How much of the loan stays on interest-only. The rest is repaid over the term, and this amount is still owed at the end."
+            kind="money"
+            name="interestOnlyPart"
+            value={formData.interestOnlyPart}
+            onChange={handleChange}
+            placeholder="e.g. 50,000"
+            error={
+              !interestOnlyPartValid &&
+              showErrorPart &&
+              `Please enter an amount greater than 0 and less than your loan amount (£${loanAmount.toLocaleString()}).`
+            }
+          />
+        </div>
       )}
 
+      <div className="field">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            name="includeBudget"
+            checked={!!formData.includeBudget}
+            onChange={(e) => updateField("includeBudget", e.target.checked)}
+          />
+          Add my monthly outgoings (optional step)
+          <InfoTip text="Tell us about loans, cards, childcare and bills to see what you'd have left each month and your debt-to-income ratio." />
+        </label>
+      </div>
+
+      {!canGoToStep3 &&
+        (showErrorMain ||
+          showErrorPart ||
+          showErrorReversion ||
+          (tracker && !trackerValid) ||
+          !feesValid) && (
+          <p className="helper-text">
+            Please choose a valid interest rate (and interest-only part,
+            follow-on rate, base rate and fees, if needed) to see your results.
+          </p>
+        )}
+
       <div className="actions">
         <button onClick={prevStep}>← Back</button>
         <button
@@ -640,6 +1471,76 @@ function StepTwoOptions({
           onClick={nextStep}
           disabled={!canGoToStep3}
         >
+          {formData.includeBudget ? "Next →" : "See results →"}
+        </button>
+      </div>
+    </section>
+  );
+}
+
+function StepBudget({
+  formData,
+  handleChange,
+  formatFieldOnBlur,
+  nextStep,
+  prevStep,
+  canContinue,
+  estimatedTakeHome,
+  stepNumber,
+}) {
+  const takeHomeValid = fieldValid("takeHomePay", formData.takeHomePay);
+
+  return (
+    <section className="card">
+      <h2>Step {stepNumber} – Monthly Outgoings</h2>
+      <p>
+        Add your regular monthly commitments so we can show what you'd have
+        left after your mortgage payment. Leave anything that doesn't apply
+        blank.
+      </p>
+
+      <div className="grid">
+        <div className={`field ${!takeHomeValid ? "error" : ""}`}>
+          <NumberInput
+            label="Monthly take-home pay (£)"
+            hint="What you (and any second applicant) receive after tax and National Insurance. Leave blank and we'll estimate it from your income."
+            kind="money"
+            name="takeHomePay"
+            value={formData.takeHomePay}
+            onChange={handleChange}
+            onBlur={() => formatFieldOnBlur("takeHomePay")}
+            placeholder={
+              estimatedTakeHome > 0
+                ? `Estimated £${Math.round(estimatedTakeHome).toLocaleString()}`
+                : "e.g. 2,500"
+            }
+            error={!takeHomeValid && FIELD_RULES.takeHomePay.message}
+          />
+        </div>
+
+        {OUTGOING_FIELDS.map(({ name, label, hint }) => {
+          const valid = fieldValid(name, formData[name]);
+          return (
+            <div key={name} className={`field ${!valid ? "error" : ""}`}>
+              <NumberInput
+                label={label}
+                hint={hint}
+                kind="money"
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                onBlur={() => formatFieldOnBlur(name)}
+                placeholder="e.g. 150"
+                error={!valid && FIELD_RULES[name].message}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="actions">
+        <button onClick={prevStep}>← Back</button>
+        <button className="primary" onClick={nextStep} disabled={!canContinue}>
           See results →
         </button>
       </div>
@@ -653,147 +1554,188 @@ function StepThreeResults({
   monthlyPayment,
   totalInterest,
   totalPayment,
+  capitalOutstanding,
   ltv,
-  monthlyPaymentB,
-  totalInterestB,
-  totalPaymentB,
-  hasScenarioB,
-  scheduleSamples,
+  ltvBands,
+  aprc,
+  schedule,
   prevStep,
+  handleChange,
+  updateField,
+  termMonths,
+  withOverpayments,
+  overpaymentSummary,
+  allowanceBreaches,
+  offset,
+  ratePhases,
+  tracker,
+  sensitivity,
+  sensitivityFrom,
+  affordability,
+  budget,
+  sdlt,
+  upfront,
+  sharedCosts,
+  staircasing,
+  staircaseError,
+  formatFieldOnBlur,
+  borrowing,
+  comparisonRows,
+  scenarioActions,
+  dealMonths,
+  shareUrl,
+  stepNumber,
 }) {
-  const hasResult = monthlyPayment > 0 && loanAmount > 0;
-
-  // For the stacked bar
+  const feeAdded = borrowing - loanAmount;
+  const periodLabel =
+    dealMonths < termMonths
+      ? `first ${formatDuration(dealMonths)}`
+      : "whole term";
+  // Formatted once so the report and downloads match the screen
+  const figures = headlineFigures({
+    monthlyPayment,
+    loanAmount,
+    ltv,
+    totalInterest,
+    totalPayment,
+    aprc,
+    capitalOutstanding,
+  });
+  const displayedSchedule = withOverpayments
+    ? withOverpayments.schedule
+    : schedule;
+  const scheduleTitle = withOverpayments
+    ? "Full repayment schedule (Scenario A, with overpayments)"
+    : "Full repayment schedule (Scenario A)";
+
+  // For the stacked bar – only capital actually repaid counts as principal
+  const principalRepaid = borrowing - capitalOutstanding;
   const totalForBar =
-    loanAmount > 0 && totalInterest > 0 ? loanAmount + totalInterest : 0;
+    borrowing > 0 && totalInterest > 0 ? principalRepaid + totalInterest : 0;
   const principalPct =
-    totalForBar > 0 ? (loanAmount / totalForBar) * 100 : 0;
+    totalForBar > 0 ? (principalRepaid / totalForBar) * 100 : 0;
   const interestPct =
     totalForBar > 0 ? (totalInterest / totalForBar) * 100 : 0;
 
-  const { first: firstRows, last: lastRows } = scheduleSamples || {
-    first: [],
-    last: [],
-  };
-
   return (
-    <section className="card">
-      <h2>Step 3 – Your Results</h2>
+    <section className="card results-card">
+      <h2>Step {stepNumber} – Your Results</h2>
       <p>
         Review your estimated monthly payment and how your mortgage breaks down
-        over time. Use the comparison to see how different interest rates affect
-        cost.
+        over time. Use the comparison to see how other deals affect the cost.
       </p>
 
+      <CopyLinkButton url={shareUrl} />
+      <ReportExport schedule={displayedSchedule} summary={figures} />
+
       <div className="results-main">
         <h3>
           Estimated monthly payment (Scenario A)
           <InfoTip text="An estimate of your monthly mortgage cost based on your inputs. Actual lender offers may differ." />
         </h3>
-        <p className="monthly">
-          £{hasResult ? monthlyPayment.toFixed(2) : "0.00"}
-        </p>
+        <p className="monthly">{figures.monthlyPayment}</p>
       </div>
 
+      <BudgetSummary budget={budget} monthlyPayment={monthlyPayment} />
+
       <div className="results-grid">
         <div className="results-box">
           <h4>
             Loan amount
             <InfoTip text="Loan amount = Property price minus your deposit. This is how much you are borrowing." />
           </h4>
-          <p>{loanAmount ? `£${loanAmount.toLocaleString()}` : "£0"}</p>
+          <p>{figures.loanAmount}</p>
+          {feeAdded > 0 && (
+            <span className="results-note">
+              plus {formatCurrency(feeAdded)} product fee added to the loan
+            </span>
+          )}
         </div>
         <div className="results-box">
           <h4>
             Loan-to-value (LTV)
             <InfoTip text="LTV compares the loan amount to the property price. Lower LTVs usually get better rates." />
           </h4>
-          <p>{ltv ? `${ltv.toFixed(1)}%` : "–"}</p>
+          <p>{figures.ltv}</p>
+          {ltvBands && ltvBands.band !== null && (
+            <span className="results-note">in the {ltvBands.band}% band</span>
+          )}
         </div>
         <div className="results-box">
           <h4>Total interest paid (Scenario A)</h4>
-          <p>
-            {totalInterest > 0
-              ? `£${totalInterest.toLocaleString(undefined, {
-                  maximumFractionDigits: 0,
-                })}`
-              : "£0"}
-          </p>
+          <p>{figures.totalInterest}</p>
         </div>
         <div className="results-box">
           <h4>Total repaid over term (Scenario A)</h4>
-          <p>
-            {totalPayment > 0
-              ? `£${totalPayment.toLocaleString(undefined, {
-                  maximumFractionDigits: 0,
-                })}`
-              : "£0"}
-          </p>
+          <p>{figures.totalPayment}</p>
+        </div>
+        <div className="results-box">
+          <h4>
+            APRC (Scenario A)
+            <InfoTip text="Annual Percentage Rate of Charge: the overall yearly cost of the mortgage over the full term, including the product fee, cashback and any follow-on rate." />
+          </h4>
+          <p>{figures.aprc}</p>
         </div>
+        {capitalOutstanding > 0 && (
+          <div className="results-box">
+            <h4>
+              Capital still owed at end of term
+              <InfoTip text="On interest-only, your monthly payments don't reduce this part of the loan. You'll need to repay it at the end, e.g. from savings, investments or selling the property." />
+            </h4>
+            <p>{figures.capitalOutstanding}</p>
+          </div>
+        )}
       </div>
 
-      {hasScenarioB && (
-        <div className="comparison-card">
-          <h3>Scenario comparison</h3>
-          <p>
-            Comparing your main rate (
-            <strong>{formData.interestRate}%</strong>) with your comparison rate{" "}
-            (<strong>{formData.interestRateB}%</strong>).
-          </p>
-          <div className="comparison-grid">
-            <div className="comparison-col">
-              <h4>Scenario A</h4>
-              <p>
-                <strong>Monthly:</strong>{" "}
-                {monthlyPayment > 0
-                  ? `£${monthlyPayment.toFixed(2)}`
-                  : "–"}
-              </p>
-              <p>
-                <strong>Total interest:</strong>{" "}
-                {totalInterest > 0
-                  ? `£${totalInterest.toLocaleString(undefined, {
-                      maximumFractionDigits: 0,
-                    })}`
-                  : "–"}
-              </p>
-              <p>
-                <strong>Total repaid:</strong>{" "}
-                {totalPayment > 0
-                  ? `£${totalPayment.toLocaleString(undefined, {
-                      maximumFractionDigits: 0,
-                    })}`
-                  : "–"}
-              </p>
-            </div>
-            <div className="comparison-col">
-              <h4>Scenario B</h4>
-              <p>
-                <strong>Monthly:</strong>{" "}
-                {monthlyPaymentB > 0
-                  ? `£${monthlyPaymentB.toFixed(2)}`
-                  : "–"}
-              </p>
-              <p>
-                <strong>Total interest:</strong>{" "}
-                {totalInterestB > 0
-                  ? `£${totalInterestB.toLocaleString(undefined, {
-                      maximumFractionDigits: 0,
-                    })}`
-                  : "–"}
-              </p>
-              <p>
-                <strong>Total repaid:</strong>{" "}
-                {totalPaymentB > 0
-                  ? `£${totalPaymentB.toLocaleString(undefined, {
-                      maximumFractionDigits: 0,
-                    })}`
-                  : "–"}
-              </p>
-            </div>
-          </div>
-        </div>
-      )}
+      <LtvBandPanel bands={ltvBands} />
+
+      <SharedOwnershipPanel
+        formData={formData}
+        handleChange={handleChange}
+        costs={sharedCosts}
+        staircasing={staircasing}
+        staircaseError={staircaseError}
+      />
+
+      <UpfrontCosts
+        formData={formData}
+        handleChange={handleChange}
+        formatFieldOnBlur={formatFieldOnBlur}
+        sdlt={sdlt}
+        upfront={upfront}
+      />
+
+      <AffordabilityPanel
+        formData={formData}
+        handleChange={handleChange}
+        affordability={affordability}
+      />
+
+      <RatePhases
+        phases={ratePhases}
+        shock={paymentShock(ratePhases)}
+        fixedPeriod={formData.fixedPeriod}
+        tracker={tracker}
+      />
+
+      <SensitivityPanel
+        sensitivity={sensitivity}
+        formData={formData}
+        updateField={updateField}
+        termYears={Math.ceil(termMonths / 12)}
+        fixedMonths={sensitivityFrom - 1}
+      />
+
+      <ScenarioComparison
+        rows={comparisonRows}
+        periodLabel={periodLabel}
+        actions={scenarioActions}
+        rateLabel={
+          formData.mortgageType === "tracker"
+            ? "Margin over base rate (%)"
+            : "Interest rate (%)"
+        }
+      />
 
       <div className="stacked-bar-wrapper">
         <p className="stacked-label">Mortgage cost breakdown (Scenario A)</p>
@@ -813,21 +1755,42 @@ function StepThreeResults({
         </div>
       </div>
 
-      {firstRows.length > 0 && (
-        <div className="schedule-wrapper">
-          <h3>Repayment schedule snapshot (Scenario A)</h3>
-          <div className="schedule-grid">
-            <div>
-              <h4>First months</h4>
-              <ScheduleTable rows={firstRows} />
-            </div>
-            <div>
-              <h4>Final months</h4>
-              <ScheduleTable rows={lastRows} />
-            </div>
-          </div>
-        </div>
-      )}
+      <ResultsCharts
+        scenarios={comparisonRows
+          .filter(({ result }) => result)
+          .map(({ name, result }) => ({
+            name,
+            borrowing: result.borrowing,
+            schedule: result.schedule,
+          }))}
+      />
+
+      <OverpaymentPlanner
+        formData={formData}
+        handleChange={handleChange}
+        updateField={updateField}
+        termMonths={termMonths}
+        borrowing={borrowing}
+        baseSchedule={schedule}
+        withOverpayments={withOverpayments}
+        summary={overpaymentSummary}
+        allowanceBreaches={allowanceBreaches}
+      />
+
+      <OffsetPlanner
+        formData={formData}
+        handleChange={handleChange}
+        formatFieldOnBlur={formatFieldOnBlur}
+        offset={offset}
+        repayment={formData.repaymentType === "repayment"}
+        standardPayment={monthlyPayment}
+        standardMonths={schedule.length}
+      />
+
+      <AmortisationSchedule
+        schedule={displayedSchedule}
+        title={scheduleTitle}
+      />
 
       <div className="explanation">
         <p>
@@ -841,47 +1804,18 @@ function StepThreeResults({
       <div className="actions">
         <button onClick={prevStep}>← Back</button>
       </div>
-    </section>
-  );
-}
 
-function ScheduleTable({ rows }) {
-  return (
-    <table className="schedule-table">
-      <thead>
-        <tr>
-          <th>Month</th>
-          <th>Principal</th>
-          <th>Interest</th>
-          <th>Balance</th>
-        </tr>
-      </thead>
-      <tbody>
-        {rows.map((row) => (
-          <tr key={row.month}>
-            <td>{row.month}</td>
-            <td>
-              £
-              {row.principal.toLocaleString(undefined, {
-                maximumFractionDigits: 0,
-              })}
-            </td>
-            <td>
-              £
-              {row.interest.toLocaleString(undefined, {
-                maximumFractionDigits: 0,
-              })}
-            </td>
-            <td>
-              £
-              {row.balance.toLocaleString(undefined, {
-                maximumFractionDigits: 0,
-              })}
-            </td>
-          </tr>
-        ))}
-      </tbody>
-    </table>
+      <PrintReport
+        formData={formData}
+        figures={figures}
+        capitalOutstanding={capitalOutstanding}
+        comparisonRows={comparisonRows}
+        periodLabel={periodLabel}
+        upfront={upfront}
+        schedule={displayedSchedule}
+        scheduleTitle={scheduleTitle}
+      />
+    </section>
   );
 }
 
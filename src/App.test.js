@@ -1,4 +1,4 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
 test('renders learn react link', () => {
@@ -6,3 +6,25 @@ test('renders learn react link', () => {
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('stops browser forward at the first step whose inputs are invalid', () => {
+  const results =
+    '/?price=250000&deposit=25000&income=60000&term=25&rate=4.5&step=results';
+  localStorage.clear();
+  window.history.replaceState(null, '', results);
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /Your Results/ })).toBeVisible();
+
+  // Back to the first step, clear the price, then forward to the results
+  window.history.pushState(null, '', results.replace('results', 'details'));
+  fireEvent.popState(window);
+  fireEvent.change(screen.getByLabelText(/Property price/), {
+    target: { value: '' },
+  });
+  window.history.pushState(null, '', results);
+  fireEvent.popState(window);
+
+  expect(screen.getByRole('heading', { name: /Your Details/ })).toBeVisible();
+  expect(screen.queryByRole('heading', { name: /Your Results/ })).toBeNull();
+  expect(window.location.search).toMatch(/step=details/);
+});
@@ -0,0 +1,101 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { MAX_INCOME_MULTIPLE } from "../lib/affordability";
+import { formatCurrency, parseNumberInput } from "../lib/format";
+
+const STATUS_LABELS = {
+  pass: "Looks affordable",
+  warn: "May be a stretch",
+  fail: "Likely to be declined",
+};
+
+const STATUS_ICONS = {
+  pass: "✓",
+  warn: "!",
+  fail: "✕",
+};
+
+// Pass / warn / fail summary of the income-multiple and stress-test checks,
+// with the settings used so the user can match a particular lender.
+function AffordabilityPanel({ formData, handleChange, affordability }) {
+  if (!affordability) return null;
+
+  const multipleNum = parseNumberInput(formData.incomeMultiple);
+  const multipleValid =
+    formData.incomeMultiple === "" ||
+    (multipleNum > 0 && multipleNum <= MAX_INCOME_MULTIPLE);
+  const bufferNum = parseNumberInput(formData.stressBuffer);
+  const bufferValid =
+    formData.stressBuffer === "" || (bufferNum >= 0 && bufferNum <= 20);
+
+  return (
+    <div className={`affordability-card status-${affordability.status}`}>
+      <h3>
+        Affordability check:{" "}
+        <span className="status-label">
+          {STATUS_LABELS[affordability.status]}
+        </span>
+        <InfoTip text="A rough guide based on your income. Lenders also look at your outgoings and credit history." />
+      </h3>
+
+      <ul className="affordability-checks">
+        {affordability.checks.map((check) => (
+          <li key={check.id} className={`check-${check.status}`}>
+            <span className="check-icon" aria-hidden="true">
+              {STATUS_ICONS[check.status]}
+            </span>
+            {check.message}
+          </li>
+        ))}
+      </ul>
+
+      <div className="results-grid">
+        <div className="results-box">
+          <h4>Estimated maximum borrowing</h4>
+          <p>{formatCurrency(affordability.maxBorrowing)}</p>
+          <span className="results-note">
+            {affordability.headroom >= 0
+              ? `${formatCurrency(affordability.headroom)} more than you need`
+              : `${formatCurrency(-affordability.headroom)} less than you need`}
+          </span>
+        </div>
+        <div className="results-box">
+          <h4>
+            Monthly payment at {affordability.stressRate.toFixed(2)}%
+            <InfoTip text="Lenders check you could still pay if rates rose. This uses your rate plus the stress buffer." />
+          </h4>
+          <p>{formatCurrency(affordability.stressedPayment, 2)}</p>
+        </div>
+      </div>
+
+      <div className="grid">
+        <div className={`field ${!multipleValid ? "error" : ""}`}>
+          <NumberInput
+            label="Income multiple"
+            name="incomeMultiple"
+            value={formData.incomeMultiple}
+            onChange={handleChange}
+            placeholder="e.g. 4.5"
+            error={
+              !multipleValid &&
+              `Please enter a multiple between 0 and ${MAX_INCOME_MULTIPLE}.`
+            }
+          />
+        </div>
+        <div className={`field ${!bufferValid ? "error" : ""}`}>
+          <NumberInput
+            label="Stress test buffer (% points)"
+            name="stressBuffer"
+            value={formData.stressBuffer}
+            onChange={handleChange}
+            placeholder="e.g. 3"
+            error={!bufferValid && "Please enter a buffer between 0 and 20."}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AffordabilityPanel;
@@ -0,0 +1,117 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import {
+  MAX_AGE,
+  MAX_AGE_OPTIONS,
+  MIN_AGE,
+  ageLimitCheck,
+  termFields,
+} from "../lib/term";
+import { formatDuration, parseNumber } from "../lib/format";
+
+const FIELDS = [
+  {
+    name: "applicantAge",
+    label: "Your age",
+    hint: "Optional. Lenders want the mortgage repaid by a maximum age, so your age can limit the term.",
+    placeholder: "e.g. 35 (optional)",
+  },
+  {
+    name: "secondApplicantAge",
+    label: "Second applicant's age",
+    hint: "Optional. For a joint mortgage, lenders go by the older applicant.",
+    placeholder: "e.g. 33 (optional)",
+  },
+];
+
+// Step 1 applicant ages and the lender's maximum age at the end of the term.
+// Warns when the term runs past it and offers the longest term allowed.
+function AgeLimitFields({ formData, handleChange, updateField, termMonths }) {
+  const agesValid = FIELDS.every(({ name }) =>
+    fieldValid(name, formData[name])
+  );
+  const check = agesValid
+    ? ageLimitCheck(
+        FIELDS.map(({ name }) => parseNumber(formData[name])),
+        termMonths,
+        parseNumber(formData.maxAgeAtEnd)
+      )
+    : null;
+
+  const useLongestTerm = () => {
+    const fields = termFields(check.maxTermMonths);
+    updateField("term", fields.term);
+    updateField("termExtraMonths", fields.termExtraMonths);
+  };
+
+  return (
+    <fieldset className="fee-group">
+      <legend>Age at the end of the term</legend>
+      <div className="grid">
+        {FIELDS.map(({ name, label, hint, placeholder }) => {
+          const valid = fieldValid(name, formData[name]);
+          return (
+            <div key={name} className={`field ${!valid ? "error" : ""}`}>
+              <NumberInput
+                label={label}
+                hint={hint}
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                placeholder={placeholder}
+                min={MIN_AGE}
+                max={MAX_AGE}
+                error={!valid && FIELD_RULES[name].message}
+              />
+            </div>
+          );
+        })}
+        <div className="field">
+          <label>
+            Lender's maximum age
+            <InfoTip text="The age by which the mortgage must be repaid. Many lenders use 70, some go up to 75." />
+          </label>
+          <select
+            name="maxAgeAtEnd"
+            value={formData.maxAgeAtEnd}
+            onChange={handleChange}
+          >
+            {MAX_AGE_OPTIONS.map((age) => (
+              <option key={age} value={age}>
+                {age}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {check && check.withinLimit && (
+        <p className="results-note">
+          The oldest applicant would be {Math.floor(check.ageAtEnd)} at the end
+          of the term, within the maximum age of {check.maxAge}.
+        </p>
+      )}
+      {check && !check.withinLimit && (
+        <div className="allowance-warning" role="alert">
+          <strong>Past the lender's maximum age:</strong> the oldest applicant
+          would be {Math.floor(check.ageAtEnd)} at the end of the term, and this
+          lender wants the mortgage repaid by {check.maxAge}.{" "}
+          {check.maxTermMonths > 0 ? (
+            <>
+              The longest term allowed is {formatDuration(check.maxTermMonths)}.{" "}
+              <button type="button" onClick={useLongestTerm}>
+                Use {formatDuration(check.maxTermMonths)}
+              </button>
+            </>
+          ) : (
+            "This lender wouldn't offer a mortgage at this age."
+          )}
+        </div>
+      )}
+    </fieldset>
+  );
+}
+
+export default AgeLimitFields;
@@ -0,0 +1,122 @@
+import React, { useMemo, useState } from "react";
+import { groupScheduleByYear } from "../lib/mortgage";
+import { formatCurrency } from "../lib/format";
+
+// Years shown per page – keeps a 35-year (420 month) schedule quick to render
+const YEARS_PER_PAGE = 10;
+
+// Full amortisation schedule: one summary row per year, each of which can be
+// expanded to show its months. Running totals show how much interest and
+// principal have been paid so far.
+function AmortisationSchedule({ schedule, title }) {
+  const years = useMemo(() => groupScheduleByYear(schedule), [schedule]);
+  const showOverpaid = years.some((year) => year.overpayment > 0);
+  const [page, setPage] = useState(0);
+  const [expandedYears, setExpandedYears] = useState({});
+
+  const pageCount = Math.max(Math.ceil(years.length / YEARS_PER_PAGE), 1);
+  // The schedule can shrink (e.g. shorter term) while we're on a later page
+  const currentPage = Math.min(page, pageCount - 1);
+  const visibleYears = years.slice(
+    currentPage * YEARS_PER_PAGE,
+    (currentPage + 1) * YEARS_PER_PAGE
+  );
+
+  const toggleYear = (year) => {
+    setExpandedYears((prev) => ({ ...prev, [year]: !prev[year] }));
+  };
+
+  if (years.length === 0) return null;
+
+  return (
+    <div className="schedule-wrapper">
+      <h3>{title}</h3>
+      <div className="schedule-scroll">
+        <table className="schedule-table full-schedule">
+          <thead>
+            <tr>
+              <th>Year / month</th>
+              <th>Paid</th>
+              <th>Principal</th>
+              <th>Interest</th>
+              {showOverpaid && <th>Overpaid</th>}
+              <th>Balance</th>
+              <th>Interest to date</th>
+              <th>Principal to date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleYears.map((year) => {
+              const expanded = !!expandedYears[year.year];
+              return (
+                <React.Fragment key={year.year}>
+                  <tr className="schedule-year-row">
+                    <td>
+                      <button
+                        type="button"
+                        className="schedule-toggle"
+                        aria-expanded={expanded}
+                        onClick={() => toggleYear(year.year)}
+                      >
+                        {expanded ? "▾" : "▸"} Year {year.year}
+                      </button>
+                    </td>
+                    <td>{formatCurrency(year.payment)}</td>
+                    <td>{formatCurrency(year.principal)}</td>
+                    <td>{formatCurrency(year.interest)}</td>
+                    {showOverpaid && (
+                      <td>{formatCurrency(year.overpayment)}</td>
+                    )}
+                    <td>{formatCurrency(year.balance)}</td>
+                    <td>{formatCurrency(year.cumulativeInterest)}</td>
+                    <td>{formatCurrency(year.cumulativePrincipal)}</td>
+                  </tr>
+                  {expanded &&
+                    year.months.map((row) => (
+                      <tr key={row.month} className="schedule-month-row">
+                        <td>Month {row.month}</td>
+                        <td>{formatCurrency(row.payment, 2)}</td>
+                        <td>{formatCurrency(row.principal, 2)}</td>
+                        <td>{formatCurrency(row.interest, 2)}</td>
+                        {showOverpaid && (
+                          <td>{formatCurrency(row.overpayment, 2)}</td>
+                        )}
+                        <td>{formatCurrency(row.balance, 2)}</td>
+                        <td>{formatCurrency(row.cumulativeInterest, 2)}</td>
+                        <td>{formatCurrency(row.cumulativePrincipal, 2)}</td>
+                      </tr>
+                    ))}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="schedule-pager">
+          <button
+            type="button"
+            onClick={() => setPage(currentPage - 1)}
+            disabled={currentPage === 0}
+          >
+            ← Earlier years
+          </button>
+          <span>
+            Years {visibleYears[0].year}–
+            {visibleYears[visibleYears.length - 1].year} of {years.length}
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage(currentPage + 1)}
+            disabled={currentPage >= pageCount - 1}
+          >
+            Later years →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AmortisationSchedule;
@@ -0,0 +1,56 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import { DTI_GOOD, DTI_HIGH } from "../lib/budget";
+import { formatCurrency } from "../lib/format";
+
+// Disposable income and debt-to-income ratio next to the mortgage payment,
+// shown when the optional outgoings step is switched on.
+function BudgetSummary({ budget, monthlyPayment }) {
+  if (!budget) return null;
+
+  return (
+    <div className="budget-summary">
+      <h3>Your monthly budget</h3>
+      <div className="results-grid">
+        <div className="results-box">
+          <h4>
+            Take-home pay
+            {budget.estimated && (
+              <InfoTip text="Estimated from your income using 2025/26 income tax and National Insurance rates. Enter your own figure in the outgoings step for a closer picture." />
+            )}
+          </h4>
+          <p>{formatCurrency(budget.netMonthly)}</p>
+          {budget.estimated && <span className="results-note">estimated</span>}
+        </div>
+        <div className="results-box">
+          <h4>Outgoings</h4>
+          <p>{formatCurrency(budget.totalOutgoings)}</p>
+        </div>
+        <div className="results-box">
+          <h4>Mortgage payment</h4>
+          <p>{formatCurrency(monthlyPayment)}</p>
+        </div>
+        <div
+          className={`results-box ${budget.disposable < 0 ? "shock" : ""}`}
+        >
+          <h4>
+            Left over each month
+            <InfoTip text="Take-home pay minus your outgoings and mortgage payment. Remember food, travel and other day-to-day spending come out of this." />
+          </h4>
+          <p>{formatCurrency(budget.disposable)}</p>
+        </div>
+        <div className={`results-box dti-${budget.dtiStatus}`}>
+          <h4>
+            Debt-to-income ratio
+            <InfoTip
+              text={`Loan, card and mortgage payments as a share of gross monthly income. Under ${DTI_GOOD}% is usually comfortable; over ${DTI_HIGH}% many lenders will be cautious.`}
+            />
+          </h4>
+          <p>{budget.dti.toFixed(1)}%</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default BudgetSummary;
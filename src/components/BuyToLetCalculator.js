@@ -0,0 +1,219 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { ICR_OPTIONS, assessBuyToLet, btlStressRate } from "../lib/buyToLet";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { formatCurrency, parseNumber } from "../lib/format";
+
+const FIELDS = [
+  {
+    name: "propertyPrice",
+    label: "Property price (£)",
+    hint: "The price of the property you want to let out.",
+    placeholder: "e.g. 250,000",
+    kind: "money",
+    required: true,
+  },
+  {
+    name: "deposit",
+    label: "Deposit (£)",
+    hint: "Buy-to-let lenders usually want at least 25% of the price.",
+    placeholder: "e.g. 62,500",
+    kind: "money",
+    required: true,
+  },
+  {
+    name: "interestRate",
+    label: "Interest rate (%)",
+    hint: "The rate of the buy-to-let deal you're looking at.",
+    placeholder: "e.g. 4.5",
+    kind: "percent",
+    required: true,
+  },
+  {
+    name: "monthlyRent",
+    label: "Expected monthly rent (£)",
+    hint: "What the property would let for. Lenders use a surveyor's estimate.",
+    placeholder: "e.g. 1,400",
+    kind: "money",
+    required: true,
+  },
+  {
+    name: "lettingCosts",
+    label: "Yearly running costs (£)",
+    hint: "Letting agent fees, insurance, repairs, service charge and ground rent – anything but the mortgage. Used for the net yield.",
+    placeholder: "e.g. 3,000",
+    kind: "money",
+  },
+];
+
+// Landlord mortgages: the interest cover ratio (ICR) test on the rent, the
+// most the rent supports, and the yields, for an interest-only loan
+function BuyToLetCalculator({ formData, handleChange, formatFieldOnBlur }) {
+  const rate = parseNumber(formData.interestRate);
+  const defaultStress = btlStressRate(rate);
+
+  const valid =
+    FIELDS.every(
+      ({ name, required }) =>
+        fieldValid(name, formData[name]) && (!required || formData[name] !== "")
+    ) && fieldValid("btlStressRate", formData.btlStressRate);
+
+  const result = valid
+    ? assessBuyToLet({
+        propertyPrice: parseNumber(formData.propertyPrice),
+        deposit: parseNumber(formData.deposit),
+        annualRate: rate,
+        monthlyRent: parseNumber(formData.monthlyRent),
+        icr: parseNumber(formData.icrRatio),
+        stressRate:
+          formData.btlStressRate !== ""
+            ? parseNumber(formData.btlStressRate)
+            : defaultStress,
+        annualCosts: parseNumber(formData.lettingCosts),
+      })
+    : null;
+
+  const stressValid = fieldValid("btlStressRate", formData.btlStressRate);
+
+  return (
+    <section className="card btl-card">
+      <h2>Buy-to-let</h2>
+      <p>
+        Buy-to-let lenders size the loan on the rent, not your income. Most
+        landlord mortgages are interest-only, so that's what's shown here.
+      </p>
+
+      <div className="grid">
+        {FIELDS.map(({ name, label, hint, placeholder, kind }) => {
+          const fieldOk = fieldValid(name, formData[name]);
+          return (
+            <div key={name} className={`field ${!fieldOk ? "error" : ""}`}>
+              <NumberInput
+                label={label}
+                hint={hint}
+                kind={kind}
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                onBlur={
+                  kind === "money" ? () => formatFieldOnBlur(name) : undefined
+                }
+                placeholder={placeholder}
+                error={!fieldOk && FIELD_RULES[name].message}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <fieldset className="fee-group">
+        <legend>Lender's rental test</legend>
+        <div className="grid">
+          <div className="field">
+            <label>
+              Interest cover ratio
+              <InfoTip text="How much the rent must exceed the stressed interest. Higher-rate taxpayers usually face 145% because of the restriction on mortgage interest relief." />
+            </label>
+            <select
+              name="icrRatio"
+              value={formData.icrRatio}
+              onChange={handleChange}
+            >
+              {ICR_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={`field ${!stressValid ? "error" : ""}`}>
+            <NumberInput
+              label="Stress rate (%)"
+              hint="The rate the lender tests the rent against. Leave blank to use the higher of your rate plus 2 points and 5.5%."
+              kind="percent"
+              name="btlStressRate"
+              value={formData.btlStressRate}
+              onChange={handleChange}
+              placeholder={`${defaultStress.toFixed(2)} (default)`}
+              error={!stressValid && FIELD_RULES.btlStressRate.message}
+            />
+          </div>
+        </div>
+      </fieldset>
+
+      {result && (
+        <>
+          <div
+            className={`affordability-card status-${
+              result.passes ? "pass" : "fail"
+            }`}
+          >
+            <h3>
+              Rental cover:{" "}
+              <span className="status-label">
+                {result.passes ? "Passes" : "Falls short"}
+              </span>
+            </h3>
+            <p>
+              The rent is {result.coverage.toFixed(0)}% of the interest-only
+              payment of {formatCurrency(result.stressedPayment, 2)} at{" "}
+              {result.stressRate.toFixed(2)}%; the lender needs {result.icr}%.
+              {!result.passes &&
+                ` You'd need about ${formatCurrency(
+                  result.shortfall
+                )} more deposit, or more rent.`}
+            </p>
+          </div>
+
+          <div className="results-grid">
+            <div className="results-box">
+              <h4>
+                Most the rent supports
+                <InfoTip text="The largest loan that passes the interest cover test at the stress rate." />
+              </h4>
+              <p>{formatCurrency(result.maxLoan)}</p>
+              <span className="results-note">
+                you need {formatCurrency(result.loanAmount)} (
+                {result.ltv.toFixed(1)}% LTV)
+              </span>
+            </div>
+            <div className="results-box">
+              <h4>Monthly payment (interest-only)</h4>
+              <p>{formatCurrency(result.monthlyPayment, 2)}</p>
+              <span className="results-note">
+                {formatCurrency(result.loanAmount)} still owed at the end
+              </span>
+            </div>
+            <div className="results-box">
+              <h4>
+                Gross yield
+                <InfoTip text="Yearly rent as a percentage of the price." />
+              </h4>
+              <p>{result.gross.toFixed(2)}%</p>
+            </div>
+            <div className="results-box">
+              <h4>
+                Net yield
+                <InfoTip text="Yearly rent less running costs, as a percentage of the price. Mortgage interest isn't included." />
+              </h4>
+              <p>{result.net.toFixed(2)}%</p>
+            </div>
+            <div className="results-box">
+              <h4>
+                Monthly cash flow
+                <InfoTip text="Rent left each month after running costs and the mortgage payment, before tax." />
+              </h4>
+              <p>
+                {result.cashFlow < 0 ? "–" : ""}
+                {formatCurrency(Math.abs(result.cashFlow), 2)}
+              </p>
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default BuyToLetCalculator;
@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+
+// Shows a link to this exact calculation (see lib/urlState) with a button to
+// copy it, e.g. for an adviser to send to a customer
+function CopyLinkButton({ url }) {
+  const [status, setStatus] = useState("");
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus("Link copied");
+    } catch {
+      setStatus("Couldn't copy – select the link and copy it instead");
+    }
+  };
+
+  return (
+    <div className="share-link">
+      <input
+        type="text"
+        readOnly
+        value={url}
+        aria-label="Link to this calculation"
+        onFocus={(e) => e.target.select()}
+      />
+      <button type="button" onClick={copyLink}>
+        Copy link
+      </button>
+      <span className="results-note" role="status">
+        {status}
+      </span>
+    </div>
+  );
+}
+
+export default CopyLinkButton;
@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import NumberInput from "./NumberInput";
+import { depositPercent } from "../lib/ltvBands";
+import { purchasePriceFor } from "../lib/sharedOwnership";
+import {
+  formatNumberString,
+  parseNumber,
+  parseNumberInput,
+} from "../lib/format";
+
+// The deposit as a percentage of the price, kept in step with the deposit in
+// pounds: typing a percentage fills in the amount, and changing the amount
+// (or the price) updates the percentage. Only the amount is stored.
+function DepositPercentField({ formData, updateField }) {
+  // What's being typed, so "10." isn't tidied to "10" mid-edit
+  const [draft, setDraft] = useState(null);
+  const price = purchasePriceFor(formData);
+
+  const percent =
+    price > 0 && formData.deposit !== ""
+      ? String(
+          Number(
+            depositPercent(price, parseNumber(formData.deposit)).toFixed(2)
+          )
+        )
+      : "";
+
+  const draftNum = draft === null ? NaN : parseNumberInput(draft);
+  const error =
+    draft === null || draft.trim() === ""
+      ? ""
+      : !(price > 0)
+      ? "Enter the property price first."
+      : !(draftNum >= 0 && draftNum < 100)
+      ? "Please enter a percentage from 0 up to 100."
+      : "";
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    setDraft(text);
+    const num = parseNumberInput(text);
+    if (text.trim() === "") {
+      updateField("deposit", "");
+    } else if (price > 0 && num >= 0 && num < 100) {
+      updateField(
+        "deposit",
+        formatNumberString(String(Math.round((price * num) / 100)))
+      );
+    }
+  };
+
+  return (
+    <div className={`field ${error ? "error" : ""}`}>
+      <NumberInput
+        label="Deposit (% of price)"
+        hint="Type a percentage to fill in the deposit amount, or the other way round. Most lenders want at least 5%."
+        kind="percent"
+        name="depositPercent"
+        value={draft ?? percent}
+        onChange={handleChange}
+        onBlur={() => setDraft(null)}
+        placeholder="e.g. 10"
+        error={error}
+      />
+    </div>
+  );
+}
+
+export default DepositPercentField;
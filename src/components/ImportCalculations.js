@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import InfoTip from "./InfoTip";
+import { importScenarios } from "../lib/importScenarios";
+
+// Anything bigger is not a deal sheet
+const MAX_FILE_BYTES = 1024 * 1024;
+
+function readText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// "interestOnlyPart" -> "Interest only part"
+function fieldLabel(field) {
+  const words = field.replace(/([A-Z])/g, " $1").toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// Import calculations from a JSON or CSV file (see lib/importScenarios).
+// Each row is listed with its errors; valid rows can be loaded into the
+// calculator one at a time or all added to the saved calculations.
+function ImportCalculations({ onLoad, onSave }) {
+  const [fileName, setFileName] = useState("");
+  const [result, setResult] = useState(null); // { rows, ignored } | { error }
+
+  const readFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileName(file.name);
+    if (file.size > MAX_FILE_BYTES) {
+      setResult({ error: "This file is too large to import." });
+      return;
+    }
+    try {
+      setResult(importScenarios(await readText(file), file.name));
+    } catch {
+      setResult({ error: "This file couldn't be read." });
+    }
+  };
+
+  const validRows = result?.rows
+    ? result.rows.filter((row) => row.errors.length === 0)
+    : [];
+
+  const saveValid = () => {
+    onSave(validRows);
+    setResult(null);
+  };
+
+  return (
+    <div className="import-calculations">
+      <label className="import-label">
+        Import from a file (JSON or CSV)
+        <InfoTip text="Use the calculator's field names as column headings or JSON keys, e.g. name, propertyPrice, deposit, term, interestRate. Each row is checked with the same rules as the form." />
+        <input
+          type="file"
+          accept=".json,.csv,application/json,text/csv"
+          onChange={readFile}
+        />
+      </label>
+
+      {result?.error && (
+        <p className="field-error" role="alert">
+          {fileName}: {result.error}
+        </p>
+      )}
+
+      {result?.rows && (
+        <>
+          <p className="results-note" role="status">
+            {fileName}: {validRows.length} of {result.rows.length} row
+            {result.rows.length === 1 ? "" : "s"} ready to import.
+            {result.ignored.length > 0 &&
+              ` Ignored columns: ${result.ignored.join(", ")}.`}
+          </p>
+          <div className="schedule-scroll">
+            <table className="schedule-table import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Name</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.rows.map((row) => (
+                  <tr
+                    key={row.row}
+                    className={row.errors.length > 0 ? "import-invalid" : ""}
+                  >
+                    <td>{row.row}</td>
+                    <td>{row.name || "–"}</td>
+                    <td>
+                      {row.errors.length === 0 ? (
+                        "OK"
+                      ) : (
+                        <ul className="import-errors">
+                          {row.errors.map(({ field, message }) => (
+                            <li key={`${field}:${message}`}>
+                              {fieldLabel(field)}: {message}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                    <td>
+                      {row.errors.length === 0 && (
+                        <button type="button" onClick={() => onLoad(row)}>
+                          Load
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="saved-actions">
+            <button
+              type="button"
+              className="primary"
+              disabled={validRows.length === 0}
+              onClick={saveValid}
+            >
+              Add {validRows.length} to saved calculations
+            </button>
+            <button type="button" onClick={() => setResult(null)}>
+              Cancel
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ImportCalculations;
@@ -0,0 +1,13 @@
+import React from "react";
+
+// Reusable tooltip component
+function InfoTip({ text }) {
+  return (
+    <span className="info-tip">
+      ?
+      <span className="info-tip-text">{text}</span>
+    </span>
+  );
+}
+
+export default InfoTip;
@@ -0,0 +1,93 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import { BAND_RATES, LTV_BANDS } from "../lib/ltvBands";
+import { formatCurrency } from "../lib/format";
+
+// What a bigger deposit would do: the extra needed to reach the next lower
+// LTV band, the same deal at that band's typical rate, and the rate table
+// the estimate comes from
+function LtvBandPanel({ bands }) {
+  if (!bands) return null;
+  const { ltv, band, nextBand } = bands;
+
+  return (
+    <div className="upfront-card ltv-band-card">
+      <h3>
+        LTV bands
+        <InfoTip text="Lenders price mortgages in bands of loan-to-value. A bigger deposit that drops you into a lower band usually gets a better rate." />
+      </h3>
+      <p>
+        Your loan is {ltv.toFixed(1)}% of the price
+        {band === null
+          ? `, above the ${LTV_BANDS[LTV_BANDS.length - 1]}% band most lenders stop at.`
+          : `, in the ${band}% band.`}
+      </p>
+
+      {nextBand === null ? (
+        <p className="results-note">
+          You're already in the lowest band, so a bigger deposit won't usually
+          get a better rate.
+        </p>
+      ) : (
+        <div className="results-grid">
+          <div className="results-box">
+            <h4>Extra deposit for {nextBand}% LTV</h4>
+            <p>{formatCurrency(bands.extraDeposit)}</p>
+            <span className="results-note">
+              a deposit of {formatCurrency(bands.deposit)}
+            </span>
+          </div>
+          <div className="results-box">
+            <h4>
+              Rate at {nextBand}% LTV
+              <InfoTip text="Your rate less the typical gap between the two bands in the table below." />
+            </h4>
+            <p>{bands.annualRate.toFixed(2)}%</p>
+            <span className="results-note">
+              {bands.rateCut > 0
+                ? `${bands.rateCut.toFixed(2)} points lower`
+                : "same rate, smaller loan"}
+            </span>
+          </div>
+          {bands.result && (
+            <>
+              <div className="results-box">
+                <h4>Monthly saving</h4>
+                <p>{formatCurrency(bands.monthlySaving, 2)}</p>
+              </div>
+              <div className="results-box">
+                <h4>Interest saved over the term</h4>
+                <p>{formatCurrency(bands.interestSaving)}</p>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <table className="schedule-table ltv-band-table">
+        <thead>
+          <tr>
+            <th>LTV band</th>
+            <th>Typical rate</th>
+          </tr>
+        </thead>
+        <tbody>
+          {LTV_BANDS.map((value) => (
+            <tr key={value} className={value === band ? "current" : ""}>
+              <td>
+                {value === LTV_BANDS[0] ? `${value}% or less` : `${value}%`}
+              </td>
+              <td>{BAND_RATES[value].toFixed(2)}%</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="results-note">
+        Typical rates for illustration – your lender's will differ. Only the gap
+        between bands is used, taken off your own rate.
+      </p>
+    </div>
+  );
+}
+
+export default LtvBandPanel;
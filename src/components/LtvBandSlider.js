@@ -0,0 +1,64 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import { LTV_BANDS, depositForLtv, ltvBand } from "../lib/ltvBands";
+import { loanToValue } from "../lib/mortgage";
+import { purchasePriceFor } from "../lib/sharedOwnership";
+import { formatNumberString, parseNumber } from "../lib/format";
+
+const HIGHEST_BAND = LTV_BANDS[LTV_BANDS.length - 1];
+
+// Slider for the loan-to-value, marked with the bands lenders price by.
+// Moving it sets the deposit; the band the loan falls in is highlighted.
+function LtvBandSlider({ formData, updateField }) {
+  const price = purchasePriceFor(formData);
+  if (!(price > 0)) return null;
+
+  const deposit = parseNumber(formData.deposit);
+  const ltv = loanToValue(Math.max(price - deposit, 0), price);
+  const band = ltvBand(ltv);
+
+  const handleSlide = (e) => {
+    const next = Math.round(depositForLtv(price, Number(e.target.value)));
+    updateField("deposit", formatNumberString(String(next)));
+  };
+
+  return (
+    <div className="ltv-band-slider">
+      <label htmlFor="ltv-slider">
+        Loan-to-value: {ltv.toFixed(1)}%
+        <InfoTip text="Lenders set rates in LTV bands. Dropping into a lower band with a bigger deposit usually gets a better rate." />
+      </label>
+      <input
+        id="ltv-slider"
+        type="range"
+        min="0"
+        max="100"
+        step="1"
+        list="ltv-bands"
+        value={Math.round(ltv)}
+        onChange={handleSlide}
+      />
+      <datalist id="ltv-bands">
+        {LTV_BANDS.map((value) => (
+          <option key={value} value={value} />
+        ))}
+      </datalist>
+      <ol className="ltv-band-scale">
+        {LTV_BANDS.map((value) => (
+          <li key={value} className={value === band ? "current" : ""}>
+            {value}%
+          </li>
+        ))}
+      </ol>
+      <p className="results-note">
+        {band === null
+          ? `Above ${HIGHEST_BAND}% – most lenders won't lend this much.`
+          : band === LTV_BANDS[0]
+          ? `In the lowest band (${band}% or less).`
+          : `In the ${band}% band.`}
+      </p>
+    </div>
+  );
+}
+
+export default LtvBandSlider;
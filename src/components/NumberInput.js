@@ -0,0 +1,149 @@
+import React, { useId, useLayoutEffect, useRef } from "react";
+import InfoTip from "./InfoTip";
+import { groupNumberString, parseNumberInput } from "../lib/format";
+
+// "money" shows a £ prefix and groups thousands as you type (250k and 1.2m
+// shorthand work too), "percent" shows a % suffix and is kept from 0 to 100
+// unless the field says otherwise, and "number" is plain, e.g. years or months
+const KINDS = {
+  money: { prefix: "£", group: true },
+  percent: { suffix: "%", min: 0, max: 100 },
+  number: {},
+};
+
+// Characters grouping adds or removes, which the caret skips over
+const GROUPING = /[£,\s]/;
+
+// How many characters before `end` aren't grouping characters
+function significantBefore(text, end) {
+  return [...text.slice(0, end)].filter((char) => !GROUPING.test(char)).length;
+}
+
+// Caret position in `text` just after its first `count` significant
+// characters, so the caret stays beside the digit it was next to
+function caretAfter(text, count) {
+  let seen = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (seen === count) return i;
+    if (!GROUPING.test(text[i])) seen += 1;
+  }
+  return text.length;
+}
+
+// Message for a value outside `min`/`max`, or that isn't a number at all
+function rangeError(value, min, max) {
+  if (String(value).trim() === "") return "";
+  const num = parseNumberInput(value);
+  if (isNaN(num)) return "Please enter a number, e.g. 250,000 or 250k.";
+  if (min !== undefined && num < min) return `Please enter ${min} or more.`;
+  if (max !== undefined && num > max) return `Please enter ${max} or less.`;
+  return "";
+}
+
+// Text input for numbers, with its `label` (and an optional `hint` tip)
+// tied to the input. `onChange` gets an event-like { target: { name, value }
+// } so it can share the form's change handler. The built-in checks (a
+// number, from `min` to `max`) come first, then the field's own rule message
+// (`error`) for anything else, e.g. a whole number; either way the message is
+// linked to the input for screen readers. The message's live
+// region is always there, so a new message gets announced.
+function NumberInput({
+  label,
+  hint,
+  name,
+  value,
+  onChange,
+  onBlur,
+  kind = "number",
+  min = KINDS[kind].min,
+  max = KINDS[kind].max,
+  error,
+  placeholder,
+  id,
+}) {
+  const generatedId = useId();
+  const inputId = id || generatedId;
+  const errorId = `${inputId}-error`;
+  const { prefix, suffix, group } = KINDS[kind];
+
+  const inputRef = useRef(null);
+  const pendingCaret = useRef(null);
+
+  // Put the caret back after the grouped value has been rendered
+  useLayoutEffect(() => {
+    if (pendingCaret.current === null || !inputRef.current) return;
+    inputRef.current.setSelectionRange(
+      pendingCaret.current,
+      pendingCaret.current
+    );
+    pendingCaret.current = null;
+  }, [value]);
+
+  const handleChange = (e) => {
+    const raw = e.target.value;
+    const next = group ? groupNumberString(raw) : raw;
+    const caret =
+      next !== raw && e.target.selectionStart !== null
+        ? caretAfter(next, significantBefore(raw, e.target.selectionStart))
+        : null;
+    if (caret !== null && next === value) {
+      // Grouping undid the edit (e.g. a stray comma), so nothing re-renders:
+      // put the text and caret back now
+      e.target.value = next;
+      e.target.setSelectionRange(caret, caret);
+      pendingCaret.current = null;
+    } else {
+      // Cleared when there's nothing to fix, so an old position isn't reused
+      pendingCaret.current = caret;
+    }
+    onChange({ target: { name, value: next } });
+  };
+
+  const message = rangeError(value, min, max) || error;
+
+  return (
+    <>
+      {label && (
+        <label htmlFor={inputId}>
+          {label}
+          {hint && <InfoTip text={hint} />}
+        </label>
+      )}
+      <div
+        className={`number-input${prefix ? " has-prefix" : ""}${
+          suffix ? " has-suffix" : ""
+        }`}
+      >
+        {prefix && (
+          <span className="number-input-prefix" aria-hidden="true">
+            {prefix}
+          </span>
+        )}
+        <input
+          ref={inputRef}
+          id={inputId}
+          type="text"
+          inputMode="decimal"
+          autoComplete="off"
+          name={name}
+          value={value}
+          onChange={handleChange}
+          onBlur={onBlur}
+          placeholder={placeholder}
+          aria-invalid={message ? true : undefined}
+          aria-describedby={message ? errorId : undefined}
+        />
+        {suffix && (
+          <span className="number-input-suffix" aria-hidden="true">
+            {suffix}
+          </span>
+        )}
+      </div>
+      <span className="field-error" id={errorId} aria-live="polite">
+        {message}
+      </span>
+    </>
+  );
+}
+
+export default NumberInput;
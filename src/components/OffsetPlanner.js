@@ -0,0 +1,146 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import {
+  formatCurrency,
+  formatDuration,
+  formatPayoffDate,
+  parseNumber,
+} from "../lib/format";
+
+const MODE_LABELS = {
+  term: "Pay it off sooner",
+  payment: "Lower my payment",
+};
+
+// Savings held in an offset account and set against the loan, with the
+// interest saved turned into either a shorter term or a lower payment
+function OffsetPlanner({
+  formData,
+  handleChange,
+  formatFieldOnBlur,
+  offset,
+  repayment,
+  standardPayment,
+  standardMonths,
+}) {
+  if (!(standardPayment > 0)) return null;
+
+  const field = (name, label, hint, placeholder) => {
+    const valid = fieldValid(name, formData[name]);
+    return (
+      <div className={`field ${!valid ? "error" : ""}`}>
+        <NumberInput
+          label={label}
+          hint={hint}
+          kind="money"
+          name={name}
+          value={formData[name]}
+          onChange={handleChange}
+          onBlur={() => formatFieldOnBlur(name)}
+          placeholder={placeholder}
+          error={!valid && FIELD_RULES[name].message}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="overpayment-card offset-card">
+      <h3>
+        Offset mortgage
+        <InfoTip text="With an offset mortgage your savings sit in an account linked to the loan. You don't earn interest on them, but you're only charged interest on the loan minus your savings – and you can still take the money out." />
+      </h3>
+
+      {!repayment ? (
+        <p className="results-note">
+          Offset savings are modelled for repayment mortgages only.
+        </p>
+      ) : (
+        <>
+          <div className="grid">
+            {field(
+              "offsetSavings",
+              "Savings to offset (£)",
+              "The amount you'd keep in the offset account from the start.",
+              "e.g. 30,000"
+            )}
+            {field(
+              "offsetContribution",
+              "Added to savings each month (£)",
+              "Regular amounts paid into the offset account, which reduce the interest further as they build up.",
+              "e.g. 200"
+            )}
+          </div>
+
+          <div className="radio-group offset-mode">
+            {Object.entries(MODE_LABELS).map(([value, label]) => (
+              <label key={value}>
+                <input
+                  type="radio"
+                  name="offsetMode"
+                  value={value}
+                  checked={formData.offsetMode === value}
+                  onChange={handleChange}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+
+          {offset && offset.mode === "term" && (
+            <div className="results-grid">
+              <div className="results-box">
+                <h4>Mortgage-free by</h4>
+                <p>{formatPayoffDate(offset.months)}</p>
+                <span className="results-note">
+                  instead of {formatPayoffDate(standardMonths)}
+                </span>
+              </div>
+              <div className="results-box">
+                <h4>Time saved</h4>
+                <p>
+                  {offset.monthsSaved > 0
+                    ? formatDuration(offset.monthsSaved)
+                    : "–"}
+                </p>
+              </div>
+              <div className="results-box">
+                <h4>Interest saved</h4>
+                <p>{formatCurrency(offset.interestSaved)}</p>
+              </div>
+            </div>
+          )}
+
+          {offset && offset.mode === "payment" && (
+            <>
+              <div className="results-grid">
+                <div className="results-box">
+                  <h4>Monthly payment</h4>
+                  <p>{formatCurrency(offset.monthlyPayment, 2)}</p>
+                  <span className="results-note">
+                    instead of {formatCurrency(standardPayment, 2)} (
+                    {formatCurrency(offset.paymentSaving, 2)} less)
+                  </span>
+                </div>
+                <div className="results-box">
+                  <h4>Interest saved</h4>
+                  <p>{formatCurrency(offset.interestSaved)}</p>
+                </div>
+              </div>
+              {parseNumber(formData.offsetContribution) > 0 && (
+                <p className="results-note">
+                  Your payment is recalculated each month, so it keeps falling
+                  as your savings grow.
+                </p>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default OffsetPlanner;
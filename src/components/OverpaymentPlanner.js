@@ -0,0 +1,228 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { yearlyBalances } from "../lib/charts";
+import {
+  formatCurrency,
+  formatDuration,
+  formatPayoffDate,
+  parseNumberInput,
+} from "../lib/format";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+
+// Lets the user add a regular monthly overpayment and one-off lump sums, then
+// shows how much sooner the mortgage is paid off and the interest saved.
+function OverpaymentPlanner({
+  formData,
+  handleChange,
+  updateField,
+  termMonths,
+  borrowing,
+  baseSchedule,
+  withOverpayments,
+  summary,
+  allowanceBreaches,
+}) {
+  const lumpSums = formData.lumpSums || [];
+
+  const addLumpSum = () => {
+    updateField("lumpSums", [...lumpSums, { month: "", amount: "" }]);
+  };
+
+  const updateLumpSum = (index, key, value) => {
+    updateField(
+      "lumpSums",
+      lumpSums.map((lump, i) =>
+        i === index ? { ...lump, [key]: value } : lump
+      )
+    );
+  };
+
+  const removeLumpSum = (index) => {
+    updateField("lumpSums", lumpSums.filter((_, i) => i !== index));
+  };
+
+  const monthlyValid = fieldValid(
+    "monthlyOverpayment",
+    formData.monthlyOverpayment
+  );
+  const allowanceNum = parseNumberInput(formData.overpaymentAllowance);
+  const allowanceValid =
+    formData.overpaymentAllowance === "" ||
+    (allowanceNum >= 0 && allowanceNum <= 100);
+
+  if (baseSchedule.length === 0) return null;
+
+  return (
+    <div className="overpayment-card">
+      <h3>
+        Overpayment planner
+        <InfoTip text="Paying more than your monthly payment reduces the balance faster, so you pay less interest and clear the mortgage sooner." />
+      </h3>
+
+      <div className="grid">
+        <div className={`field ${!monthlyValid ? "error" : ""}`}>
+          <NumberInput
+            label="Regular monthly overpayment (£)"
+            kind="money"
+            name="monthlyOverpayment"
+            value={formData.monthlyOverpayment}
+            onChange={handleChange}
+            placeholder="e.g. 100"
+            error={!monthlyValid && FIELD_RULES.monthlyOverpayment.message}
+          />
+        </div>
+
+        <div className={`field ${!allowanceValid ? "error" : ""}`}>
+          <NumberInput
+            label="Yearly overpayment allowance (%)"
+            hint="Many deals let you overpay up to 10% of the balance each year without an early repayment charge. Set to 0 to turn off the check."
+            kind="percent"
+            name="overpaymentAllowance"
+            value={formData.overpaymentAllowance}
+            onChange={handleChange}
+            placeholder="e.g. 10"
+          />
+        </div>
+      </div>
+
+      <div className="lump-sums">
+        <h4>One-off lump sums</h4>
+        {lumpSums.map((lump, index) => {
+          const month = parseNumberInput(lump.month);
+          const monthValid =
+            lump.month === "" ||
+            (Number.isInteger(month) && month >= 1 && month <= termMonths);
+          const amountValid =
+            lump.amount === "" || parseNumberInput(lump.amount) > 0;
+          return (
+            <div className="lump-sum-row" key={index}>
+              <div className={`field ${!monthValid ? "error" : ""}`}>
+                <NumberInput
+                  label="Month"
+                  value={lump.month}
+                  onChange={(e) =>
+                    updateLumpSum(index, "month", e.target.value)
+                  }
+                  placeholder={`1–${termMonths}`}
+                  error={
+                    !monthValid && `Choose a month from 1 to ${termMonths}.`
+                  }
+                />
+              </div>
+              <div className={`field ${!amountValid ? "error" : ""}`}>
+                <NumberInput
+                  label="Amount (£)"
+                  kind="money"
+                  value={lump.amount}
+                  onChange={(e) =>
+                    updateLumpSum(index, "amount", e.target.value)
+                  }
+                  placeholder="e.g. 5,000"
+                  error={
+                    !amountValid && "Please enter an amount greater than 0."
+                  }
+                />
+              </div>
+              <button type="button" onClick={() => removeLumpSum(index)}>
+                Remove
+              </button>
+            </div>
+          );
+        })}
+        <button type="button" onClick={addLumpSum}>
+          + Add lump sum
+        </button>
+      </div>
+
+      {withOverpayments && summary && (
+        <>
+          <div className="results-grid">
+            <div className="results-box">
+              <h4>Mortgage-free by</h4>
+              <p>{formatPayoffDate(summary.newMonths)}</p>
+              <span className="results-note">
+                instead of {formatPayoffDate(summary.baseMonths)}
+              </span>
+            </div>
+            <div className="results-box">
+              <h4>Time saved</h4>
+              <p>
+                {summary.monthsSaved > 0
+                  ? formatDuration(summary.monthsSaved)
+                  : "–"}
+              </p>
+            </div>
+            <div className="results-box">
+              <h4>Interest saved</h4>
+              <p>{formatCurrency(summary.interestSaved)}</p>
+            </div>
+          </div>
+
+          {allowanceBreaches.length > 0 && (
+            <div className="allowance-warning" role="alert">
+              <strong>Over your overpayment allowance:</strong>
+              <ul>
+                {allowanceBreaches.map((breach) => (
+                  <li key={breach.year}>
+                    Year {breach.year}: {formatCurrency(breach.overpaid)}{" "}
+                    overpaid, allowance {formatCurrency(breach.allowance)}.
+                  </li>
+                ))}
+              </ul>
+              <span>
+                Your lender may charge an early repayment charge on the extra.
+              </span>
+            </div>
+          )}
+
+          <BalanceComparisonChart
+            borrowing={borrowing}
+            baseSchedule={baseSchedule}
+            newSchedule={withOverpayments.schedule}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+// Simple SVG line chart of the balance with and without overpayments, from
+// the amount borrowed (including any fee added to the loan)
+function BalanceComparisonChart({ borrowing, baseSchedule, newSchedule }) {
+  const width = 600;
+  const height = 200;
+  const before = yearlyBalances(borrowing, baseSchedule);
+  const after = yearlyBalances(borrowing, newSchedule);
+  const years = before.length - 1;
+
+  const toPoints = (balances) =>
+    balances
+      .map((balance, year) => {
+        const x = years > 0 ? (year / years) * width : 0;
+        const y = height - (balance / borrowing) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+      })
+      .join(" ");
+
+  return (
+    <figure className="balance-chart">
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Outstanding balance by year, before and after overpayments"
+      >
+        <polyline className="balance-line-before" points={toPoints(before)} />
+        <polyline className="balance-line-after" points={toPoints(after)} />
+      </svg>
+      <figcaption>
+        <span className="legend legend-before">Without overpayments</span>
+        <span className="legend legend-after">With overpayments</span>
+        <span className="legend-axis">Balance over {years} years</span>
+      </figcaption>
+    </figure>
+  );
+}
+
+export default OverpaymentPlanner;
@@ -0,0 +1,166 @@
+import React from "react";
+import { columnsFor } from "./ScenarioComparison";
+import { groupScheduleByYear } from "../lib/mortgage";
+import { reportInputs } from "../lib/report";
+import { formatCurrency } from "../lib/format";
+
+// The report printed by "Print report": hidden on screen and laid out for
+// paper by print.css. Figures come from the same results as the screen and
+// are formatted the same way, so the two always match.
+function PrintReport({
+  formData,
+  figures,
+  capitalOutstanding,
+  comparisonRows,
+  periodLabel,
+  upfront,
+  schedule,
+  scheduleTitle,
+}) {
+  const headline = [
+    ["Monthly payment", figures.monthlyPayment],
+    ["Loan amount", figures.loanAmount],
+    ["Loan-to-value (LTV)", figures.ltv],
+    ["Total interest", figures.totalInterest],
+    ["Total repaid", figures.totalPayment],
+    ["APRC", figures.aprc],
+  ];
+  if (capitalOutstanding > 0) {
+    headline.push(["Capital owed at end of term", figures.capitalOutstanding]);
+  }
+  const columns = columnsFor(periodLabel);
+  const comparedRows = comparisonRows.filter(({ result }) => result);
+  const years = groupScheduleByYear(schedule);
+  const showOverpaid = years.some((year) => year.overpayment > 0);
+
+  return (
+    <div className="print-report">
+      <h1>Mortgage illustration</h1>
+      <p className="print-date">
+        Prepared{" "}
+        {new Date().toLocaleDateString("en-GB", {
+          day: "numeric",
+          month: "long",
+          year: "numeric",
+        })}
+      </p>
+
+      <h2>Your details</h2>
+      <dl className="print-list">
+        {reportInputs(formData).map(({ label, value }) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      <h2>Results (Scenario A)</h2>
+      <dl className="print-list">
+        {headline.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+
+      {comparedRows.length > 1 && (
+        <>
+          <h2>Scenario comparison</h2>
+          <table>
+            <thead>
+              <tr>
+                <th>Scenario</th>
+                {columns.map(({ key, label }) => (
+                  <th key={key}>{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparedRows.map(({ id, name, result }) => (
+                <tr key={id}>
+                  <td>
+                    {name}
+                    {result.cheapest && " (cheapest)"}
+                  </td>
+                  {columns.map(({ key, format }) => (
+                    <td key={key}>{format(result)}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <h2>Upfront costs</h2>
+      <dl className="print-list">
+        <dt>Deposit</dt>
+        <dd>{formatCurrency(upfront.deposit)}</dd>
+        <dt>Stamp Duty (SDLT)</dt>
+        <dd>{formatCurrency(upfront.sdlt)}</dd>
+        <dt>Fees</dt>
+        <dd>{formatCurrency(upfront.totalFees)}</dd>
+        <dt>Total cash needed</dt>
+        <dd>{formatCurrency(upfront.totalCash)}</dd>
+      </dl>
+
+      {years.length > 0 && (
+        <>
+          <h2>{scheduleTitle}</h2>
+          <table className="print-schedule">
+            <thead>
+              <tr>
+                <th>Month</th>
+                <th>Paid</th>
+                <th>Principal</th>
+                <th>Interest</th>
+                {showOverpaid && <th>Overpaid</th>}
+                <th>Balance</th>
+                <th>Interest to date</th>
+                <th>Principal to date</th>
+              </tr>
+            </thead>
+            {years.map((year) => (
+              <tbody key={year.year}>
+                {year.months.map((row) => (
+                  <tr key={row.month}>
+                    <td>{row.month}</td>
+                    <td>{formatCurrency(row.payment, 2)}</td>
+                    <td>{formatCurrency(row.principal, 2)}</td>
+                    <td>{formatCurrency(row.interest, 2)}</td>
+                    {showOverpaid && (
+                      <td>{formatCurrency(row.overpayment, 2)}</td>
+                    )}
+                    <td>{formatCurrency(row.balance, 2)}</td>
+                    <td>{formatCurrency(row.cumulativeInterest, 2)}</td>
+                    <td>{formatCurrency(row.cumulativePrincipal, 2)}</td>
+                  </tr>
+                ))}
+                <tr className="print-year-total">
+                  <td>Year {year.year}</td>
+                  <td>{formatCurrency(year.payment)}</td>
+                  <td>{formatCurrency(year.principal)}</td>
+                  <td>{formatCurrency(year.interest)}</td>
+                  {showOverpaid && <td>{formatCurrency(year.overpayment)}</td>}
+                  <td>{formatCurrency(year.balance)}</td>
+                  <td>{formatCurrency(year.cumulativeInterest)}</td>
+                  <td>{formatCurrency(year.cumulativePrincipal)}</td>
+                </tr>
+              </tbody>
+            ))}
+          </table>
+        </>
+      )}
+
+      <p className="print-note">
+        This is a simplified estimate based on the information provided. Lenders
+        will carry out full affordability checks and may offer different
+        products and rates.
+      </p>
+    </div>
+  );
+}
+
+export default PrintReport;
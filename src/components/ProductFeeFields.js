@@ -0,0 +1,55 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+
+// Product fee, whether it's added to the loan, and cashback for one scenario
+// (the main deal or a comparison scenario – both use the same field names)
+function ProductFeeFields({ title, formData, handleChange, updateField }) {
+  const feeValid = fieldValid("arrangementFee", formData.arrangementFee);
+  const cashbackValid = fieldValid("cashback", formData.cashback);
+
+  return (
+    <fieldset className="fee-group">
+      <legend>{title}</legend>
+      <div className="grid">
+        <div className={`field ${!feeValid ? "error" : ""}`}>
+          <NumberInput
+            label="Product fee (£)"
+            hint="Also called an arrangement fee. A low rate with a big fee can cost more overall than a higher rate with no fee."
+            kind="money"
+            name="arrangementFee"
+            value={formData.arrangementFee}
+            onChange={handleChange}
+            placeholder="e.g. 999"
+            error={!feeValid && FIELD_RULES.arrangementFee.message}
+          />
+        </div>
+        <div className={`field ${!cashbackValid ? "error" : ""}`}>
+          <NumberInput
+            label="Cashback (£)"
+            hint="Some lenders pay you cash when the mortgage completes. It reduces the true cost of the deal."
+            kind="money"
+            name="cashback"
+            value={formData.cashback}
+            onChange={handleChange}
+            placeholder="e.g. 500"
+            error={!cashbackValid && FIELD_RULES.cashback.message}
+          />
+        </div>
+      </div>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          name="feeAddedToLoan"
+          checked={!!formData.feeAddedToLoan}
+          onChange={(e) => updateField("feeAddedToLoan", e.target.checked)}
+        />
+        Add the fee to the loan instead of paying it upfront
+        <InfoTip text="You won't need the cash now, but you'll pay interest on the fee for the whole term." />
+      </label>
+    </fieldset>
+  );
+}
+
+export default ProductFeeFields;
@@ -0,0 +1,102 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import { formatCurrency, formatDuration } from "../lib/format";
+
+// Payment for each rate phase of the mortgage (e.g. a fixed deal followed by
+// the lender's SVR), with the jump in payment when the first phase ends. For
+// a tracker (`tracker` from lib/tracker's trackerSummary), the payment range
+// and average rate instead.
+function RatePhases({ phases, shock, fixedPeriod, tracker }) {
+  if (tracker ? phases.length === 0 : phases.length < 2) return null;
+
+  const initial = phases[0];
+
+  return (
+    <div className="phases-card">
+      <h3>
+        Your payments over time
+        <InfoTip
+          text={
+            tracker
+              ? "Each time the base rate changes, your payment is recalculated on the remaining balance at the new rate."
+              : "When the fixed period ends, your payment is recalculated on the remaining balance at the follow-on rate."
+          }
+        />
+      </h3>
+
+      <table className="schedule-table phases-table">
+        <thead>
+          <tr>
+            <th>Period</th>
+            <th>Rate</th>
+            <th>Monthly payment</th>
+            <th>Total paid</th>
+          </tr>
+        </thead>
+        <tbody>
+          {phases.map((phase) => (
+            <tr key={phase.fromMonth}>
+              <td>
+                Months {phase.fromMonth}–{phase.toMonth} (
+                {formatDuration(phase.toMonth - phase.fromMonth + 1)})
+              </td>
+              <td>{phase.rate}%</td>
+              <td>{formatCurrency(phase.payment, 2)}</td>
+              <td>{formatCurrency(phase.totalPaid)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {tracker ? (
+        <div className="results-grid">
+          <div className="results-box">
+            <h4>Payment range</h4>
+            <p>
+              {tracker.minPayment === tracker.maxPayment
+                ? formatCurrency(tracker.minPayment, 2)
+                : `${formatCurrency(tracker.minPayment, 2)} – ${formatCurrency(
+                    tracker.maxPayment,
+                    2
+                  )}`}
+            </p>
+            <span className="results-note">a month</span>
+          </div>
+          <div className="results-box">
+            <h4>
+              Average rate
+              <InfoTip text="The rate over the whole term, weighted by the balance it's charged on – so a change while you owe more counts for more." />
+            </h4>
+            <p>{tracker.averageRate.toFixed(2)}%</p>
+          </div>
+        </div>
+      ) : (
+        <div className="results-grid">
+          <div className="results-box">
+            <h4>Total cost over the {fixedPeriod}-year fixed period</h4>
+            <p>{formatCurrency(initial.totalPaid)}</p>
+            <span className="results-note">
+              of which {formatCurrency(initial.interest)} is interest
+            </span>
+          </div>
+          {shock && (
+            <div className={`results-box ${shock.amount > 0 ? "shock" : ""}`}>
+              <h4>
+                Payment change when the rate reverts
+                <InfoTip text="Often called payment shock. Many borrowers remortgage before the fixed period ends to avoid it." />
+              </h4>
+              <p>
+                {shock.amount >= 0 ? "+" : "−"}
+                {formatCurrency(Math.abs(shock.amount), 2)} a month (
+                {shock.amount >= 0 ? "+" : "−"}
+                {Math.abs(shock.percent).toFixed(1)}%)
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RatePhases;
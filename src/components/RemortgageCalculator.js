@@ -0,0 +1,343 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import ProductFeeFields from "./ProductFeeFields";
+import ResultsCharts from "./ResultsCharts";
+import { compareRemortgage } from "../lib/remortgage";
+import { loanToValue, termToMonths } from "../lib/mortgage";
+import { FIXED_PERIOD_OPTIONS } from "../lib/ratePhases";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { formatCurrency, formatDuration, parseNumber } from "../lib/format";
+
+const CURRENT_FIELDS = [
+  {
+    name: "currentBalance",
+    label: "Balance left to pay (£)",
+    hint: "Shown on your latest mortgage statement.",
+    placeholder: "e.g. 180,000",
+    kind: "money",
+    required: true,
+  },
+  {
+    name: "remainingTerm",
+    label: "Years left on the mortgage",
+    hint: "The rest of your mortgage term. Both options are worked out over this term.",
+    placeholder: "e.g. 20",
+    required: true,
+  },
+  {
+    name: "currentRate",
+    label: "Current deal rate (%)",
+    hint: "The rate you pay now, if you're still on a deal.",
+    placeholder: "e.g. 2.5",
+    kind: "percent",
+  },
+  {
+    name: "currentDealMonths",
+    label: "Months left on current deal",
+    hint: "Leave blank or 0 if your deal has already ended and you're on the SVR.",
+    placeholder: "e.g. 0",
+  },
+  {
+    name: "svrRate",
+    label: "Your lender's SVR (%)",
+    hint: "Standard variable rate: what you'll pay once your current deal ends if you don't switch.",
+    placeholder: "e.g. 7.5",
+    kind: "percent",
+    required: true,
+  },
+  {
+    name: "earlyRepaymentCharge",
+    label: "Early repayment charge (£)",
+    hint: "Charged by your current lender if you leave during a deal. Check your offer or annual statement.",
+    placeholder: "e.g. 0",
+    kind: "money",
+  },
+  {
+    name: "propertyValuation",
+    label: "Current property value (£)",
+    hint: "Used to work out your loan-to-value (LTV), which affects the rates you're offered.",
+    placeholder: "e.g. 300,000",
+    kind: "money",
+  },
+];
+
+// Stay with the current lender or switch the balance to a new deal. Fees,
+// cashback and any early repayment charge count towards the cost of
+// switching; the break-even month is when switching starts to pay off.
+function RemortgageCalculator({
+  formData,
+  handleChange,
+  updateField,
+  formatFieldOnBlur,
+}) {
+  const balance = parseNumber(formData.currentBalance);
+  const dealMonths = parseNumber(formData.currentDealMonths);
+  const termMonths = termToMonths(parseNumber(formData.remainingTerm));
+  const fixed = formData.mortgageType === "fixed";
+
+  // The current rate only matters while the current deal lasts
+  const required = (field) =>
+    field.required || (field.name === "currentRate" && dealMonths > 0);
+  const valid =
+    CURRENT_FIELDS.every(
+      (field) =>
+        fieldValid(field.name, formData[field.name]) &&
+        (!required(field) || formData[field.name] !== "")
+    ) &&
+    formData.interestRate !== "" &&
+    ["interestRate", "reversionRate", "arrangementFee", "cashback"].every(
+      (name) => fieldValid(name, formData[name])
+    );
+
+  const fee = parseNumber(formData.arrangementFee);
+  const cashback = parseNumber(formData.cashback);
+  const comparison = valid
+    ? compareRemortgage({
+        balance,
+        termMonths,
+        current: {
+          rate: parseNumber(formData.currentRate),
+          dealMonths,
+          svr: parseNumber(formData.svrRate),
+        },
+        next: {
+          rate: parseNumber(formData.interestRate),
+          fixedYears: fixed ? parseNumber(formData.fixedPeriod) : 0,
+          reversionRate: parseNumber(formData.reversionRate),
+          fee,
+          feeAdded: formData.feeAddedToLoan,
+          cashback,
+        },
+        erc: parseNumber(formData.earlyRepaymentCharge),
+        // A fixed deal is compared over its fixed period, anything else
+        // over the rest of the term
+        periodMonths: fixed ? parseNumber(formData.fixedPeriod) * 12 : 0,
+      })
+    : null;
+
+  const valuation = parseNumber(formData.propertyValuation);
+  const ltv = comparison
+    ? loanToValue(comparison.switch.borrowing, valuation)
+    : 0;
+  const erc = parseNumber(formData.earlyRepaymentCharge);
+
+  return (
+    <section className="card remortgage-card">
+      <h2>Remortgage: stay or switch?</h2>
+      <p>
+        Compare staying with your current lender – on your current deal, then
+        its standard variable rate – with moving your balance to a new deal.
+      </p>
+
+      <fieldset className="fee-group">
+        <legend>Your current mortgage</legend>
+        <div className="grid">
+          {CURRENT_FIELDS.map(({ name, label, hint, placeholder, kind }) => {
+            const fieldOk = fieldValid(name, formData[name]);
+            return (
+              <div key={name} className={`field ${!fieldOk ? "error" : ""}`}>
+                <NumberInput
+                  label={label}
+                  hint={hint}
+                  kind={kind}
+                  name={name}
+                  value={formData[name]}
+                  onChange={handleChange}
+                  onBlur={
+                    kind === "money" ? () => formatFieldOnBlur(name) : undefined
+                  }
+                  placeholder={placeholder}
+                  error={!fieldOk && FIELD_RULES[name].message}
+                />
+              </div>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <fieldset className="fee-group">
+        <legend>New deal</legend>
+        <div className="radio-group">
+          <label>
+            <input
+              type="radio"
+              name="mortgageType"
+              value="fixed"
+              checked={fixed}
+              onChange={handleChange}
+            />
+            Fixed rate
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="mortgageType"
+              value="variable"
+              checked={!fixed}
+              onChange={handleChange}
+            />
+            Variable rate
+          </label>
+        </div>
+        <div className="grid">
+          <div
+            className={`field ${
+              !fieldValid("interestRate", formData.interestRate) ? "error" : ""
+            }`}
+          >
+            <NumberInput
+              label="New rate (%)"
+              hint="The initial rate of the deal you're thinking of switching to."
+              kind="percent"
+              name="interestRate"
+              value={formData.interestRate}
+              onChange={handleChange}
+              placeholder="e.g. 4.5"
+              error={
+                !fieldValid("interestRate", formData.interestRate) &&
+                FIELD_RULES.interestRate.message
+              }
+            />
+          </div>
+          {fixed && (
+            <>
+              <div className="field">
+                <label>Fixed period</label>
+                <select
+                  name="fixedPeriod"
+                  value={formData.fixedPeriod}
+                  onChange={handleChange}
+                >
+                  {FIXED_PERIOD_OPTIONS.map((years) => (
+                    <option key={years} value={String(years)}>
+                      {years} years
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div
+                className={`field ${
+                  !fieldValid("reversionRate", formData.reversionRate)
+                    ? "error"
+                    : ""
+                }`}
+              >
+                <NumberInput
+                  label="Follow-on rate (%)"
+                  hint="The new lender's rate once the fixed period ends. Leave blank to keep the new rate for the whole term."
+                  kind="percent"
+                  name="reversionRate"
+                  value={formData.reversionRate}
+                  onChange={handleChange}
+                  placeholder="e.g. 7.5 (optional)"
+                  error={
+                    !fieldValid("reversionRate", formData.reversionRate) &&
+                    FIELD_RULES.reversionRate.message
+                  }
+                />
+              </div>
+            </>
+          )}
+        </div>
+      </fieldset>
+
+      <ProductFeeFields
+        title="New deal fees"
+        formData={formData}
+        handleChange={handleChange}
+        updateField={updateField}
+      />
+
+      {comparison && (
+        <>
+          <div className="results-grid">
+            <div className="results-box total">
+              <h4>
+                {comparison.saving >= 0
+                  ? "Saving from switching"
+                  : "Extra cost of switching"}
+              </h4>
+              <p>{formatCurrency(Math.abs(comparison.saving))}</p>
+              <span className="results-note">
+                over {formatDuration(comparison.periodMonths)}
+              </span>
+            </div>
+            <div className="results-box">
+              <h4>
+                Break-even
+                <InfoTip text="When the interest saved by switching has covered the fees and early repayment charge, less any cashback." />
+              </h4>
+              <p>
+                {comparison.breakEvenMonth
+                  ? `Month ${comparison.breakEvenMonth}`
+                  : "Never"}
+              </p>
+            </div>
+            <div className="results-box">
+              <h4>Loan-to-value (LTV)</h4>
+              <p>{ltv ? `${ltv.toFixed(1)}%` : "–"}</p>
+            </div>
+          </div>
+
+          <div className="schedule-scroll">
+            <table className="schedule-table remortgage-table">
+              <thead>
+                <tr>
+                  <th>Over {formatDuration(comparison.periodMonths)}</th>
+                  <th>Stay</th>
+                  <th>Switch</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>Monthly payment (first month)</td>
+                  <td>{formatCurrency(comparison.stay.monthlyPayment, 2)}</td>
+                  <td>{formatCurrency(comparison.switch.monthlyPayment, 2)}</td>
+                </tr>
+                <tr>
+                  <td>Interest</td>
+                  <td>{formatCurrency(comparison.stay.interest)}</td>
+                  <td>{formatCurrency(comparison.switch.interest)}</td>
+                </tr>
+                <tr>
+                  <td>Product fee</td>
+                  <td>{formatCurrency(0)}</td>
+                  <td>{formatCurrency(fee)}</td>
+                </tr>
+                <tr>
+                  <td>Cashback</td>
+                  <td>{formatCurrency(0)}</td>
+                  <td>
+                    {cashback > 0
+                      ? `– ${formatCurrency(cashback)}`
+                      : formatCurrency(0)}
+                  </td>
+                </tr>
+                <tr>
+                  <td>Early repayment charge</td>
+                  <td>{formatCurrency(0)}</td>
+                  <td>{formatCurrency(erc)}</td>
+                </tr>
+                <tr className="remortgage-total">
+                  <td>Total cost</td>
+                  <td>{formatCurrency(comparison.stay.trueCost)}</td>
+                  <td>{formatCurrency(comparison.switch.trueCost)}</td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <ResultsCharts
+            scenarios={[
+              { name: "Stay", ...comparison.stay },
+              { name: "Switch", ...comparison.switch },
+            ]}
+          />
+        </>
+      )}
+    </section>
+  );
+}
+
+export default RemortgageCalculator;
@@ -0,0 +1,55 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import { exportFileName, scheduleToCsv, scheduleToJson } from "../lib/report";
+
+// Save generated text as a file – built in the browser, nothing is uploaded
+function download(fileName, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoked after the click is handled, as some browsers cancel the download
+  // if the URL goes straight away
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Print the report (see PrintReport) or download the repayment schedule
+function ReportExport({ schedule, summary }) {
+  const hasSchedule = schedule.length > 0;
+
+  return (
+    <div className="report-export">
+      <button type="button" onClick={() => window.print()}>
+        Print report
+      </button>
+      <button
+        type="button"
+        disabled={!hasSchedule}
+        onClick={() =>
+          download(exportFileName("csv"), scheduleToCsv(schedule), "text/csv")
+        }
+      >
+        Download schedule (CSV)
+      </button>
+      <button
+        type="button"
+        disabled={!hasSchedule}
+        onClick={() =>
+          download(
+            exportFileName("json"),
+            scheduleToJson(schedule, summary),
+            "application/json"
+          )
+        }
+      >
+        Download schedule (JSON)
+      </button>
+      <InfoTip text="Choose 'Save as PDF' in the print dialog to keep a copy of the report. Downloads are made on this device and include every month of the schedule." />
+    </div>
+  );
+}
+
+export default ReportExport;
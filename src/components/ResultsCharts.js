@@ -0,0 +1,357 @@
+import React, { useState } from "react";
+import InfoTip from "./InfoTip";
+import {
+  axisTicks,
+  niceMax,
+  yearlyBalances,
+  yearlyCumulativeInterest,
+  yearlyPaymentSplit,
+} from "../lib/charts";
+import { formatCompactCurrency, formatCurrency } from "../lib/format";
+
+// Drawing area in SVG units – the SVG scales to the width of the card
+const WIDTH = 600;
+const HEIGHT = 240;
+const PAD = { top: 12, right: 16, bottom: 28, left: 56 };
+const PLOT_WIDTH = WIDTH - PAD.left - PAD.right;
+const PLOT_HEIGHT = HEIGHT - PAD.top - PAD.bottom;
+
+// Charts built from each scenario's full schedule: the balance by year, the
+// yearly split between capital and interest, and the interest paid so far.
+//
+// scenarios: [{ name, borrowing, schedule }] – Scenario A first
+function ResultsCharts({ scenarios }) {
+  const [splitIndex, setSplitIndex] = useState(0);
+
+  if (scenarios.length === 0) return null;
+
+  const balances = scenarios.map(({ name, borrowing, schedule }) => ({
+    name,
+    values: yearlyBalances(borrowing, schedule),
+  }));
+  const cumulativeInterest = scenarios.map(({ name, schedule }) => ({
+    name,
+    values: yearlyCumulativeInterest(schedule),
+  }));
+  const splitScenario = scenarios[Math.min(splitIndex, scenarios.length - 1)];
+
+  return (
+    <div className="charts-card">
+      <h3>
+        Charts
+        <InfoTip text="Hover over a chart, or select it and use the arrow keys, to see the figures for each year." />
+      </h3>
+
+      <LineChart title="Outstanding balance by year" series={balances} />
+
+      {scenarios.length > 1 && (
+        <label className="chart-picker">
+          Capital and interest for
+          <select
+            value={Math.min(splitIndex, scenarios.length - 1)}
+            onChange={(e) => setSplitIndex(Number(e.target.value))}
+          >
+            {scenarios.map(({ name }, index) => (
+              <option key={index} value={index}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <SplitChart
+        title={`Capital and interest paid each year (${splitScenario.name})`}
+        years={yearlyPaymentSplit(splitScenario.schedule)}
+      />
+
+      <LineChart title="Interest paid so far" series={cumulativeInterest} />
+    </div>
+  );
+}
+
+// Which point the user is looking at, from the mouse or the arrow keys.
+// `toIndex` maps a 0–1 position across the plot to a point index.
+function useActivePoint(count, toIndex) {
+  const [active, setActive] = useState(null);
+
+  const handlers = {
+    tabIndex: 0,
+    onMouseMove: (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      if (!rect.width) return;
+      const x = ((e.clientX - rect.left) / rect.width) * WIDTH;
+      const fraction = Math.min(Math.max((x - PAD.left) / PLOT_WIDTH, 0), 1);
+      setActive(toIndex(fraction));
+    },
+    onMouseLeave: () => setActive(null),
+    onBlur: () => setActive(null),
+    onKeyDown: (e) => {
+      if (e.key !== "ArrowLeft" && e.key !== "ArrowRight") return;
+      e.preventDefault();
+      const move = e.key === "ArrowRight" ? 1 : -1;
+      setActive((prev) =>
+        prev === null ? 0 : Math.min(Math.max(prev + move, 0), count - 1)
+      );
+    },
+  };
+
+  return [active, handlers];
+}
+
+// Label every year on short charts, every 5th on long ones
+function labelStep(count) {
+  if (count > 20) return 5;
+  if (count > 10) return 2;
+  return 1;
+}
+
+function yScale(max) {
+  return (value) => PAD.top + PLOT_HEIGHT - (value / max) * PLOT_HEIGHT;
+}
+
+// Horizontal grid lines with £ labels
+function ValueAxis({ max }) {
+  const y = yScale(max);
+  return (
+    <g className="chart-axis">
+      {axisTicks(max).map((tick) => (
+        <g key={tick}>
+          <line
+            className="chart-grid"
+            x1={PAD.left}
+            x2={WIDTH - PAD.right}
+            y1={y(tick)}
+            y2={y(tick)}
+          />
+          <text x={PAD.left - 6} y={y(tick) + 4} textAnchor="end">
+            {formatCompactCurrency(tick)}
+          </text>
+        </g>
+      ))}
+    </g>
+  );
+}
+
+// Year labels along the bottom
+function YearAxis({ years, x }) {
+  const step = labelStep(years.length);
+  return (
+    <g className="chart-axis">
+      {years
+        .filter((year) => year % step === 0)
+        .map((year) => (
+          <text
+            key={year}
+            x={x(years.indexOf(year))}
+            y={HEIGHT - 8}
+            textAnchor="middle"
+          >
+            {year === 0 ? "Now" : year}
+          </text>
+        ))}
+    </g>
+  );
+}
+
+function ChartTooltip({ x, title, rows }) {
+  const side = x > WIDTH / 2 ? "left" : "right";
+  return (
+    <div
+      className={`chart-tooltip chart-tooltip-${side}`}
+      style={{ left: `${(x / WIDTH) * 100}%` }}
+      role="status"
+    >
+      <strong>{title}</strong>
+      {rows.map(({ label, value, className }) => (
+        <div key={className || label} className="chart-tooltip-row">
+          {className && <span className={`chart-swatch ${className}`} />}
+          {label}: {value}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Legend({ items }) {
+  if (items.length < 2) return null;
+  return (
+    <div className="chart-legend">
+      {items.map(({ label, className }) => (
+        <span key={className}>
+          <span className={`chart-swatch ${className}`} />
+          {label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// One line per series; values are indexed by year, starting at year 0
+function LineChart({ title, series }) {
+  const count = Math.max(...series.map(({ values }) => values.length));
+  const max = niceMax(Math.max(...series.flatMap(({ values }) => values)));
+  const x = (index) =>
+    PAD.left + (count > 1 ? (index / (count - 1)) * PLOT_WIDTH : 0);
+  const y = yScale(max);
+  const [active, handlers] = useActivePoint(count, (fraction) =>
+    Math.round(fraction * (count - 1))
+  );
+  const years = Array.from({ length: count }, (_, year) => year);
+
+  return (
+    <figure className="chart">
+      <figcaption>{title}</figcaption>
+      <div className="chart-area">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          role="img"
+          aria-label={`${title}. Use the arrow keys to step through the years.`}
+          {...handlers}
+        >
+          <ValueAxis max={max} />
+          <YearAxis years={years} x={x} />
+          {series.map(({ values }, index) => (
+            <polyline
+              key={index}
+              className={`chart-line chart-series-${index}`}
+              points={values
+                .map((value, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`)
+                .join(" ")}
+            />
+          ))}
+          {active !== null && (
+            <g>
+              <line
+                className="chart-guide"
+                x1={x(active)}
+                x2={x(active)}
+                y1={PAD.top}
+                y2={PAD.top + PLOT_HEIGHT}
+              />
+              {series.map(
+                ({ values }, index) =>
+                  active < values.length && (
+                    <circle
+                      key={index}
+                      className={`chart-dot chart-series-${index}`}
+                      cx={x(active)}
+                      cy={y(values[active])}
+                      r="4"
+                    />
+                  )
+              )}
+            </g>
+          )}
+        </svg>
+        {active !== null && (
+          <ChartTooltip
+            x={x(active)}
+            title={active === 0 ? "Start" : `Year ${active}`}
+            rows={series
+              .map(({ name, values }, index) => ({
+                label: name,
+                value:
+                  active < values.length ? formatCurrency(values[active]) : "",
+                className: `chart-series-${index}`,
+              }))
+              .filter(({ value }) => value)}
+          />
+        )}
+      </div>
+      <Legend
+        items={series.map(({ name }, index) => ({
+          label: name,
+          className: `chart-series-${index}`,
+        }))}
+      />
+    </figure>
+  );
+}
+
+// Stacked bars: capital repaid underneath, interest on top, one per year
+function SplitChart({ title, years }) {
+  const count = years.length;
+  const max = niceMax(
+    Math.max(...years.map(({ principal, interest }) => principal + interest))
+  );
+  const band = PLOT_WIDTH / Math.max(count, 1);
+  const x = (index) => PAD.left + band * (index + 0.5);
+  const y = yScale(max);
+  const barWidth = Math.max(band * 0.7, 1);
+  const [active, handlers] = useActivePoint(count, (fraction) =>
+    Math.min(Math.floor(fraction * count), count - 1)
+  );
+  const activeYear = active !== null ? years[active] : null;
+
+  return (
+    <figure className="chart">
+      <figcaption>{title}</figcaption>
+      <div className="chart-area">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          role="img"
+          aria-label={`${title}. Use the arrow keys to step through the years.`}
+          {...handlers}
+        >
+          <ValueAxis max={max} />
+          <YearAxis years={years.map(({ year }) => year)} x={x} />
+          {years.map(({ year, principal, interest }, index) => (
+            <g
+              key={year}
+              className={index === active ? "chart-bar active" : "chart-bar"}
+            >
+              <rect
+                className="chart-bar-principal"
+                x={x(index) - barWidth / 2}
+                y={y(principal)}
+                width={barWidth}
+                height={PAD.top + PLOT_HEIGHT - y(principal)}
+              />
+              <rect
+                className="chart-bar-interest"
+                x={x(index) - barWidth / 2}
+                y={y(principal + interest)}
+                width={barWidth}
+                height={y(principal) - y(principal + interest)}
+              />
+            </g>
+          ))}
+        </svg>
+        {activeYear && (
+          <ChartTooltip
+            x={x(active)}
+            title={`Year ${activeYear.year}`}
+            rows={[
+              {
+                label: "Capital repaid",
+                value: formatCurrency(activeYear.principal),
+                className: "chart-bar-principal",
+              },
+              {
+                label: "Interest",
+                value: formatCurrency(activeYear.interest),
+                className: "chart-bar-interest",
+              },
+              {
+                label: "Interest share",
+                value: `${(
+                  (activeYear.interest /
+                    (activeYear.principal + activeYear.interest || 1)) *
+                  100
+                ).toFixed(0)}%`,
+              },
+            ]}
+          />
+        )}
+      </div>
+      <Legend
+        items={[
+          { label: "Capital repaid", className: "chart-bar-principal" },
+          { label: "Interest", className: "chart-bar-interest" },
+        ]}
+      />
+    </figure>
+  );
+}
+
+export default ResultsCharts;
@@ -0,0 +1,270 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import {
+  calculateMortgage,
+  loanToValue,
+  principalForPayment,
+  termForPayment,
+  termToMonths,
+} from "../lib/mortgage";
+import { headlineFigures } from "../lib/report";
+import {
+  WHOLE_YEARS_MESSAGE,
+  termFields,
+  termYearsFor,
+  termYearsWhole,
+} from "../lib/term";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { formatCurrency, formatDuration, parseNumber } from "../lib/format";
+
+// Longest term most lenders offer
+const MAX_TERM_YEARS = 40;
+
+// Inputs for each mode, in display order. They are the main form's own
+// fields, so switching modes keeps what has been typed.
+const MODE_FIELDS = {
+  borrow: [
+    "targetPayment",
+    "interestRate",
+    "term",
+    "termExtraMonths",
+    "deposit",
+  ],
+  term: ["targetPayment", "interestRate", "propertyPrice", "deposit"],
+};
+
+const OPTIONAL_FIELDS = ["deposit", "termExtraMonths"];
+
+const FIELDS = {
+  targetPayment: {
+    label: "Target monthly payment (£)",
+    hint: "The most you want to pay each month.",
+    placeholder: "e.g. 1,200",
+    kind: "money",
+  },
+  interestRate: {
+    label: "Interest rate (%)",
+    hint: "The rate is used for the whole term, so any follow-on rate after a fixed deal isn't included.",
+    placeholder: "e.g. 4.5",
+    kind: "percent",
+  },
+  term: {
+    label: "Loan term (years)",
+    hint: "How many years you want to repay the mortgage over.",
+    placeholder: "e.g. 25",
+  },
+  termExtraMonths: {
+    label: "Plus months",
+    hint: "Optional. Any months on top of the years, e.g. 6 for 25 years 6 months.",
+    placeholder: "e.g. 6 (optional)",
+    min: 0,
+    max: 11,
+  },
+  propertyPrice: {
+    label: "Property price (£)",
+    hint: "The price of the home you want to buy.",
+    placeholder: "e.g. 250,000",
+    kind: "money",
+  },
+  deposit: {
+    label: "Deposit (£)",
+    hint: "The amount you pay upfront towards the property.",
+    placeholder: "e.g. 30,000",
+    kind: "money",
+  },
+};
+
+// Work out the loan, property price or term from a target monthly payment,
+// assuming a repayment mortgage at one rate. `onUse(values)` copies the
+// answer into the main calculator.
+function ReverseCalculator({
+  formData,
+  handleChange,
+  formatFieldOnBlur,
+  onUse,
+}) {
+  const mode = formData.calculatorMode;
+  const fields = MODE_FIELDS[mode];
+
+  const target = parseNumber(formData.targetPayment);
+  const rate = parseNumber(formData.interestRate);
+  const deposit = parseNumber(formData.deposit);
+  const price = parseNumber(formData.propertyPrice);
+
+  // Same rules as the main form; every field here is needed except the
+  // deposit and extra months, which count as 0 if blank
+  const valid = fields.every(
+    (name) =>
+      fieldValid(name, formData[name]) &&
+      (OPTIONAL_FIELDS.includes(name) || formData[name] !== "")
+  );
+  const depositTooBig = mode === "term" && price > 0 && deposit >= price;
+  const termNotWhole = mode === "borrow" && !termYearsWhole(formData);
+
+  let answer = null;
+  if (valid && !termNotWhole && mode === "borrow") {
+    const termMonths = termToMonths(termYearsFor(formData));
+    // Whole pounds, rounded down so the payment stays within the target
+    const loan = Math.floor(principalForPayment(target, rate, termMonths));
+    answer = {
+      loan,
+      price: loan + deposit,
+      result: calculateMortgage({
+        loanAmount: loan,
+        annualRate: rate,
+        termYears: termYearsFor(formData),
+      }),
+    };
+  }
+  if (valid && !depositTooBig && mode === "term") {
+    const loan = price - deposit;
+    const termMonths = termForPayment(loan, target, rate);
+    answer = {
+      loan,
+      price,
+      termMonths,
+      result: termMonths
+        ? calculateMortgage({
+            loanAmount: loan,
+            annualRate: rate,
+            termYears: termMonths / 12,
+          })
+        : null,
+    };
+  }
+
+  const figures =
+    answer?.result &&
+    headlineFigures({
+      ...answer.result,
+      loanAmount: answer.loan,
+      ltv: loanToValue(answer.loan, answer.price),
+      aprc: 0, // not shown – fees aren't part of this estimate
+    });
+
+  const applyAnswer = () => {
+    if (mode === "borrow") {
+      onUse({
+        propertyPrice: answer.price.toLocaleString("en-GB"),
+      });
+    } else {
+      onUse(termFields(answer.termMonths));
+    }
+  };
+
+  return (
+    <section className="card reverse-card">
+      <h2>
+        {mode === "borrow"
+          ? "How much could I borrow?"
+          : "How long would it take to repay?"}
+      </h2>
+      <p>
+        {mode === "borrow"
+          ? "Start from the monthly payment you're comfortable with to see the largest loan it covers and, with your deposit, the most you could pay for a home."
+          : "Start from the monthly payment you're comfortable with to see how long it would take to repay the loan."}
+      </p>
+
+      <div className="grid">
+        {fields.map((name) => {
+          const { label, hint, placeholder, kind, min, max } = FIELDS[name];
+          const fieldOk =
+            fieldValid(name, formData[name]) &&
+            !(name === "deposit" && depositTooBig) &&
+            !(name === "term" && termNotWhole);
+          return (
+            <div key={name} className={`field ${!fieldOk ? "error" : ""}`}>
+              <NumberInput
+                label={label}
+                hint={hint}
+                kind={kind}
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                onBlur={
+                  kind === "money" ? () => formatFieldOnBlur(name) : undefined
+                }
+                placeholder={placeholder}
+                min={min}
+                max={max}
+                error={
+                  !fieldOk &&
+                  (depositTooBig && name === "deposit"
+                    ? "Please enter a deposit below the property price."
+                    : termNotWhole && name === "term"
+                    ? WHOLE_YEARS_MESSAGE
+                    : FIELD_RULES[name].message)
+                }
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      {answer && !answer.result && (
+        <p className="field-error" role="alert">
+          This payment doesn't cover the interest on a{" "}
+          {formatCurrency(answer.loan)} loan, so it would never be repaid. Try a
+          higher payment or a bigger deposit.
+        </p>
+      )}
+
+      {figures && (
+        <>
+          <div className="results-grid">
+            {mode === "borrow" ? (
+              <>
+                <div className="results-box total">
+                  <h4>Maximum loan</h4>
+                  <p>{figures.loanAmount}</p>
+                </div>
+                <div className="results-box total">
+                  <h4>
+                    Maximum property price
+                    <InfoTip text="Maximum loan plus your deposit. Buying costs such as Stamp Duty come on top." />
+                  </h4>
+                  <p>{formatCurrency(answer.price)}</p>
+                </div>
+              </>
+            ) : (
+              <div className="results-box total">
+                <h4>Term needed</h4>
+                <p>{formatDuration(answer.termMonths)}</p>
+              </div>
+            )}
+            <div className="results-box">
+              <h4>Monthly payment</h4>
+              <p>{figures.monthlyPayment}</p>
+            </div>
+            <div className="results-box">
+              <h4>Loan-to-value (LTV)</h4>
+              <p>{figures.ltv}</p>
+            </div>
+            <div className="results-box">
+              <h4>Total interest paid</h4>
+              <p>{figures.totalInterest}</p>
+            </div>
+            <div className="results-box">
+              <h4>Total repaid over term</h4>
+              <p>{figures.totalPayment}</p>
+            </div>
+          </div>
+          {mode === "term" && answer.termMonths > MAX_TERM_YEARS * 12 && (
+            <p className="results-note">
+              Most lenders offer terms of up to {MAX_TERM_YEARS} years.
+            </p>
+          )}
+        </>
+      )}
+
+      <div className="actions">
+        <button className="primary" disabled={!figures} onClick={applyAnswer}>
+          {mode === "borrow" ? "Use this price" : "Use this term"} →
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default ReverseCalculator;
@@ -0,0 +1,230 @@
+import React, { useState } from "react";
+import InfoTip from "./InfoTip";
+import ImportCalculations from "./ImportCalculations";
+import { suggestName } from "../lib/savedCalculations";
+import {
+  comparisonPeriod,
+  compareScenarios,
+  evaluateScenario,
+  scenarioContextFor,
+} from "../lib/scenarios";
+import { formatCurrency, formatDuration } from "../lib/format";
+
+// Saved named calculations: save the current form, then reload, rename,
+// duplicate, delete or compare any two of them. Calculations can also be
+// imported from a file.
+//
+// actions: { save(name), load(id), rename(id, name), duplicate(id),
+//            remove(id), loadImported(row), saveImported(rows) }
+function SavedCalculations({ calculations, formData, actions }) {
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [selected, setSelected] = useState([]);
+
+  // Selections can outlive deleted calculations
+  const selectedCalculations = selected
+    .map((id) => calculations.find((calculation) => calculation.id === id))
+    .filter(Boolean);
+
+  const saveCurrent = (e) => {
+    e.preventDefault();
+    actions.save(name);
+    setName("");
+  };
+
+  const finishRename = (e) => {
+    e.preventDefault();
+    actions.rename(renaming.id, renaming.name);
+    setRenaming(null);
+  };
+
+  // Compare up to two at a time – picking a third replaces the oldest pick
+  const toggleSelected = (id) => {
+    setSelected((prev) =>
+      prev.includes(id)
+        ? prev.filter((other) => other !== id)
+        : [...prev, id].slice(-2)
+    );
+  };
+
+  return (
+    <section className="card saved-card">
+      <h2>
+        Saved calculations
+        <InfoTip text="Saved on this device only. Tick two calculations to compare them side by side." />
+      </h2>
+
+      <form className="saved-save" onSubmit={saveCurrent}>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={suggestName(formData)}
+          aria-label="Name for this calculation"
+        />
+        <button type="submit" className="primary">
+          Save current calculation
+        </button>
+      </form>
+
+      <ImportCalculations
+        onLoad={actions.loadImported}
+        onSave={actions.saveImported}
+      />
+
+      {calculations.length === 0 ? (
+        <p className="results-note">No saved calculations yet.</p>
+      ) : (
+        <ul className="saved-list">
+          {calculations.map((calculation) => (
+            <li key={calculation.id}>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(calculation.id)}
+                  onChange={() => toggleSelected(calculation.id)}
+                  aria-label={`Compare ${calculation.name}`}
+                />
+                {renaming?.id === calculation.id ? (
+                  <form className="saved-rename" onSubmit={finishRename}>
+                    <input
+                      type="text"
+                      value={renaming.name}
+                      onChange={(e) =>
+                        setRenaming({ ...renaming, name: e.target.value })
+                      }
+                      aria-label="New name"
+                      autoFocus
+                    />
+                    <button type="submit">Save name</button>
+                  </form>
+                ) : (
+                  <span className="saved-name">
+                    <strong>{calculation.name}</strong>
+                    <span className="results-note">
+                      Saved{" "}
+                      {new Date(calculation.savedAt).toLocaleDateString(
+                        "en-GB",
+                        { day: "numeric", month: "short", year: "numeric" }
+                      )}
+                    </span>
+                  </span>
+                )}
+              </label>
+              <div className="saved-actions">
+                <button
+                  type="button"
+                  onClick={() => actions.load(calculation.id)}
+                >
+                  Load
+                </button>
+                <button
+                  type="button"
+                  onClick={() =>
+                    setRenaming({ id: calculation.id, name: calculation.name })
+                  }
+                >
+                  Rename
+                </button>
+                <button
+                  type="button"
+                  onClick={() => actions.duplicate(calculation.id)}
+                >
+                  Duplicate
+                </button>
+                <button
+                  type="button"
+                  onClick={() => actions.remove(calculation.id)}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {selectedCalculations.length === 2 && (
+        <SavedComparison calculations={selectedCalculations} />
+      )}
+    </section>
+  );
+}
+
+// Figures for two saved calculations side by side. Each is worked out from
+// its own inputs; the cheaper one over the shared period is highlighted.
+function SavedComparison({ calculations }) {
+  const results = calculations.map(({ formData }) => {
+    const result = evaluateScenario(formData, scenarioContextFor(formData));
+    return result.monthlyPayment > 0 ? result : null;
+  });
+  const periodMonths = comparisonPeriod(results);
+  const compared = compareScenarios(results, periodMonths);
+
+  const rows = [
+    {
+      label: "Property price",
+      value: (result) => formatCurrency(result.loanAmount + result.deposit),
+    },
+    {
+      label: "Loan amount",
+      value: (result) => formatCurrency(result.loanAmount),
+    },
+    { label: "Interest rate", value: (result) => `${result.annualRate}%` },
+    { label: "Term", value: (result) => formatDuration(result.termMonths) },
+    {
+      label: "Monthly payment",
+      value: (result) => formatCurrency(result.monthlyPayment, 2),
+    },
+    {
+      label: "Total interest",
+      value: (result) => formatCurrency(result.totalInterest),
+    },
+    {
+      label: "Total repaid",
+      value: (result) => formatCurrency(result.totalPayment),
+    },
+    { label: "APRC", value: (result) => `${result.aprc.toFixed(1)}%` },
+    {
+      label: `Cost over ${formatDuration(periodMonths)}`,
+      value: (result) => formatCurrency(result.trueCost),
+    },
+  ];
+
+  return (
+    <div className="schedule-scroll">
+      <table className="schedule-table saved-comparison">
+        <thead>
+          <tr>
+            <th>Compare</th>
+            {calculations.map((calculation, index) => (
+              <th
+                key={calculation.id}
+                className={compared[index]?.cheapest ? "cheapest" : ""}
+              >
+                {calculation.name}
+                {compared[index]?.cheapest && (
+                  <span className="cheapest-badge">Cheaper</span>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ label, value }) => (
+            <tr key={label}>
+              <td>{label}</td>
+              {calculations.map((calculation, index) => (
+                <td key={calculation.id}>
+                  {compared[index] ? value(compared[index]) : "–"}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default SavedCalculations;
@@ -0,0 +1,302 @@
+import React, { useState } from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import ProductFeeFields from "./ProductFeeFields";
+import { MAX_SCENARIOS } from "../lib/scenarios";
+import { REPAYMENT_LABELS } from "../lib/report";
+import { formatCurrency, formatDuration } from "../lib/format";
+
+// Sortable columns, in display order (also used by the printed report)
+export function columnsFor(periodLabel) {
+  return [
+    {
+      key: "annualRate",
+      label: "Rate",
+      format: (result) => `${result.annualRate}%`,
+    },
+    {
+      key: "termMonths",
+      label: "Term",
+      format: (result) => formatDuration(result.termMonths),
+    },
+    {
+      key: "deposit",
+      label: "Deposit",
+      format: (result) => formatCurrency(result.deposit),
+    },
+    {
+      key: "monthlyPayment",
+      label: "Monthly",
+      format: (result) => formatCurrency(result.monthlyPayment, 2),
+    },
+    {
+      key: "totalInterest",
+      label: "Total interest",
+      format: (result) => formatCurrency(result.totalInterest),
+    },
+    {
+      key: "totalPayment",
+      label: "Total repaid",
+      format: (result) => formatCurrency(result.totalPayment),
+    },
+    {
+      key: "fee",
+      label: "Product fee",
+      format: (result) => formatCurrency(result.fee),
+    },
+    {
+      key: "cashback",
+      label: "Cashback",
+      format: (result) => formatCurrency(result.cashback),
+    },
+    {
+      key: "aprc",
+      label: "APRC",
+      format: (result) => `${result.aprc.toFixed(1)}%`,
+    },
+    {
+      key: "trueCost",
+      label: `Cost over ${periodLabel}`,
+      format: (result) => formatCurrency(result.trueCost),
+    },
+  ];
+}
+
+// Rows that couldn't be evaluated always sort to the bottom
+function sortRows(rows, sort) {
+  if (!sort) return rows;
+  const direction = sort.ascending ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    if (!a.result || !b.result) return !a.result - !b.result;
+    return (a.result[sort.key] - b.result[sort.key]) * direction;
+  });
+}
+
+// Side-by-side comparison of the main deal (Scenario A) with any number of
+// alternative scenarios. Each scenario can be edited inline, duplicated or
+// removed, and the cheapest over the comparison period is highlighted.
+//
+// rows: [{ id, name, values, errors, result }] – `id` is "main" for
+// Scenario A, whose inputs are edited in the earlier steps instead.
+function ScenarioComparison({
+  rows,
+  periodLabel,
+  actions,
+  rateLabel = "Interest rate (%)",
+}) {
+  const [sort, setSort] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const columns = columnsFor(periodLabel);
+  const canAdd = rows.length < MAX_SCENARIOS;
+
+  const toggleSort = (key) => {
+    setSort((prev) =>
+      prev && prev.key === key
+        ? { key, ascending: !prev.ascending }
+        : { key, ascending: true }
+    );
+  };
+
+  const ariaSort = (key) => {
+    if (!sort || sort.key !== key) return "none";
+    return sort.ascending ? "ascending" : "descending";
+  };
+
+  return (
+    <div className="comparison-card">
+      <h3>
+        Scenario comparison
+        <InfoTip text="Add other deals to compare them with Scenario A. Each one can have its own rate, term, deposit, repayment type and fees." />
+      </h3>
+
+      <div className="schedule-scroll">
+        <table className="schedule-table scenario-table">
+          <thead>
+            <tr>
+              <th>Scenario</th>
+              <th>Repayment</th>
+              {columns.map(({ key, label }) => (
+                <th key={key} aria-sort={ariaSort(key)}>
+                  <button
+                    type="button"
+                    className="sort-toggle"
+                    onClick={() => toggleSort(key)}
+                  >
+                    {label}
+                    {sort?.key === key && (sort.ascending ? " ▴" : " ▾")}
+                  </button>
+                </th>
+              ))}
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortRows(rows, sort).map((row) => {
+              const editing = editingId === row.id;
+              return (
+                <React.Fragment key={row.id}>
+                  <tr className={row.result?.cheapest ? "cheapest" : ""}>
+                    <td>
+                      <strong>{row.name}</strong>
+                      {row.result?.cheapest && (
+                        <span className="cheapest-badge">Cheapest</span>
+                      )}
+                      {!row.result && (
+                        <span className="results-note">
+                          Check this scenario's inputs
+                        </span>
+                      )}
+                    </td>
+                    <td>{REPAYMENT_LABELS[row.values.repaymentType]}</td>
+                    {columns.map(({ key, format }) => (
+                      <td key={key}>{row.result ? format(row.result) : "–"}</td>
+                    ))}
+                    <td className="scenario-actions">
+                      {row.id !== "main" && (
+                        <button
+                          type="button"
+                          aria-expanded={editing}
+                          onClick={() => setEditingId(editing ? null : row.id)}
+                        >
+                          {editing ? "Done" : "Edit"}
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => actions.duplicate(row.id)}
+                        disabled={!canAdd}
+                      >
+                        Duplicate
+                      </button>
+                      {row.id !== "main" && (
+                        <button
+                          type="button"
+                          onClick={() => actions.remove(row.id)}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {editing && (
+                    <tr className="scenario-edit-row">
+                      <td colSpan={columns.length + 3}>
+                        <ScenarioFields
+                          scenario={row.values}
+                          errors={row.errors}
+                          rateLabel={rateLabel}
+                          onChange={(name, value) =>
+                            actions.change(row.id, name, value)
+                          }
+                        />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="scenario-add">
+        <button type="button" onClick={actions.add} disabled={!canAdd}>
+          + Add scenario
+        </button>
+        {!canAdd && (
+          <span className="results-note">
+            You can compare up to {MAX_SCENARIOS} scenarios.
+          </span>
+        )}
+      </div>
+
+      <p className="results-note">
+        Cost over the {periodLabel} is the interest paid plus the product fee,
+        less any cashback – a fairer comparison than the rate alone.
+      </p>
+    </div>
+  );
+}
+
+// Inputs for one comparison scenario. `rateLabel` names the rate field, which
+// holds the margin over the base rate for a tracker.
+function ScenarioFields({ scenario, errors, rateLabel, onChange }) {
+  const handleChange = (e) => onChange(e.target.name, e.target.value);
+
+  // Number fields (with a `kind` and any `min`/`max`, see NumberInput) or
+  // plain text
+  const textField = (name, label, placeholder, kind, { min, max } = {}) => (
+    <div className={`field ${errors[name] ? "error" : ""}`}>
+      {kind ? (
+        <NumberInput
+          label={label}
+          kind={kind}
+          name={name}
+          value={scenario[name]}
+          onChange={handleChange}
+          placeholder={placeholder}
+          min={min}
+          max={max}
+          error={errors[name]}
+        />
+      ) : (
+        <>
+          <label>{label}</label>
+          <input
+            type="text"
+            name={name}
+            value={scenario[name]}
+            onChange={handleChange}
+            placeholder={placeholder}
+          />
+          {errors[name] && <span className="field-error">{errors[name]}</span>}
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="scenario-fields">
+      <div className="grid">
+        {textField("name", "Name", "e.g. Lower fee deal")}
+        {textField("interestRate", rateLabel, "e.g. 4.5", "percent")}
+        {textField("term", "Term (years)", "e.g. 25", "number")}
+        {textField("termExtraMonths", "Plus months", "e.g. 6", "number", {
+          min: 0,
+          max: 11,
+        })}
+        {textField("deposit", "Deposit (£)", "e.g. 25,000", "money")}
+        <div className="field">
+          <label>Repayment type</label>
+          <select
+            name="repaymentType"
+            value={scenario.repaymentType}
+            onChange={handleChange}
+          >
+            {Object.entries(REPAYMENT_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {scenario.repaymentType === "part-and-part" &&
+          textField(
+            "interestOnlyPart",
+            "Interest-only part (£)",
+            "e.g. 50,000",
+            "money"
+          )}
+      </div>
+      <ProductFeeFields
+        title="Product fee and cashback"
+        formData={scenario}
+        handleChange={handleChange}
+        updateField={onChange}
+      />
+    </div>
+  );
+}
+
+export default ScenarioComparison;
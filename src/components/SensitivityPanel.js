@@ -0,0 +1,177 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { STRESS_PASS_RATIO } from "../lib/affordability";
+import { MAX_RATE_CHANGE, rateChangeValid } from "../lib/sensitivity";
+import { formatCurrency } from "../lib/format";
+
+// A rate change in percentage points, e.g. "+1 pt" or "–0.5 pts"
+function formatShift(shift) {
+  if (shift === 0) return "No change";
+  const points = Math.abs(shift);
+  return `${shift > 0 ? "+" : "–"}${points} ${points === 1 ? "pt" : "pts"}`;
+}
+
+// How the payment and total cost move if rates rise or fall, plus a custom
+// path of rate changes by year. Payments over the affordability threshold
+// (a share of gross monthly income) are flagged.
+function SensitivityPanel({
+  sensitivity,
+  formData,
+  updateField,
+  termYears,
+  fixedMonths,
+}) {
+  const ratePath = formData.ratePath || [];
+
+  const addStep = () => {
+    updateField("ratePath", [...ratePath, { year: "", change: "" }]);
+  };
+
+  const updateStep = (index, key, value) => {
+    updateField(
+      "ratePath",
+      ratePath.map((step, i) =>
+        i === index ? { ...step, [key]: value } : step
+      )
+    );
+  };
+
+  const removeStep = (index) => {
+    updateField("ratePath", ratePath.filter((_, i) => i !== index));
+  };
+
+  if (!sensitivity) return null;
+  const { rows, custom, paymentLimit, limitRate } = sensitivity;
+  const current = rows.find(({ shift }) => shift === 0);
+  let limitNote = "Your payment stays within this even if rates rise sharply.";
+  if (limitRate !== null && limitRate <= current.rate) {
+    limitNote = "Your payment is already above this.";
+  } else if (limitRate !== null) {
+    limitNote = `Your payment would go above this at a rate of ${limitRate.toFixed(2)}%.`;
+  }
+
+  return (
+    <div className="sensitivity-card">
+      <h3>
+        What if rates change?
+        <InfoTip text="Variable and tracker rates move with the market. This shows your payment and total cost if rates rise or fall from today." />
+      </h3>
+      {fixedMonths > 0 && (
+        <p className="results-note">
+          Your rate is fixed for the first {fixedMonths / 12} years, so changes
+          apply from when the fixed period ends.
+        </p>
+      )}
+
+      <div className="schedule-scroll">
+        <table className="schedule-table sensitivity-table">
+          <thead>
+            <tr>
+              <th>Rate change</th>
+              <th>Rate</th>
+              <th>
+                {fixedMonths > 0 ? "Payment after fixed period" : "Monthly"}
+              </th>
+              <th>Total interest</th>
+              <th>Total repaid</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr
+                key={row.shift}
+                className={[
+                  row.shift === 0 ? "current" : "",
+                  row.overLimit ? "over-limit" : "",
+                ].join(" ")}
+              >
+                <td>{formatShift(row.shift)}</td>
+                <td>{row.rate.toFixed(2)}%</td>
+                <td>
+                  {formatCurrency(row.payment, 2)}
+                  {row.overLimit && (
+                    <span className="over-limit-badge">Over limit</span>
+                  )}
+                </td>
+                <td>{formatCurrency(row.totalInterest)}</td>
+                <td>{formatCurrency(row.totalPayment)}</td>
+              </tr>
+            ))}
+            {custom && (
+              <tr
+                className={`custom-path ${custom.overLimit ? "over-limit" : ""}`}
+              >
+                <td>Your rate path</td>
+                <td>up to {custom.rate.toFixed(2)}%</td>
+                <td>
+                  up to {formatCurrency(custom.payment, 2)}
+                  {custom.overLimit && (
+                    <span className="over-limit-badge">Over limit</span>
+                  )}
+                </td>
+                <td>{formatCurrency(custom.totalInterest)}</td>
+                <td>{formatCurrency(custom.totalPayment)}</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {paymentLimit !== null && (
+        <p className="results-note sensitivity-limit">
+          Payments above {formatCurrency(paymentLimit, 2)} a month (
+          {STRESS_PASS_RATIO}% of your gross monthly income) are flagged.{" "}
+          {limitNote}
+        </p>
+      )}
+
+      <div className="lump-sums">
+        <h4>
+          Your own rate path
+          <InfoTip text="Try a path of your own, e.g. rates up 1 point from year 2 and down 0.5 from year 4. Each change is from today's rate and lasts until the next one." />
+        </h4>
+        {ratePath.map((step, index) => {
+          const year = Number(String(step.year).trim());
+          const yearValid =
+            step.year === "" ||
+            (Number.isInteger(year) && year >= 1 && year <= termYears);
+          const stepValid = rateChangeValid(step.change);
+          return (
+            <div className="lump-sum-row" key={index}>
+              <div className={`field ${!yearValid ? "error" : ""}`}>
+                <NumberInput
+                  label="From year"
+                  value={step.year}
+                  onChange={(e) => updateStep(index, "year", e.target.value)}
+                  placeholder={`1–${termYears}`}
+                  error={!yearValid && `Choose a year from 1 to ${termYears}.`}
+                />
+              </div>
+              <div className={`field ${!stepValid ? "error" : ""}`}>
+                <NumberInput
+                  label="Change (percentage points)"
+                  value={step.change}
+                  onChange={(e) => updateStep(index, "change", e.target.value)}
+                  placeholder="e.g. 1 or -0.5"
+                  error={
+                    !stepValid &&
+                    `Please enter a change between -${MAX_RATE_CHANGE} and ${MAX_RATE_CHANGE}.`
+                  }
+                />
+              </div>
+              <button type="button" onClick={() => removeStep(index)}>
+                Remove
+              </button>
+            </div>
+          );
+        })}
+        <button type="button" onClick={addStep}>
+          + Add rate change
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SensitivityPanel;
@@ -0,0 +1,96 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { shareValid, shareValue } from "../lib/sharedOwnership";
+import { formatCurrency, parseNumber } from "../lib/format";
+
+const FIELDS = [
+  {
+    name: "ownershipShare",
+    label: "Share you're buying (%)",
+    hint: "The part of the home you buy with your deposit and mortgage. You pay rent to the housing provider on the rest.",
+    placeholder: "e.g. 50",
+    kind: "percent",
+  },
+  {
+    name: "rentRate",
+    label: "Yearly rent (% of the unowned share)",
+    hint: "Usually 2.75% a year of the value of the share you don't own. Check the property's key information document.",
+    placeholder: "e.g. 2.75",
+    kind: "percent",
+  },
+  {
+    name: "serviceCharge",
+    label: "Monthly service charge (£)",
+    hint: "Charged by the housing provider for upkeep of the building and shared areas, on top of the rent.",
+    placeholder: "e.g. 120",
+    kind: "money",
+  },
+];
+
+// Step 1 inputs for a shared ownership purchase. The deposit and mortgage
+// then pay for the share only.
+function SharedOwnershipFields({
+  formData,
+  handleChange,
+  updateField,
+  formatFieldOnBlur,
+}) {
+  const price = parseNumber(formData.propertyPrice);
+  const share = parseNumber(formData.ownershipShare);
+
+  return (
+    <div className="shared-ownership-fields">
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          name="sharedOwnership"
+          checked={!!formData.sharedOwnership}
+          onChange={(e) => updateField("sharedOwnership", e.target.checked)}
+        />
+        I'm buying through shared ownership
+        <InfoTip text="Buy a share of a home and pay rent on the rest. Your deposit and mortgage only need to cover the share you buy." />
+      </label>
+
+      {formData.sharedOwnership && (
+        <fieldset className="fee-group">
+          <legend>Shared ownership</legend>
+          <div className="grid">
+            {FIELDS.map(({ name, label, hint, placeholder, kind }) => {
+              const valid = fieldValid(name, formData[name]);
+              return (
+                <div key={name} className={`field ${!valid ? "error" : ""}`}>
+                  <NumberInput
+                    label={label}
+                    hint={hint}
+                    kind={kind}
+                    name={name}
+                    value={formData[name]}
+                    onChange={handleChange}
+                    onBlur={
+                      kind === "money"
+                        ? () => formatFieldOnBlur(name)
+                        : undefined
+                    }
+                    placeholder={placeholder}
+                    error={!valid && FIELD_RULES[name].message}
+                  />
+                </div>
+              );
+            })}
+          </div>
+          {price > 0 && shareValid(share) && (
+            <p className="results-note">
+              Your {share}% share costs{" "}
+              {formatCurrency(shareValue(price, share))}. Your deposit and
+              mortgage pay for this share.
+            </p>
+          )}
+        </fieldset>
+      )}
+    </div>
+  );
+}
+
+export default SharedOwnershipFields;
@@ -0,0 +1,126 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { formatCurrency } from "../lib/format";
+
+const STAIRCASE_FIELDS = [
+  {
+    name: "staircaseShare",
+    label: "Share to own afterwards (%)",
+    hint: "The total share you'd own after buying more, up to 100%.",
+    placeholder: "e.g. 75",
+    kind: "percent",
+  },
+  {
+    name: "staircaseYear",
+    label: "In how many years",
+    hint: "When you'd buy the extra share. It's priced at the home's value then, set by a new valuation.",
+    placeholder: "e.g. 5",
+  },
+  {
+    name: "priceGrowth",
+    label: "House price growth (% a year)",
+    hint: "How fast you expect the home's value to rise. Leave blank for no change.",
+    placeholder: "e.g. 2",
+    kind: "percent",
+  },
+];
+
+// Monthly housing cost for shared ownership – mortgage on the share, rent on
+// the rest and the service charge – and the cost of staircasing later
+function SharedOwnershipPanel({
+  formData,
+  handleChange,
+  costs,
+  staircasing,
+  staircaseError,
+}) {
+  if (!costs) return null;
+
+  return (
+    <div className="upfront-card shared-ownership-card">
+      <h3>
+        Shared ownership costs
+        <InfoTip text="You pay the mortgage on your share, rent to the housing provider on the rest, and a service charge." />
+      </h3>
+
+      <table className="schedule-table shared-ownership-table">
+        <tbody>
+          <tr>
+            <td>Mortgage on your share</td>
+            <td>{formatCurrency(costs.mortgagePayment, 2)}</td>
+          </tr>
+          <tr>
+            <td>Rent on the share you don't own</td>
+            <td>{formatCurrency(costs.rent, 2)}</td>
+          </tr>
+          <tr>
+            <td>Service charge</td>
+            <td>{formatCurrency(costs.serviceCharge, 2)}</td>
+          </tr>
+          <tr className="shared-ownership-total">
+            <td>Total monthly housing cost</td>
+            <td>{formatCurrency(costs.total, 2)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <h4>
+        Staircasing
+        <InfoTip text="Buying more shares later reduces your rent. Each extra share is priced at the home's value at the time, not what you paid." />
+      </h4>
+      <div className="grid">
+        {STAIRCASE_FIELDS.map(({ name, label, hint, placeholder, kind }) => {
+          const valid = fieldValid(name, formData[name]);
+          return (
+            <div key={name} className={`field ${!valid ? "error" : ""}`}>
+              <NumberInput
+                label={label}
+                hint={hint}
+                kind={kind}
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                placeholder={placeholder}
+                error={!valid && FIELD_RULES[name].message}
+              />
+            </div>
+          );
+        })}
+      </div>
+      {staircaseError && <p className="field-error">{staircaseError}</p>}
+
+      {staircasing && (
+        <div className="results-grid">
+          <div className="results-box">
+            <h4>Cost of the extra share</h4>
+            <p>{formatCurrency(staircasing.cost)}</p>
+            <span className="results-note">
+              home valued at {formatCurrency(staircasing.futureValue)}
+            </span>
+          </div>
+          <div className="results-box">
+            <h4>Rent afterwards</h4>
+            <p>{formatCurrency(staircasing.rentAfter, 2)}</p>
+            <span className="results-note">
+              {formatCurrency(staircasing.rentSaving, 2)} a month less
+            </span>
+          </div>
+          {staircasing.extraPayment > 0 && (
+            <div className="results-box">
+              <h4>
+                If you borrow it
+                <InfoTip text="Extra monthly mortgage payment to borrow the whole cost at your current rate over the rest of the term." />
+              </h4>
+              <p>+{formatCurrency(staircasing.extraPayment, 2)}</p>
+              <span className="results-note">a month</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SharedOwnershipPanel;
@@ -0,0 +1,130 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { trackerRate } from "../lib/tracker";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { parseNumber } from "../lib/format";
+
+// Tracker inputs: today's base rate, an optional collar and the base rate
+// the user expects in later years. The margin is the main rate field.
+function TrackerFields({ formData, handleChange, updateField, termYears }) {
+  const basePath = formData.baseRatePath || [];
+  const margin = parseNumber(formData.interestRate);
+  const collar = parseNumber(formData.trackerCollar);
+  const baseValid = fieldValid("baseRate", formData.baseRate);
+  const collarValid = fieldValid("trackerCollar", formData.trackerCollar);
+
+  // Each new row starts the year after the last one, at the same base rate,
+  // so the path can be filled in a year at a time
+  const addYear = () => {
+    const last = basePath[basePath.length - 1];
+    const lastYear = last ? parseNumber(last.year) : 1;
+    updateField("baseRatePath", [
+      ...basePath,
+      {
+        year: String(Math.max(Math.floor(lastYear), 1) + 1),
+        rate: last ? last.rate : formData.baseRate,
+      },
+    ]);
+  };
+
+  const updateYear = (index, key, value) => {
+    updateField(
+      "baseRatePath",
+      basePath.map((step, i) =>
+        i === index ? { ...step, [key]: value } : step
+      )
+    );
+  };
+
+  const removeYear = (index) => {
+    updateField("baseRatePath", basePath.filter((_, i) => i !== index));
+  };
+
+  return (
+    <fieldset className="fee-group tracker-fields">
+      <legend>Tracker</legend>
+      <div className="grid">
+        <div className={`field ${!baseValid ? "error" : ""}`}>
+          <NumberInput
+            label="Base rate today (%)"
+            hint="The Bank of England base rate your deal tracks. Your rate is this plus the margin below."
+            kind="percent"
+            name="baseRate"
+            value={formData.baseRate}
+            onChange={handleChange}
+            placeholder="e.g. 4"
+            error={!baseValid && FIELD_RULES.baseRate.message}
+          />
+        </div>
+        <div className={`field ${!collarValid ? "error" : ""}`}>
+          <NumberInput
+            label="Collar (%)"
+            hint="Some trackers have a collar: a lowest rate you'll pay however far the base rate falls. Leave blank if yours doesn't."
+            kind="percent"
+            name="trackerCollar"
+            value={formData.trackerCollar}
+            onChange={handleChange}
+            placeholder="e.g. 3 (optional)"
+            error={!collarValid && FIELD_RULES.trackerCollar.message}
+          />
+        </div>
+      </div>
+
+      <div className="lump-sums">
+        <h4>
+          Base rate in later years
+          <InfoTip text="Add the base rate you expect from a given year. Each rate lasts until the next one you add; your payment is recalculated at every change." />
+        </h4>
+        {basePath.map((step, index) => {
+          const year = Number(String(step.year).trim());
+          const yearValid =
+            step.year === "" ||
+            (Number.isInteger(year) && year >= 2 && year <= termYears);
+          const rateValid = fieldValid("baseRate", step.rate);
+          return (
+            <div className="lump-sum-row" key={index}>
+              <div className={`field ${!yearValid ? "error" : ""}`}>
+                <NumberInput
+                  label="From year"
+                  value={step.year}
+                  onChange={(e) => updateYear(index, "year", e.target.value)}
+                  placeholder={`2–${termYears}`}
+                  error={!yearValid && `Choose a year from 2 to ${termYears}.`}
+                />
+              </div>
+              <div className={`field ${!rateValid ? "error" : ""}`}>
+                <NumberInput
+                  label="Base rate (%)"
+                  kind="percent"
+                  value={step.rate}
+                  onChange={(e) => updateYear(index, "rate", e.target.value)}
+                  placeholder="e.g. 3.5"
+                  error={!rateValid && FIELD_RULES.baseRate.message}
+                />
+                {rateValid && step.rate !== "" && margin > 0 && (
+                  <span className="results-note">
+                    You'd pay{" "}
+                    {trackerRate(parseNumber(step.rate), margin, collar)}%
+                  </span>
+                )}
+              </div>
+              <button type="button" onClick={() => removeYear(index)}>
+                Remove
+              </button>
+            </div>
+          );
+        })}
+        <button
+          type="button"
+          onClick={addYear}
+          disabled={termYears > 0 && basePath.length >= termYears - 1}
+        >
+          + Add a year
+        </button>
+      </div>
+    </fieldset>
+  );
+}
+
+export default TrackerFields;
@@ -0,0 +1,121 @@
+import React from "react";
+import InfoTip from "./InfoTip";
+import NumberInput from "./NumberInput";
+import { BUYER_TYPES, UPFRONT_FEE_FIELDS } from "../lib/stampDuty";
+import { FIELD_RULES, fieldValid } from "../lib/validation";
+import { formatCurrency } from "../lib/format";
+
+// Describe an SDLT band, e.g. "£125,001 – £250,000" or "Over £1,500,000"
+function bandLabel({ from, to }) {
+  if (to === Infinity) return `Over ${formatCurrency(from)}`;
+  if (from === 0) return `Up to ${formatCurrency(to)}`;
+  return `${formatCurrency(from + 1)} – ${formatCurrency(to)}`;
+}
+
+// Cash needed on completion: deposit, Stamp Duty and buying fees
+function UpfrontCosts({
+  formData,
+  handleChange,
+  formatFieldOnBlur,
+  sdlt,
+  upfront,
+}) {
+  return (
+    <div className="upfront-card">
+      <h3>
+        Upfront costs
+        <InfoTip text="The cash you'll need when you buy, on top of your mortgage." />
+      </h3>
+
+      <div className="field">
+        <label>
+          Buyer type
+          <InfoTip text="First-time buyers pay less Stamp Duty on homes up to £500,000. Buying an additional property adds a surcharge to every band." />
+        </label>
+        <div className="radio-group">
+          {BUYER_TYPES.map(({ value, label }) => (
+            <label key={value}>
+              <input
+                type="radio"
+                name="buyerType"
+                value={value}
+                checked={formData.buyerType === value}
+                onChange={handleChange}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid">
+        {UPFRONT_FEE_FIELDS.map(({ name, label, placeholder, hint }) => {
+          const valid = fieldValid(name, formData[name]);
+          return (
+            <div key={name} className={`field ${!valid ? "error" : ""}`}>
+              <NumberInput
+                label={label}
+                hint={hint}
+                kind="money"
+                name={name}
+                value={formData[name]}
+                onChange={handleChange}
+                onBlur={() => formatFieldOnBlur(name)}
+                placeholder={placeholder}
+                error={!valid && FIELD_RULES[name].message}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      {sdlt.bands.length > 0 && (
+        <table className="schedule-table sdlt-table">
+          <thead>
+            <tr>
+              <th>Stamp Duty band</th>
+              <th>Rate</th>
+              <th>Tax</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sdlt.bands.map((band) => (
+              <tr key={band.from}>
+                <td>{bandLabel(band)}</td>
+                <td>{band.rate}%</td>
+                <td>{formatCurrency(band.tax)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {formData.buyerType === "first-time" && !sdlt.reliefApplied && (
+        <p className="results-note">
+          First-time buyer relief doesn't apply above £500,000, so standard
+          rates are used.
+        </p>
+      )}
+
+      <div className="results-grid">
+        <div className="results-box">
+          <h4>Deposit</h4>
+          <p>{formatCurrency(upfront.deposit)}</p>
+        </div>
+        <div className="results-box">
+          <h4>Stamp Duty (SDLT)</h4>
+          <p>{formatCurrency(upfront.sdlt)}</p>
+        </div>
+        <div className="results-box">
+          <h4>Fees</h4>
+          <p>{formatCurrency(upfront.totalFees)}</p>
+        </div>
+        <div className="results-box total">
+          <h4>Total cash needed</h4>
+          <p>{formatCurrency(upfront.totalCash)}</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default UpfrontCosts;
@@ -0,0 +1,114 @@
+// Rough lender-style affordability checks based on income. Real lenders also
+// look at credit history and outgoings, so this is guidance only.
+
+// Typical UK income multiple; some lenders go higher for larger incomes
+export const DEFAULT_INCOME_MULTIPLE = 4.5;
+// Highest multiple the form accepts
+export const MAX_INCOME_MULTIPLE = 10;
+// Loans up to this multiple are possible with some lenders, so only warn
+export const STRETCH_INCOME_MULTIPLE = 5.5;
+// Percentage points added to the rate for the stress test
+export const DEFAULT_STRESS_BUFFER = 3;
+// Stressed payment as a share of gross monthly income
+export const STRESS_PASS_RATIO = 30;
+export const STRESS_WARN_RATIO = 40;
+
+const STATUS_ORDER = ["pass", "warn", "fail"];
+
+// Worst of a list of statuses, e.g. ["pass", "warn"] -> "warn"
+function worstStatus(statuses) {
+  return statuses.reduce(
+    (worst, status) =>
+      STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst)
+        ? status
+        : worst,
+    "pass"
+  );
+}
+
+// Combined annual income of all applicants (blank incomes count as 0)
+export function combinedIncome(incomes) {
+  return incomes.reduce((sum, income) => sum + (income > 0 ? income : 0), 0);
+}
+
+// Maximum borrowing from combined annual income and an income multiple
+export function maxBorrowing(incomes, incomeMultiple) {
+  return incomeMultiple > 0 ? combinedIncome(incomes) * incomeMultiple : 0;
+}
+
+// Run the income-multiple and stress-rate checks for a requested loan.
+// `stressedPayment` is the monthly payment at the stress rate, worked out by
+// the caller with the same engine as the main results. A blank or
+// out-of-range `incomeMultiple` falls back to the typical one.
+export function assessAffordability({
+  loanAmount,
+  incomes,
+  incomeMultiple: requestedMultiple,
+  stressRate,
+  stressedPayment,
+}) {
+  const incomeMultiple =
+    requestedMultiple > 0 && requestedMultiple <= MAX_INCOME_MULTIPLE
+      ? requestedMultiple
+      : DEFAULT_INCOME_MULTIPLE;
+  const totalIncome = combinedIncome(incomes);
+  const limit = maxBorrowing(incomes, incomeMultiple);
+  const stretchLimit = maxBorrowing(incomes, STRETCH_INCOME_MULTIPLE);
+  const monthlyIncome = totalIncome / 12;
+  const stressedRatio =
+    monthlyIncome > 0 ? (stressedPayment / monthlyIncome) * 100 : 0;
+
+  const checks = [];
+
+  if (loanAmount <= limit) {
+    checks.push({
+      id: "income-multiple",
+      status: "pass",
+      message: `Your loan is within ${incomeMultiple}× your income.`,
+    });
+  } else if (loanAmount <= stretchLimit) {
+    checks.push({
+      id: "income-multiple",
+      status: "warn",
+      message: `Your loan is above ${incomeMultiple}× your income. Only some lenders go this high, usually for larger incomes.`,
+    });
+  } else {
+    checks.push({
+      id: "income-multiple",
+      status: "fail",
+      message: `Your loan is more than ${STRETCH_INCOME_MULTIPLE}× your income, which most lenders won't offer.`,
+    });
+  }
+
+  const ratioText = `${stressedRatio.toFixed(0)}% of your gross monthly income`;
+  if (stressedRatio <= STRESS_PASS_RATIO) {
+    checks.push({
+      id: "stress-test",
+      status: "pass",
+      message: `At ${stressRate.toFixed(2)}% your payment would be ${ratioText}.`,
+    });
+  } else if (stressedRatio <= STRESS_WARN_RATIO) {
+    checks.push({
+      id: "stress-test",
+      status: "warn",
+      message: `At ${stressRate.toFixed(2)}% your payment would be ${ratioText}, which could be a stretch if rates rise.`,
+    });
+  } else {
+    checks.push({
+      id: "stress-test",
+      status: "fail",
+      message: `At ${stressRate.toFixed(2)}% your payment would be ${ratioText}, more than lenders usually allow.`,
+    });
+  }
+
+  return {
+    status: worstStatus(checks.map((check) => check.status)),
+    totalIncome,
+    maxBorrowing: limit,
+    headroom: limit - loanAmount,
+    stressRate,
+    stressedPayment,
+    stressedRatio,
+    checks,
+  };
+}
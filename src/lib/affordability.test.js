@@ -0,0 +1,75 @@
+import {
+  assessAffordability,
+  combinedIncome,
+  maxBorrowing,
+} from "./affordability";
+
+const base = {
+  incomes: [40000, 20000],
+  incomeMultiple: 4.5,
+  stressRate: 7.5,
+};
+
+describe("maxBorrowing", () => {
+  test("multiplies the combined income", () => {
+    expect(combinedIncome([40000, 0, -5])).toBe(40000);
+    expect(maxBorrowing([40000, 20000], 4.5)).toBe(270000);
+    expect(maxBorrowing([40000], 0)).toBe(0);
+  });
+});
+
+describe("assessAffordability", () => {
+  test("passes a loan within the multiple with a modest stressed payment", () => {
+    const result = assessAffordability({
+      ...base,
+      loanAmount: 250000,
+      stressedPayment: 1200,
+    });
+    expect(result.status).toBe("pass");
+    expect(result.maxBorrowing).toBe(270000);
+    expect(result.headroom).toBe(20000);
+    expect(result.stressedRatio).toBeCloseTo(24, 6);
+  });
+
+  test("warns when the loan needs a higher multiple", () => {
+    const result = assessAffordability({
+      ...base,
+      loanAmount: 300000,
+      stressedPayment: 1200,
+    });
+    expect(result.status).toBe("warn");
+    expect(result.checks[0]).toMatchObject({
+      id: "income-multiple",
+      status: "warn",
+    });
+  });
+
+  test("fails on the worst individual check", () => {
+    const result = assessAffordability({
+      ...base,
+      loanAmount: 200000,
+      stressedPayment: 2500,
+    });
+    expect(result.checks[0].status).toBe("pass");
+    expect(result.checks[1]).toMatchObject({
+      id: "stress-test",
+      status: "fail",
+    });
+    expect(result.status).toBe("fail");
+  });
+
+  test("falls back to the typical multiple when it's blank or out of range", () => {
+    for (const incomeMultiple of [0, NaN, 25]) {
+      const result = assessAffordability({
+        ...base,
+        incomeMultiple,
+        loanAmount: 250000,
+        stressedPayment: 1200,
+      });
+      expect(result.maxBorrowing).toBe(270000);
+      expect(result.checks[0].message).toBe(
+        "Your loan is within 4.5× your income."
+      );
+    }
+  });
+});
@@ -0,0 +1,115 @@
+// Monthly budgeting: what's left after outgoings and the mortgage, and the
+// debt-to-income (DTI) ratio lenders use alongside income multiples.
+
+// Outgoings captured by the optional budget step, in display order
+export const OUTGOING_FIELDS = [
+  {
+    name: "loanRepayments",
+    label: "Loan and car finance repayments (£/month)",
+    hint: "Personal loans, car finance and any other fixed monthly repayments.",
+    isDebt: true,
+  },
+  {
+    name: "creditCardPayments",
+    label: "Credit card payments (£/month)",
+    hint: "What you pay towards credit and store cards each month.",
+    isDebt: true,
+  },
+  {
+    name: "childcareCosts",
+    label: "Childcare (£/month)",
+    hint: "Nursery, childminder and after-school club costs.",
+    isDebt: false,
+  },
+  {
+    name: "householdBills",
+    label: "Household bills (£/month)",
+    hint: "Council tax, energy, water, broadband, insurance and similar bills.",
+    isDebt: false,
+  },
+];
+
+// DTI bands (debt payments incl. mortgage as % of gross monthly income)
+export const DTI_GOOD = 36;
+export const DTI_HIGH = 45;
+
+// England/Wales/NI 2025/26 income tax and employee National Insurance
+const PERSONAL_ALLOWANCE = 12570;
+const ALLOWANCE_TAPER_START = 100000;
+const BASIC_RATE_BAND = 37700;
+const ADDITIONAL_RATE_THRESHOLD = 125140;
+const BASIC_RATE = 0.2;
+const HIGHER_RATE = 0.4;
+const ADDITIONAL_RATE = 0.45;
+const NI_PRIMARY_THRESHOLD = 12570;
+const NI_UPPER_LIMIT = 50270;
+const NI_MAIN_RATE = 0.08;
+const NI_UPPER_RATE = 0.02;
+
+// Rough annual take-home pay for a salaried employee, used when the user
+// doesn't enter their own figure. Ignores pensions, student loans and tax codes.
+export function estimateTakeHome(annualGross) {
+  if (!(annualGross > 0)) return 0;
+
+  // Personal allowance drops by £1 for every £2 over £100k
+  const allowance = Math.max(
+    PERSONAL_ALLOWANCE - Math.max(annualGross - ALLOWANCE_TAPER_START, 0) / 2,
+    0
+  );
+  const taxable = Math.max(annualGross - allowance, 0);
+  const basic = Math.min(taxable, BASIC_RATE_BAND);
+  const additional = Math.max(annualGross - ADDITIONAL_RATE_THRESHOLD, 0);
+  const higher = Math.max(taxable - basic - additional, 0);
+  const tax =
+    basic * BASIC_RATE + higher * HIGHER_RATE + additional * ADDITIONAL_RATE;
+
+  const ni =
+    Math.max(Math.min(annualGross, NI_UPPER_LIMIT) - NI_PRIMARY_THRESHOLD, 0) *
+      NI_MAIN_RATE +
+    Math.max(annualGross - NI_UPPER_LIMIT, 0) * NI_UPPER_RATE;
+
+  return annualGross - tax - ni;
+}
+
+// Budget summary for the results step. `takeHome` is monthly net pay (if the
+// user entered it), otherwise it's estimated from the gross incomes.
+export function assessBudget({
+  incomes,
+  takeHome,
+  outgoings,
+  mortgagePayment,
+}) {
+  const grossMonthly =
+    incomes.reduce((sum, income) => sum + (income > 0 ? income : 0), 0) / 12;
+  const estimated = !(takeHome > 0);
+  const netMonthly = estimated
+    ? incomes.reduce((sum, income) => sum + estimateTakeHome(income), 0) / 12
+    : takeHome;
+
+  let totalOutgoings = 0;
+  let debtPayments = 0;
+  OUTGOING_FIELDS.forEach(({ name, isDebt }) => {
+    const amount = outgoings[name] > 0 ? outgoings[name] : 0;
+    totalOutgoings += amount;
+    if (isDebt) debtPayments += amount;
+  });
+
+  const dti =
+    grossMonthly > 0
+      ? ((debtPayments + mortgagePayment) / grossMonthly) * 100
+      : 0;
+
+  let dtiStatus = "pass";
+  if (dti > DTI_HIGH) dtiStatus = "fail";
+  else if (dti > DTI_GOOD) dtiStatus = "warn";
+
+  return {
+    netMonthly,
+    estimated,
+    totalOutgoings,
+    debtPayments,
+    disposable: netMonthly - totalOutgoings - mortgagePayment,
+    dti,
+    dtiStatus,
+  };
+}
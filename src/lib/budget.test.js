@@ -0,0 +1,75 @@
+import { assessBudget, estimateTakeHome } from "./budget";
+
+describe("estimateTakeHome", () => {
+  test("takes off basic-rate tax and National Insurance", () => {
+    // £30,000: tax 20% of £17,430, NI 8% of £17,430
+    expect(estimateTakeHome(30000)).toBeCloseTo(30000 - 3486 - 1394.4, 6);
+  });
+
+  test("includes higher rate and the upper NI rate", () => {
+    // £60,000: tax £7,540 + £3,892, NI £3,016 + £194.60
+    expect(estimateTakeHome(60000)).toBeCloseTo(
+      60000 - 7540 - 3892 - 3016 - 194.6,
+      6
+    );
+  });
+
+  test("tapers the personal allowance above £100k", () => {
+    // £130,000: no allowance, £37,700 basic, £4,860 additional
+    const tax = 37700 * 0.2 + 87440 * 0.4 + 4860 * 0.45;
+    const ni = 37700 * 0.08 + 79730 * 0.02;
+    expect(estimateTakeHome(130000)).toBeCloseTo(130000 - tax - ni, 6);
+  });
+
+  test("returns 0 for no income", () => {
+    expect(estimateTakeHome(0)).toBe(0);
+  });
+});
+
+describe("assessBudget", () => {
+  const outgoings = {
+    loanRepayments: 200,
+    creditCardPayments: 100,
+    childcareCosts: 400,
+    householdBills: 300,
+  };
+
+  test("works out disposable income and DTI", () => {
+    const result = assessBudget({
+      incomes: [48000, 0],
+      takeHome: 3000,
+      outgoings,
+      mortgagePayment: 1000,
+    });
+    expect(result.estimated).toBe(false);
+    expect(result.totalOutgoings).toBe(1000);
+    expect(result.disposable).toBe(1000);
+    // (200 + 100 + 1000) / 4000
+    expect(result.dti).toBeCloseTo(32.5, 6);
+    expect(result.dtiStatus).toBe("pass");
+  });
+
+  test("estimates take-home pay when it isn't given", () => {
+    const result = assessBudget({
+      incomes: [30000, 30000],
+      takeHome: 0,
+      outgoings: {},
+      mortgagePayment: 0,
+    });
+    expect(result.estimated).toBe(true);
+    expect(result.netMonthly).toBeCloseTo(
+      (2 * estimateTakeHome(30000)) / 12,
+      6
+    );
+  });
+
+  test("flags a high debt-to-income ratio", () => {
+    const result = assessBudget({
+      incomes: [24000],
+      takeHome: 1700,
+      outgoings,
+      mortgagePayment: 700,
+    });
+    expect(result.dtiStatus).toBe("fail");
+  });
+});
@@ -0,0 +1,80 @@
+// Buy-to-let: lenders size a landlord's loan on the rent rather than their
+// income. The interest cover ratio (ICR) test checks the rent covers the
+// interest-only payment at a stress rate by a set margin – 125% for
+// basic-rate taxpayers and limited companies, 145% for higher-rate
+// taxpayers. Yields are the yearly rent as a share of the price, before
+// (gross) and after (net) running costs.
+import { interestOnlyPayment, loanToValue, monthlyRate } from "./mortgage";
+
+export const ICR_OPTIONS = [
+  { value: "125", label: "125% – basic-rate taxpayer or limited company" },
+  { value: "145", label: "145% – higher-rate taxpayer" },
+];
+export const DEFAULT_ICR = 125;
+
+// Lenders stress at the higher of the pay rate plus a buffer and a floor
+export const BTL_STRESS_BUFFER = 2;
+export const BTL_STRESS_FLOOR = 5.5;
+
+// Default stress rate for a deal paying `annualRate`
+export function btlStressRate(annualRate) {
+  return Math.max(annualRate + BTL_STRESS_BUFFER, BTL_STRESS_FLOOR);
+}
+
+// Rent as a percentage of the interest-only payment at `stressRate`
+export function rentalCoverage(monthlyRent, loanAmount, stressRate) {
+  const stressed = interestOnlyPayment(loanAmount, stressRate);
+  return stressed > 0 ? (monthlyRent / stressed) * 100 : 0;
+}
+
+// Largest loan whose stressed interest the rent covers by `icr`%
+export function maxLoanForRent(monthlyRent, icr, stressRate) {
+  const r = monthlyRate(stressRate);
+  if (!(monthlyRent > 0) || !(icr > 0) || !(r > 0)) return 0;
+  return monthlyRent / (icr / 100) / r;
+}
+
+// Gross and net yield (%) from the monthly rent and yearly running costs
+export function rentalYields(propertyPrice, monthlyRent, annualCosts = 0) {
+  if (!(propertyPrice > 0)) return { gross: 0, net: 0 };
+  const annualRent = monthlyRent * 12;
+  return {
+    gross: (annualRent / propertyPrice) * 100,
+    net: ((annualRent - annualCosts) / propertyPrice) * 100,
+  };
+}
+
+// Full buy-to-let picture for an interest-only loan of the price less the
+// deposit. `stressRate` defaults to btlStressRate. `shortfall` is the extra
+// deposit needed when the rent doesn't support the loan; `cashFlow` is the
+// rent left each month after running costs and the mortgage payment.
+export function assessBuyToLet({
+  propertyPrice,
+  deposit,
+  annualRate,
+  monthlyRent,
+  icr = DEFAULT_ICR,
+  stressRate = btlStressRate(annualRate),
+  annualCosts = 0,
+}) {
+  const loanAmount = Math.max(propertyPrice - deposit, 0);
+  if (!(loanAmount > 0) || !(monthlyRent > 0)) return null;
+
+  const coverage = rentalCoverage(monthlyRent, loanAmount, stressRate);
+  const maxLoan = maxLoanForRent(monthlyRent, icr, stressRate);
+  const monthlyPayment = interestOnlyPayment(loanAmount, annualRate);
+  return {
+    loanAmount,
+    ltv: loanToValue(loanAmount, propertyPrice),
+    monthlyPayment,
+    stressRate,
+    stressedPayment: interestOnlyPayment(loanAmount, stressRate),
+    icr,
+    coverage,
+    passes: coverage >= icr,
+    maxLoan,
+    shortfall: Math.max(loanAmount - maxLoan, 0),
+    ...rentalYields(propertyPrice, monthlyRent, annualCosts),
+    cashFlow: monthlyRent - annualCosts / 12 - monthlyPayment,
+  };
+}
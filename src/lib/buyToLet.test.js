@@ -0,0 +1,83 @@
+import {
+  BTL_STRESS_FLOOR,
+  assessBuyToLet,
+  btlStressRate,
+  maxLoanForRent,
+  rentalCoverage,
+  rentalYields,
+} from "./buyToLet";
+import { interestOnlyPayment } from "./mortgage";
+
+// £250,000 at 75% LTV, let for £1,400 a month
+const base = {
+  propertyPrice: 250000,
+  deposit: 62500,
+  annualRate: 4.5,
+  monthlyRent: 1400,
+  annualCosts: 3000,
+};
+
+describe("btlStressRate", () => {
+  test("uses the pay rate plus the buffer, but never below the floor", () => {
+    expect(btlStressRate(4.5)).toBe(6.5);
+    expect(btlStressRate(2)).toBe(BTL_STRESS_FLOOR);
+  });
+});
+
+describe("rental coverage", () => {
+  test("compares the rent with the stressed interest-only payment", () => {
+    // £187,500 at 6.5% is £1,015.63 a month interest-only
+    expect(rentalCoverage(1400, 187500, 6.5)).toBeCloseTo(137.85, 2);
+    expect(rentalCoverage(1400, 0, 6.5)).toBe(0);
+  });
+
+  test("finds the loan the rent covers exactly", () => {
+    const maxLoan = maxLoanForRent(1400, 125, 6.5);
+    expect(maxLoan).toBeCloseTo(206769.23, 2);
+    expect(rentalCoverage(1400, maxLoan, 6.5)).toBeCloseTo(125, 6);
+    expect(maxLoanForRent(0, 125, 6.5)).toBe(0);
+  });
+});
+
+describe("rentalYields", () => {
+  test("works out gross and net yields", () => {
+    const yields = rentalYields(250000, 1400, 3000);
+    expect(yields.gross).toBeCloseTo(6.72, 6);
+    expect(yields.net).toBeCloseTo(5.52, 6);
+    expect(rentalYields(0, 1400)).toEqual({ gross: 0, net: 0 });
+  });
+});
+
+describe("assessBuyToLet", () => {
+  test("passes the 125% test and reuses the interest-only payment", () => {
+    const result = assessBuyToLet(base);
+    expect(result.loanAmount).toBe(187500);
+    expect(result.ltv).toBeCloseTo(75, 6);
+    expect(result.monthlyPayment).toBeCloseTo(
+      interestOnlyPayment(187500, 4.5),
+      6
+    );
+    expect(result.stressRate).toBe(6.5);
+    expect(result.passes).toBe(true);
+    expect(result.shortfall).toBe(0);
+    expect(result.cashFlow).toBeCloseTo(1400 - 250 - 703.125, 6);
+  });
+
+  test("fails the 145% test and shows the extra deposit needed", () => {
+    const result = assessBuyToLet({ ...base, icr: 145 });
+    expect(result.passes).toBe(false);
+    expect(result.maxLoan).toBeCloseTo(178249.34, 2);
+    expect(result.shortfall).toBeCloseTo(187500 - result.maxLoan, 6);
+  });
+
+  test("accepts a lender's own stress rate", () => {
+    const result = assessBuyToLet({ ...base, stressRate: 8 });
+    expect(result.stressedPayment).toBeCloseTo(1250, 6);
+    expect(result.coverage).toBeCloseTo(112, 6);
+  });
+
+  test("needs a loan and some rent", () => {
+    expect(assessBuyToLet({ ...base, deposit: 250000 })).toBeNull();
+    expect(assessBuyToLet({ ...base, monthlyRent: 0 })).toBeNull();
+  });
+});
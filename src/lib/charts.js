@@ -0,0 +1,42 @@
+// Data and scale helpers for the results charts. Charts are drawn as plain
+// SVG from the schedule, so no chart library or service is needed.
+import { groupScheduleByYear } from "./mortgage";
+
+// Year-end balances, starting from the full loan at year 0
+export function yearlyBalances(loanAmount, schedule) {
+  return [
+    loanAmount,
+    ...groupScheduleByYear(schedule).map((year) => year.balance),
+  ];
+}
+
+// Interest paid so far at each year end, starting from 0 at year 0
+export function yearlyCumulativeInterest(schedule) {
+  return [
+    0,
+    ...groupScheduleByYear(schedule).map((year) => year.cumulativeInterest),
+  ];
+}
+
+// Capital repaid (including overpayments) and interest paid in each year
+export function yearlyPaymentSplit(schedule) {
+  return groupScheduleByYear(schedule).map((year) => ({
+    year: year.year,
+    principal: year.principal + year.overpayment,
+    interest: year.interest,
+  }));
+}
+
+// Round up to a tidy axis maximum: 1, 2, 2.5 or 5 times a power of ten
+export function niceMax(value) {
+  if (!(value > 0)) return 1;
+  const power = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find((n) => n * power >= value);
+  return step * power;
+}
+
+// Evenly spaced values from 0 up to `max`, e.g. axisTicks(200, 4) ->
+// [0, 50, 100, 150, 200]
+export function axisTicks(max, count = 4) {
+  return Array.from({ length: count + 1 }, (_, i) => (max / count) * i);
+}
@@ -0,0 +1,52 @@
+import {
+  axisTicks,
+  niceMax,
+  yearlyBalances,
+  yearlyCumulativeInterest,
+  yearlyPaymentSplit,
+} from "./charts";
+import { buildSchedule } from "./mortgage";
+
+const schedule = buildSchedule({
+  loanAmount: 100000,
+  annualRate: 5,
+  termMonths: 30,
+  overpayments: { monthly: 100, lumpSums: [] },
+});
+
+describe("yearly series", () => {
+  test("balances start from the loan and end at zero", () => {
+    const balances = yearlyBalances(100000, schedule);
+    expect(balances[0]).toBe(100000);
+    expect(balances[balances.length - 1]).toBe(0);
+  });
+
+  test("cumulative interest starts at zero and only goes up", () => {
+    const interest = yearlyCumulativeInterest(schedule);
+    expect(interest[0]).toBe(0);
+    interest.slice(1).forEach((value, i) => {
+      expect(value).toBeGreaterThan(interest[i]);
+    });
+  });
+
+  test("each year's split adds up to what was paid", () => {
+    const split = yearlyPaymentSplit(schedule);
+    const principal = split.reduce((sum, year) => sum + year.principal, 0);
+    expect(principal).toBeCloseTo(100000, 6);
+    expect(split[0].year).toBe(1);
+  });
+});
+
+describe("axis helpers", () => {
+  test("niceMax rounds up to a tidy number", () => {
+    expect(niceMax(183000)).toBe(200000);
+    expect(niceMax(230000)).toBe(250000);
+    expect(niceMax(410)).toBe(500);
+    expect(niceMax(1000)).toBe(1000);
+    expect(niceMax(0)).toBe(1);
+  });
+
+  test("axisTicks spaces ticks evenly from 0", () => {
+    expect(axisTicks(200, 4)).toEqual([0, 50, 100, 150, 200]);
+  });
+});
@@ -0,0 +1,87 @@
+// Parsing and display helpers shared by the form and results components
+
+// Characters people type around a number that don't change it: grouping
+// commas, a pound sign, a percent sign and spaces
+const NUMBER_NOISE = /[£,%\s]/g;
+
+// "k" and "m" shorthand, e.g. 250k or 1.2m
+const SHORTHAND = { k: 1e3, m: 1e6 };
+
+// Read what someone typed as a number: "£250,000", "250k", "1.2m" and
+// "4.5%" all work. Anything else, including a blank, is NaN.
+export function parseNumberInput(value) {
+  if (value === null || value === undefined) return NaN;
+  const cleaned = String(value).replace(NUMBER_NOISE, "").toLowerCase();
+  const match = /^(-?(?:\d+\.?\d*|\.\d+))([km])?$/.exec(cleaned);
+  if (!match) return NaN;
+  const num = Number(match[1]);
+  if (!match[2]) return num;
+  // Rounded to the penny so 2.675k is 2675, not 2674.9999…
+  return Math.round(num * SHORTHAND[match[2]] * 100) / 100;
+}
+
+// Helper to safely convert strings (incl. with commas) into numbers. Blank
+// or non-numeric text counts as 0 – use parseNumberInput to tell them apart.
+export function parseNumber(value) {
+  const num = parseNumberInput(value);
+  return isNaN(num) ? 0 : num;
+}
+
+// Format a string as a UK-style number with commas, expanding shorthand.
+// Text that isn't a number is left as typed so its error stays visible.
+export function formatNumberString(value) {
+  const text = String(value ?? "").trim();
+  const num = parseNumberInput(text);
+  if (isNaN(num)) return text;
+  return num.toLocaleString("en-GB", { maximumFractionDigits: 2 });
+}
+
+// Thousands separators added while typing, without rounding or expanding
+// anything, e.g. "1234567.5" -> "1,234,567.5" and "2500k" -> "2,500k".
+// Text that isn't a number so far is returned without the noise characters.
+export function groupNumberString(value) {
+  const cleaned = String(value).replace(NUMBER_NOISE, "");
+  const match = /^(-?)(\d+)(\.\d*)?([kKmM]?)$/.exec(cleaned);
+  if (!match) return cleaned;
+  const [, sign, whole, decimals = "", suffix] = match;
+  return `${sign}${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",")}${decimals}${suffix}`;
+}
+
+// Pounds with thousands separators, e.g. £182,345 (or £1,169.18 with
+// decimals = 2). Rounding happens first so tiny negatives never show as "-£0".
+export function formatCurrency(value, decimals = 0) {
+  const num = Number.isFinite(value) ? Number(value.toFixed(decimals)) || 0 : 0;
+  return `£${num.toLocaleString(undefined, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  })}`;
+}
+
+// Month and year of the last payment, counting the first payment as next
+// month, e.g. formatPayoffDate(300) -> "October 2051"
+export function formatPayoffDate(months, startDate = new Date()) {
+  const date = new Date(
+    startDate.getFullYear(),
+    startDate.getMonth() + months,
+    1
+  );
+  return date.toLocaleDateString("en-GB", { month: "long", year: "numeric" });
+}
+
+// "22 years 4 months" style duration from a number of months
+export function formatDuration(months) {
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  const parts = [];
+  if (years) parts.push(`${years} year${years === 1 ? "" : "s"}`);
+  if (rest || !years) parts.push(`${rest} month${rest === 1 ? "" : "s"}`);
+  return parts.join(" ");
+}
+
+// Short pounds for chart axes, e.g. £950, £150k, £1.2m
+export function formatCompactCurrency(value) {
+  const abs = Math.abs(value);
+  if (abs >= 1e6) return `£${Number((value / 1e6).toFixed(1))}m`;
+  if (abs >= 1e3) return `£${Number((value / 1e3).toFixed(1))}k`;
+  return `£${Math.round(value)}`;
+}
@@ -0,0 +1,67 @@
+import {
+  formatNumberString,
+  groupNumberString,
+  parseNumber,
+  parseNumberInput,
+} from "./format";
+
+describe("parseNumberInput", () => {
+  test("reads grouped amounts, pound signs and percentages", () => {
+    expect(parseNumberInput("250,000")).toBe(250000);
+    expect(parseNumberInput("£250,000")).toBe(250000);
+    expect(parseNumberInput(" 4.5% ")).toBe(4.5);
+    expect(parseNumberInput("-0.5")).toBe(-0.5);
+    expect(parseNumberInput(".5")).toBe(0.5);
+  });
+
+  test("expands k and m shorthand", () => {
+    expect(parseNumberInput("250k")).toBe(250000);
+    expect(parseNumberInput("1.2M")).toBe(1200000);
+    expect(parseNumberInput("2.675k")).toBe(2675);
+  });
+
+  test("is NaN for blanks and anything that isn't a number", () => {
+    expect(parseNumberInput("")).toBeNaN();
+    expect(parseNumberInput("abc")).toBeNaN();
+    expect(parseNumberInput("4.5abc")).toBeNaN();
+    expect(parseNumberInput("250kk")).toBeNaN();
+    expect(parseNumberInput(undefined)).toBeNaN();
+  });
+
+  test("parseNumber treats those as 0", () => {
+    expect(parseNumber("abc")).toBe(0);
+    expect(parseNumber("")).toBe(0);
+    expect(parseNumber("£1.5k")).toBe(1500);
+  });
+});
+
+describe("formatNumberString", () => {
+  test("groups and expands what was typed", () => {
+    expect(formatNumberString("250000")).toBe("250,000");
+    expect(formatNumberString("250k")).toBe("250,000");
+    expect(formatNumberString("1234.567")).toBe("1,234.57");
+  });
+
+  test("keeps a deposit of 0", () => {
+    expect(formatNumberString("0")).toBe("0");
+    expect(formatNumberString("")).toBe("");
+  });
+
+  test("leaves text that isn't a number as typed", () => {
+    expect(formatNumberString(" abc ")).toBe("abc");
+  });
+});
+
+describe("groupNumberString", () => {
+  test("adds separators without rounding or expanding", () => {
+    expect(groupNumberString("1234567.5")).toBe("1,234,567.5");
+    expect(groupNumberString("12,34")).toBe("1,234");
+    expect(groupNumberString("2500k")).toBe("2,500k");
+    expect(groupNumberString("£1000.")).toBe("1,000.");
+  });
+
+  test("only strips noise from text that isn't a number", () => {
+    expect(groupNumberString("12a4")).toBe("12a4");
+    expect(groupNumberString("")).toBe("");
+  });
+});
@@ -0,0 +1,272 @@
+// Import calculations from a JSON or CSV file, e.g. an adviser's deal sheet
+// exported from a spreadsheet. Each row (or JSON object) uses the form's own
+// field names – headings are matched ignoring case, spaces and underscores,
+// so "Property price" and "property_price" both mean `propertyPrice`.
+//
+// Every value is checked against a schema using the same rules as the form
+// (lib/validation), and each row reports its own errors so the good rows can
+// still be used.
+import { FIELD_RULES } from "./validation";
+import { WHOLE_YEARS_MESSAGE, termYearsWhole } from "./term";
+import { FIXED_PERIOD_OPTIONS } from "./ratePhases";
+import { BUYER_TYPES } from "./stampDuty";
+import { parseNumber, parseNumberInput } from "./format";
+
+// Keeps a stray huge file from locking up the page
+export const MAX_IMPORT_ROWS = 100;
+
+const MAX_NAME_LENGTH = 60;
+
+function choice(values) {
+  return {
+    clean: (value) => {
+      const text = String(value).trim().toLowerCase();
+      return values.includes(text) ? text : null;
+    },
+    message: `Please choose one of: ${values.join(", ")}.`,
+  };
+}
+
+// Amounts are stored as the form shows them (e.g. "250,000")
+const amount = {
+  toForm: (num) => num.toLocaleString("en-GB", { maximumFractionDigits: 2 }),
+};
+const plain = { toForm: (num) => String(num) };
+
+// Field -> how to read it. Number fields use the form's rule for the field.
+const SCHEMA = {
+  name: { text: true },
+  propertyPrice: amount,
+  deposit: amount,
+  income: amount,
+  secondIncome: amount,
+  term: plain,
+  termExtraMonths: plain,
+  applicantAge: plain,
+  secondApplicantAge: plain,
+  mortgageType: choice(["fixed", "variable", "tracker"]),
+  fixedPeriod: choice(FIXED_PERIOD_OPTIONS.map(String)),
+  reversionRate: plain,
+  baseRate: plain,
+  trackerCollar: plain,
+  interestRate: plain,
+  repaymentType: choice(["repayment", "interest-only", "part-and-part"]),
+  interestOnlyPart: amount,
+  arrangementFee: amount,
+  feeAddedToLoan: { flag: true },
+  cashback: amount,
+  monthlyOverpayment: amount,
+  buyerType: choice(BUYER_TYPES.map(({ value }) => value)),
+  valuationFee: amount,
+  legalFees: amount,
+  surveyCost: amount,
+};
+
+// Fields a row needs before it can be calculated
+const REQUIRED_FIELDS = ["propertyPrice", "term", "interestRate"];
+
+const FLAGS = {
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+};
+
+function headingKey(heading) {
+  return String(heading).replace(/[\s_-]/g, "").toLowerCase();
+}
+
+const FIELDS_BY_HEADING = {};
+Object.keys(SCHEMA).forEach((field) => {
+  FIELDS_BY_HEADING[headingKey(field)] = field;
+});
+
+// Minimal CSV reader: comma separated, double-quoted fields may contain
+// commas, quotes ("") and line breaks. Blank lines are skipped.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// Raw rows as `{ heading: value }` objects, or an error for the whole file
+function readRows(text, fileName) {
+  const content = text.replace(/^\uFEFF/, "");
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(content)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      return { error: "This file isn't valid JSON." };
+    }
+    const list = Array.isArray(parsed)
+      ? parsed
+      : Array.isArray(parsed?.scenarios)
+      ? parsed.scenarios
+      : [parsed];
+    if (!list.every((item) => item && typeof item === "object")) {
+      return { error: "Expected a list of calculations in the JSON file." };
+    }
+    // Rows are numbered from 1 in JSON
+    return { rows: list.map((values, i) => ({ row: i + 1, values })) };
+  }
+
+  const [headings, ...lines] = parseCsv(content);
+  if (!headings || lines.length === 0) {
+    return { error: "Expected a heading row and at least one data row." };
+  }
+  return {
+    rows: lines.map((cells, i) => {
+      const values = {};
+      headings.forEach((heading, col) => {
+        values[heading] = cells[col] === undefined ? "" : cells[col];
+      });
+      // As numbered in a spreadsheet, counting the heading row
+      return { row: i + 2, values };
+    }),
+  };
+}
+
+// Check one field's raw value. Returns `{ value }` in the form's format, or
+// `{ error }`.
+function readField(field, raw) {
+  const spec = SCHEMA[field];
+  if (spec.text) {
+    return { value: String(raw).trim().slice(0, MAX_NAME_LENGTH) };
+  }
+  if (spec.flag) {
+    const flag =
+      typeof raw === "boolean" ? raw : FLAGS[String(raw).trim().toLowerCase()];
+    return flag === undefined
+      ? { error: "Please enter yes or no." }
+      : { value: flag };
+  }
+  if (spec.clean) {
+    const value = spec.clean(raw);
+    return value === null ? { error: spec.message } : { value };
+  }
+  const num = parseNumberInput(raw);
+  if (isNaN(num)) return { error: "Please enter a number." };
+  if (!FIELD_RULES[field].valid(num)) {
+    return { error: FIELD_RULES[field].message };
+  }
+  return { value: spec.toForm(num) };
+}
+
+// Checks between fields, using the same limits as the form
+function crossFieldErrors(values) {
+  const errors = [];
+  const price = parseNumber(values.propertyPrice);
+  const deposit = parseNumber(values.deposit);
+  if (values.deposit !== undefined && price > 0 && deposit >= price) {
+    errors.push({
+      field: "deposit",
+      message: "Deposit must be less than the property price.",
+    });
+  }
+  if (!termYearsWhole(values)) {
+    errors.push({ field: "term", message: WHOLE_YEARS_MESSAGE });
+  }
+  if (values.repaymentType === "part-and-part") {
+    const part = parseNumber(values.interestOnlyPart);
+    if (!(part > 0 && part < price - deposit)) {
+      errors.push({
+        field: "interestOnlyPart",
+        message:
+          "Please enter an amount greater than 0 and less than the loan amount.",
+      });
+    }
+  }
+  if (values.mortgageType === "tracker" && values.baseRate === undefined) {
+    errors.push({
+      field: "baseRate",
+      message: "Please enter today's base rate for a tracker.",
+    });
+  }
+  return errors;
+}
+
+function validateRow({ row, values }) {
+  const formValues = {};
+  const errors = [];
+  const ignored = [];
+
+  Object.entries(values).forEach(([heading, raw]) => {
+    const field = FIELDS_BY_HEADING[headingKey(heading)];
+    if (!field) {
+      ignored.push(heading);
+      return;
+    }
+    if (raw === null || raw === undefined || String(raw).trim() === "") return;
+    const { value, error } = readField(field, raw);
+    if (error) errors.push({ field, message: error });
+    else formValues[field] = value;
+  });
+
+  REQUIRED_FIELDS.forEach((field) => {
+    if (
+      formValues[field] === undefined &&
+      !errors.some((e) => e.field === field)
+    ) {
+      errors.push({ field, message: "This field is required." });
+    }
+  });
+  if (errors.length === 0) errors.push(...crossFieldErrors(formValues));
+
+  const { name = "", ...formData } = formValues;
+  return { row, name, formData, errors, ignored };
+}
+
+// Read a file's text. Returns `{ error }` if the file can't be read at all,
+// otherwise `{ rows, ignored }` where each row is
+// `{ row, name, formData, errors: [{ field, message }] }` and `formData` holds
+// only the fields given in the file. `ignored` lists unknown headings.
+export function importScenarios(text, fileName = "") {
+  const { rows, error } = readRows(text, fileName);
+  if (error) return { error };
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return {
+      error: `Please import no more than ${MAX_IMPORT_ROWS} rows at a time.`,
+    };
+  }
+  const results = rows.map(validateRow);
+  const ignored = [...new Set(results.flatMap((result) => result.ignored))];
+  return {
+    rows: results.map(({ ignored: _, ...result }) => result),
+    ignored,
+  };
+}
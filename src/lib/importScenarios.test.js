@@ -0,0 +1,122 @@
+import { MAX_IMPORT_ROWS, importScenarios } from "./importScenarios";
+
+describe("importScenarios – CSV", () => {
+  test("reads rows with quoted amounts and friendly headings", () => {
+    const csv = [
+      "Name,Property price,Deposit,Term,Interest rate,Fee added to loan",
+      '"Flat, High St","250,000",25000,25,4.5%,yes',
+    ].join("\r\n");
+    const { rows, ignored } = importScenarios(csv, "deals.csv");
+    expect(ignored).toEqual([]);
+    expect(rows).toEqual([
+      {
+        row: 2,
+        name: "Flat, High St",
+        formData: {
+          propertyPrice: "250,000",
+          deposit: "25,000",
+          term: "25",
+          interestRate: "4.5",
+          feeAddedToLoan: true,
+        },
+        errors: [],
+      },
+    ]);
+  });
+
+  test("reports bad values per row using the form's rules", () => {
+    const csv = [
+      "name,propertyPrice,deposit,term,interestRate,mortgageType,notes",
+      "Good,200000,20000,25,4.5,fixed,first",
+      "Bad,200000,-5,25,120,capped,second",
+      "Missing,200000,,,4,,",
+    ].join("\n");
+    const { rows, ignored } = importScenarios(csv, "deals.csv");
+    expect(ignored).toEqual(["notes"]);
+    expect(rows[0].errors).toEqual([]);
+    expect(rows[1].row).toBe(3);
+    expect(rows[1].errors).toEqual([
+      {
+        field: "deposit",
+        message: "Please enter a valid deposit (0 or more).",
+      },
+      {
+        field: "interestRate",
+        message: "Please enter a valid interest rate between 0 and 100.",
+      },
+      {
+        field: "mortgageType",
+        message: "Please choose one of: fixed, variable, tracker.",
+      },
+    ]);
+    expect(rows[2].errors).toEqual([
+      { field: "term", message: "This field is required." },
+    ]);
+  });
+
+  test("checks the deposit and interest-only part against the price", () => {
+    const csv = [
+      "propertyPrice,deposit,term,interestRate,repaymentType,interestOnlyPart",
+      "200000,200000,25,4,repayment,",
+      "200000,50000,25,4,part-and-part,160000",
+      "200000,50000,25,4,part-and-part,abc",
+    ].join("\n");
+    const { rows } = importScenarios(csv, "deals.csv");
+    expect(rows[0].errors.map(({ field }) => field)).toEqual(["deposit"]);
+    expect(rows[1].errors.map(({ field }) => field)).toEqual([
+      "interestOnlyPart",
+    ]);
+    expect(rows[2].errors).toEqual([
+      { field: "interestOnlyPart", message: "Please enter a number." },
+    ]);
+  });
+
+  test("needs today's base rate for a tracker", () => {
+    const csv = [
+      "propertyPrice,term,interestRate,mortgageType,baseRate",
+      "200000,25,0.75,tracker,4",
+      "200000,25,0.75,tracker,",
+    ].join("\n");
+    const { rows } = importScenarios(csv, "deals.csv");
+    expect(rows[0].formData).toMatchObject({
+      mortgageType: "tracker",
+      baseRate: "4",
+    });
+    expect(rows[1].errors.map(({ field }) => field)).toEqual(["baseRate"]);
+  });
+
+  test("needs a heading row and data", () => {
+    expect(importScenarios("name,term\n", "deals.csv")).toEqual({
+      error: "Expected a heading row and at least one data row.",
+    });
+  });
+});
+
+describe("importScenarios – JSON", () => {
+  test("accepts a list, a { scenarios } object or a single object", () => {
+    const deal = { propertyPrice: 300000, term: 30, interestRate: 5 };
+    const expected = {
+      propertyPrice: "300,000",
+      term: "30",
+      interestRate: "5",
+    };
+    [[deal], { scenarios: [deal] }, deal].forEach((data) => {
+      const { rows } = importScenarios(JSON.stringify(data), "deals.json");
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ row: 1, formData: expected, errors: [] });
+    });
+  });
+
+  test("rejects files that can't be read", () => {
+    expect(importScenarios("{ nope", "deals.json").error).toBe(
+      "This file isn't valid JSON."
+    );
+    expect(importScenarios("[1, 2]", "deals.json").error).toBe(
+      "Expected a list of calculations in the JSON file."
+    );
+    const tooMany = Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => ({}));
+    expect(importScenarios(JSON.stringify(tooMany), "deals.json").error).toBe(
+      `Please import no more than ${MAX_IMPORT_ROWS} rows at a time.`
+    );
+  });
+});
@@ -0,0 +1,72 @@
+// Loan-to-value (LTV) bands: lenders price mortgages by the share of the
+// price being borrowed, in steps, so a slightly bigger deposit that drops the
+// loan into a lower band can get a noticeably better rate.
+import { loanToValue } from "./mortgage";
+
+export const LTV_BANDS = [60, 75, 80, 85, 90, 95];
+
+// Typical rate (%) in each band, for illustration. Only the differences
+// between bands are used, taken off the deal's own rate.
+export const BAND_RATES = {
+  60: 4.19,
+  75: 4.29,
+  80: 4.44,
+  85: 4.59,
+  90: 4.79,
+  95: 5.19,
+};
+
+// Allows for floating-point noise, so a loan of exactly 80% is in the 80% band
+const LTV_EPSILON = 1e-9;
+
+// Lowest band the LTV fits in, or null above the highest band
+export function ltvBand(ltv) {
+  return LTV_BANDS.find((band) => ltv <= band + LTV_EPSILON) ?? null;
+}
+
+// The band below `band` (the highest band when above them all, i.e. null),
+// or null for the lowest band
+export function lowerBand(band) {
+  if (band === null) return LTV_BANDS[LTV_BANDS.length - 1];
+  const index = LTV_BANDS.indexOf(band);
+  return index > 0 ? LTV_BANDS[index - 1] : null;
+}
+
+// Deposit as a percentage of the price, and the deposit for a given LTV
+export function depositPercent(propertyPrice, deposit) {
+  return propertyPrice > 0 ? (deposit / propertyPrice) * 100 : 0;
+}
+
+export function depositForLtv(propertyPrice, ltv) {
+  return propertyPrice - (propertyPrice * ltv) / 100;
+}
+
+// Where the deal sits and what reaching the next lower band takes: the
+// deposit for it (whole pounds, rounded up so the loan fits), the extra on
+// top of today's, and the deal's rate less the typical gap between the two
+// bands. `nextBand` is null in the lowest band. Null without a loan.
+export function nextBandStep({
+  propertyPrice,
+  deposit,
+  annualRate,
+  rates = BAND_RATES,
+}) {
+  const ltv = loanToValue(Math.max(propertyPrice - deposit, 0), propertyPrice);
+  if (!(ltv > 0)) return null;
+  const band = ltvBand(ltv);
+  const nextBand = lowerBand(band);
+  if (nextBand === null) return { ltv, band, nextBand };
+
+  const targetDeposit = Math.ceil(depositForLtv(propertyPrice, nextBand));
+  // Above the highest band there's no typical rate to compare with
+  const rateCut = band === null ? 0 : rates[band] - rates[nextBand];
+  return {
+    ltv,
+    band,
+    nextBand,
+    deposit: targetDeposit,
+    extraDeposit: Math.max(targetDeposit - deposit, 0),
+    rateCut,
+    annualRate: Math.max(annualRate - rateCut, 0),
+  };
+}
@@ -0,0 +1,79 @@
+import {
+  depositForLtv,
+  depositPercent,
+  lowerBand,
+  ltvBand,
+  nextBandStep,
+} from "./ltvBands";
+
+describe("LTV bands", () => {
+  test("finds the lowest band the LTV fits in", () => {
+    expect(ltvBand(50)).toBe(60);
+    expect(ltvBand(80)).toBe(80);
+    expect(ltvBand(80.01)).toBe(85);
+    expect(ltvBand(97)).toBeNull();
+  });
+
+  test("steps down a band", () => {
+    expect(lowerBand(85)).toBe(80);
+    expect(lowerBand(60)).toBeNull();
+    expect(lowerBand(null)).toBe(95);
+  });
+
+  test("converts between deposit amounts and percentages", () => {
+    expect(depositPercent(250000, 25000)).toBe(10);
+    expect(depositPercent(0, 25000)).toBe(0);
+    expect(depositForLtv(250000, 75)).toBe(62500);
+  });
+});
+
+describe("nextBandStep", () => {
+  test("works out the extra deposit and rate for the next band down", () => {
+    // £250,000 with £30,000 down is 88% LTV, in the 90% band
+    const step = nextBandStep({
+      propertyPrice: 250000,
+      deposit: 30000,
+      annualRate: 4.8,
+    });
+    expect(step.band).toBe(90);
+    expect(step.nextBand).toBe(85);
+    expect(step.deposit).toBe(37500);
+    expect(step.extraDeposit).toBe(7500);
+    expect(step.rateCut).toBeCloseTo(0.2, 6);
+    expect(step.annualRate).toBeCloseTo(4.6, 6);
+  });
+
+  test("rounds the deposit up so the loan fits the band", () => {
+    const step = nextBandStep({
+      propertyPrice: 199999,
+      deposit: 20000,
+      annualRate: 4.5,
+    });
+    // 85% of the price is £169,999.15, so £29,999.85 isn't quite enough
+    expect(step.deposit).toBe(30000);
+  });
+
+  test("has no lower band at 60% or less, and needs a loan", () => {
+    const step = nextBandStep({
+      propertyPrice: 250000,
+      deposit: 150000,
+      annualRate: 4,
+    });
+    expect(step).toEqual({ ltv: 40, band: 60, nextBand: null });
+    expect(
+      nextBandStep({ propertyPrice: 250000, deposit: 250000, annualRate: 4 })
+    ).toBeNull();
+  });
+
+  test("aims for the highest band when above them all", () => {
+    const step = nextBandStep({
+      propertyPrice: 200000,
+      deposit: 4000,
+      annualRate: 5.5,
+    });
+    expect(step.band).toBeNull();
+    expect(step.nextBand).toBe(95);
+    expect(step.extraDeposit).toBe(6000);
+    expect(step.annualRate).toBe(5.5);
+  });
+});
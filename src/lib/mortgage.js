@@ -0,0 +1,260 @@
+// Pure mortgage calculations – no React, so they can be reused in scripts,
+// tests and other pages. Rates are annual percentages (e.g. 4.5), amounts are
+// in pounds and terms are converted to whole months.
+
+// Anything smaller than half a penny is treated as paid off
+export const BALANCE_EPSILON = 0.005;
+
+// Convert a term in years (possibly fractional, e.g. 25.5) to whole months
+export function termToMonths(termYears) {
+  if (!(termYears > 0)) return 0;
+  return Math.max(Math.round(termYears * 12), 1);
+}
+
+// Monthly rate as a fraction (4.5% a year -> 0.00375 a month)
+export function monthlyRate(annualRate) {
+  return annualRate > 0 ? annualRate / 100 / 12 : 0;
+}
+
+// Standard annuity payment that clears `principal` over `termMonths`.
+// A 0% rate simply splits the principal evenly.
+export function monthlyPayment(principal, annualRate, termMonths) {
+  if (!(principal > 0) || !(termMonths > 0)) return 0;
+  const r = monthlyRate(annualRate);
+  if (r === 0) return principal / termMonths;
+  const growth = Math.pow(1 + r, termMonths);
+  return (principal * r * growth) / (growth - 1);
+}
+
+// The reverse of monthlyPayment: the largest loan a monthly payment clears
+// over `termMonths`
+export function principalForPayment(payment, annualRate, termMonths) {
+  if (!(payment > 0) || !(termMonths > 0)) return 0;
+  const r = monthlyRate(annualRate);
+  if (r === 0) return payment * termMonths;
+  return (payment * (1 - Math.pow(1 + r, -termMonths))) / r;
+}
+
+// Whole months needed to clear `principal` paying no more than `payment` a
+// month, or null if the payment doesn't even cover the interest
+export function termForPayment(principal, payment, annualRate) {
+  if (!(principal > 0) || !(payment > 0)) return null;
+  const r = monthlyRate(annualRate);
+  if (r === 0) return Math.ceil(principal / payment);
+  if (payment <= principal * r) return null;
+  const months = -Math.log(1 - (principal * r) / payment) / Math.log(1 + r);
+  // Allow for floating-point noise when the payment fits a whole term exactly
+  return Math.ceil(months - 1e-9);
+}
+
+// Interest-only payment: the interest on the balance and nothing more
+export function interestOnlyPayment(principal, annualRate) {
+  if (!(principal > 0)) return 0;
+  return principal * monthlyRate(annualRate);
+}
+
+// Rate in `month` for a deal starting at `annualRate` with `rateChanges`
+// (sorted by month, in the shape buildSchedule takes)
+export function rateAtMonth(month, annualRate, rateChanges) {
+  return rateChanges.reduce(
+    (rate, change) => (change.month <= month ? change.annualRate : rate),
+    annualRate
+  );
+}
+
+// Loan-to-value as a percentage of the property price
+export function loanToValue(loanAmount, propertyPrice) {
+  if (!(loanAmount > 0) || !(propertyPrice > 0)) return 0;
+  return (loanAmount / propertyPrice) * 100;
+}
+
+// How much of the loan sits on interest-only for the chosen repayment type
+export function interestOnlyAmountFor(
+  repaymentType,
+  loanAmount,
+  interestOnlyPart
+) {
+  if (repaymentType === "interest-only") return loanAmount;
+  if (repaymentType === "part-and-part") {
+    return Math.min(Math.max(interestOnlyPart, 0), loanAmount);
+  }
+  return 0;
+}
+
+// Full month-by-month schedule. The loan is split into a repayment part
+// (amortised over the term) and an interest-only part (capital due at the
+// end); plain repayment and plain interest-only are the two extremes.
+// The final payment is trimmed so the repayment part ends at exactly zero.
+//
+// Optional overpayments – `{ monthly, lumpSums: [{ month, amount }] }` – come
+// off the repayment part first, then the interest-only part. The contractual
+// payment stays the same, so overpaying shortens the term.
+//
+// Optional rate changes – `[{ month, annualRate }]`, where `month` is the
+// first month at the new rate – recalculate the payment on the remaining
+// balance over the remaining term, as a lender would when a deal ends.
+export function buildSchedule({
+  loanAmount,
+  annualRate,
+  termMonths,
+  interestOnlyAmount = 0,
+  overpayments = {},
+  rateChanges = [],
+}) {
+  if (!(loanAmount > 0) || !(termMonths > 0) || !(annualRate >= 0)) return [];
+
+  let rate = annualRate;
+  let r = monthlyRate(rate);
+  let ioPart = Math.min(Math.max(interestOnlyAmount, 0), loanAmount);
+  let repaymentBalance = loanAmount - ioPart;
+  let repaymentMonthly = monthlyPayment(repaymentBalance, rate, termMonths);
+
+  const ratesByMonth = {};
+  rateChanges.forEach(({ month, annualRate: newRate }) => {
+    if (month > 1 && month <= termMonths && newRate >= 0) {
+      ratesByMonth[month] = newRate;
+    }
+  });
+
+  const regularOverpayment = Math.max(overpayments.monthly || 0, 0);
+  const lumpSumsByMonth = {};
+  (overpayments.lumpSums || []).forEach(({ month, amount }) => {
+    if (month > 0 && amount > 0) {
+      lumpSumsByMonth[month] = (lumpSumsByMonth[month] || 0) + amount;
+    }
+  });
+
+  const rows = [];
+  let cumulativeInterest = 0;
+  let cumulativePrincipal = 0;
+  for (let month = 1; month <= termMonths; month++) {
+    if (ratesByMonth[month] !== undefined && ratesByMonth[month] !== rate) {
+      rate = ratesByMonth[month];
+      r = monthlyRate(rate);
+      repaymentMonthly = monthlyPayment(
+        repaymentBalance,
+        rate,
+        termMonths - month + 1
+      );
+    }
+
+    const repaymentInterest = repaymentBalance * r;
+    const interest = repaymentInterest + ioPart * r;
+    let principal = Math.max(repaymentMonthly - repaymentInterest, 0);
+
+    const lastMonth = month === termMonths;
+    if (lastMonth || repaymentBalance - principal < BALANCE_EPSILON) {
+      principal = repaymentBalance;
+    }
+    repaymentBalance -= principal;
+
+    // Overpayments can't exceed what is left to pay off
+    const overpayment = Math.min(
+      regularOverpayment + (lumpSumsByMonth[month] || 0),
+      repaymentBalance + ioPart
+    );
+    const fromRepayment = Math.min(overpayment, repaymentBalance);
+    repaymentBalance -= fromRepayment;
+    ioPart -= overpayment - fromRepayment;
+    if (repaymentBalance < BALANCE_EPSILON) repaymentBalance = 0;
+    if (ioPart < BALANCE_EPSILON) ioPart = 0;
+
+    cumulativeInterest += interest;
+    cumulativePrincipal += principal + overpayment;
+
+    rows.push({
+      month,
+      rate,
+      payment: principal + interest,
+      principal,
+      interest,
+      overpayment,
+      balance: repaymentBalance + ioPart,
+      cumulativeInterest,
+      cumulativePrincipal,
+    });
+
+    if (repaymentBalance <= 0 && ioPart <= 0) break;
+  }
+
+  return rows;
+}
+
+// Roll a monthly schedule up into calendar-style years of the mortgage
+// (months 1–12 are year 1, and so on). Each year keeps its own rows so the UI
+// can expand it back out to month-by-month detail.
+export function groupScheduleByYear(schedule) {
+  const years = [];
+  schedule.forEach((row) => {
+    const yearIndex = Math.floor((row.month - 1) / 12);
+    if (!years[yearIndex]) {
+      years[yearIndex] = {
+        year: yearIndex + 1,
+        months: [],
+        payment: 0,
+        principal: 0,
+        interest: 0,
+        overpayment: 0,
+      };
+    }
+    const year = years[yearIndex];
+    year.months.push(row);
+    year.payment += row.payment;
+    year.principal += row.principal;
+    year.interest += row.interest;
+    year.overpayment += row.overpayment;
+    // End-of-year position is the last month seen so far
+    year.balance = row.balance;
+    year.cumulativeInterest = row.cumulativeInterest;
+    year.cumulativePrincipal = row.cumulativePrincipal;
+  });
+  return years.filter(Boolean);
+}
+
+// Headline figures for a loan, worked out from its full schedule so that the
+// totals always agree with the rows shown to the user.
+export function calculateMortgage({
+  loanAmount,
+  annualRate,
+  termYears,
+  interestOnlyAmount = 0,
+  overpayments,
+  rateChanges,
+}) {
+  const termMonths = termToMonths(termYears);
+  const schedule = buildSchedule({
+    loanAmount,
+    annualRate,
+    termMonths,
+    interestOnlyAmount,
+    overpayments,
+    rateChanges,
+  });
+
+  if (schedule.length === 0) {
+    return {
+      monthlyPayment: 0,
+      totalPayment: 0,
+      totalInterest: 0,
+      capitalOutstanding: 0,
+      termMonths,
+      schedule,
+    };
+  }
+
+  let totalPayment = 0;
+  let totalInterest = 0;
+  schedule.forEach((row) => {
+    totalPayment += row.payment + row.overpayment;
+    totalInterest += row.interest;
+  });
+
+  return {
+    monthlyPayment: schedule[0].payment,
+    totalPayment,
+    totalInterest,
+    capitalOutstanding: schedule[schedule.length - 1].balance,
+    termMonths,
+    schedule,
+  };
+}
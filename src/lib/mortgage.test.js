@@ -0,0 +1,220 @@
+import {
+  buildSchedule,
+  calculateMortgage,
+  groupScheduleByYear,
+  interestOnlyAmountFor,
+  interestOnlyPayment,
+  loanToValue,
+  monthlyPayment,
+  principalForPayment,
+  rateAtMonth,
+  termForPayment,
+  termToMonths,
+} from "./mortgage";
+
+describe("monthlyPayment", () => {
+  test("matches the standard annuity formula", () => {
+    // £200,000 over 25 years at 5%
+    expect(monthlyPayment(200000, 5, 300)).toBeCloseTo(1169.18, 2);
+  });
+
+  test("splits the loan evenly at 0%", () => {
+    expect(monthlyPayment(120000, 0, 240)).toBe(500);
+  });
+
+  test("returns 0 for missing inputs", () => {
+    expect(monthlyPayment(0, 5, 300)).toBe(0);
+    expect(monthlyPayment(100000, 5, 0)).toBe(0);
+  });
+});
+
+describe("reverse calculations", () => {
+  test("principalForPayment undoes monthlyPayment", () => {
+    const payment = monthlyPayment(200000, 5, 300);
+    expect(principalForPayment(payment, 5, 300)).toBeCloseTo(200000, 6);
+    expect(principalForPayment(500, 0, 240)).toBe(120000);
+    expect(principalForPayment(0, 5, 300)).toBe(0);
+  });
+
+  test("termForPayment finds the shortest term within the payment", () => {
+    const payment = monthlyPayment(200000, 5, 300);
+    expect(termForPayment(200000, payment, 5)).toBe(300);
+    // A little more a month shortens the term; the payment at that term
+    // never exceeds the target
+    const months = termForPayment(200000, 1500, 5);
+    expect(months).toBe(196);
+    expect(monthlyPayment(200000, 5, months)).toBeLessThanOrEqual(1500);
+    expect(monthlyPayment(200000, 5, months - 1)).toBeGreaterThan(1500);
+    expect(termForPayment(120000, 500, 0)).toBe(240);
+  });
+
+  test("termForPayment returns null if the payment only covers interest", () => {
+    // Interest alone is £833.33 a month
+    expect(termForPayment(200000, 833, 5)).toBeNull();
+    expect(termForPayment(200000, 0, 5)).toBeNull();
+  });
+});
+
+describe("small helpers", () => {
+  test("termToMonths rounds fractional years to whole months", () => {
+    expect(termToMonths(25)).toBe(300);
+    expect(termToMonths(25.5)).toBe(306);
+    expect(termToMonths(0.01)).toBe(1);
+    expect(termToMonths(0)).toBe(0);
+  });
+
+  test("interestOnlyPayment is the monthly interest", () => {
+    expect(interestOnlyPayment(240000, 5)).toBeCloseTo(1000, 6);
+  });
+
+  test("loanToValue is a percentage of the price", () => {
+    expect(loanToValue(180000, 200000)).toBe(90);
+    expect(loanToValue(0, 200000)).toBe(0);
+  });
+
+  test("rateAtMonth uses the latest change that has started", () => {
+    const changes = [
+      { month: 25, annualRate: 6 },
+      { month: 61, annualRate: 5 },
+    ];
+    expect(rateAtMonth(24, 4, changes)).toBe(4);
+    expect(rateAtMonth(25, 4, changes)).toBe(6);
+    expect(rateAtMonth(100, 4, changes)).toBe(5);
+    expect(rateAtMonth(1, 4, [])).toBe(4);
+  });
+
+  test("interestOnlyAmountFor follows the repayment type", () => {
+    expect(interestOnlyAmountFor("repayment", 200000, 50000)).toBe(0);
+    expect(interestOnlyAmountFor("interest-only", 200000, 50000)).toBe(200000);
+    expect(interestOnlyAmountFor("part-and-part", 200000, 50000)).toBe(50000);
+    expect(interestOnlyAmountFor("part-and-part", 200000, 900000)).toBe(200000);
+  });
+});
+
+describe("buildSchedule", () => {
+  test("pays a repayment loan down to exactly zero", () => {
+    const rows = buildSchedule({
+      loanAmount: 150000,
+      annualRate: 4.5,
+      termMonths: 300,
+    });
+    expect(rows).toHaveLength(300);
+    expect(rows[rows.length - 1].balance).toBe(0);
+    const principal = rows.reduce((sum, row) => sum + row.principal, 0);
+    expect(principal).toBeCloseTo(150000, 6);
+  });
+
+  test("keeps the balance flat on interest-only", () => {
+    const rows = buildSchedule({
+      loanAmount: 100000,
+      annualRate: 6,
+      termMonths: 120,
+      interestOnlyAmount: 100000,
+    });
+    expect(rows).toHaveLength(120);
+    rows.forEach((row) => {
+      expect(row.principal).toBe(0);
+      expect(row.balance).toBe(100000);
+      expect(row.payment).toBeCloseTo(500, 6);
+    });
+  });
+
+  test("leaves only the interest-only part owing on part-and-part", () => {
+    const rows = buildSchedule({
+      loanAmount: 200000,
+      annualRate: 5,
+      termMonths: 300,
+      interestOnlyAmount: 50000,
+    });
+    expect(rows[0].payment).toBeCloseTo(
+      monthlyPayment(150000, 5, 300) + interestOnlyPayment(50000, 5),
+      6
+    );
+    expect(rows[rows.length - 1].balance).toBeCloseTo(50000, 6);
+  });
+
+  test("clears tiny balances without negative rows", () => {
+    const rows = buildSchedule({
+      loanAmount: 0.5,
+      annualRate: 5,
+      termMonths: 12,
+    });
+    rows.forEach((row) => {
+      expect(row.balance).toBeGreaterThanOrEqual(0);
+      expect(row.principal).toBeGreaterThanOrEqual(0);
+    });
+    expect(rows[rows.length - 1].balance).toBe(0);
+  });
+
+  test("returns no rows for invalid inputs", () => {
+    expect(
+      buildSchedule({ loanAmount: 0, annualRate: 5, termMonths: 12 })
+    ).toEqual([]);
+    expect(
+      buildSchedule({ loanAmount: 1000, annualRate: -1, termMonths: 12 })
+    ).toEqual([]);
+  });
+});
+
+describe("calculateMortgage", () => {
+  test("totals agree with the schedule", () => {
+    const result = calculateMortgage({
+      loanAmount: 200000,
+      annualRate: 5,
+      termYears: 25,
+    });
+    expect(result.monthlyPayment).toBeCloseTo(1169.18, 2);
+    expect(result.totalPayment).toBeCloseTo(result.totalInterest + 200000, 6);
+    expect(result.capitalOutstanding).toBe(0);
+    expect(result.termMonths).toBe(300);
+  });
+
+  test("handles a 0% rate", () => {
+    const result = calculateMortgage({
+      loanAmount: 12000,
+      annualRate: 0,
+      termYears: 1,
+    });
+    expect(result.monthlyPayment).toBe(1000);
+    expect(result.totalInterest).toBe(0);
+    expect(result.totalPayment).toBeCloseTo(12000, 6);
+  });
+
+  test("reports capital still owed on interest-only", () => {
+    const result = calculateMortgage({
+      loanAmount: 100000,
+      annualRate: 6,
+      termYears: 10,
+      interestOnlyAmount: 100000,
+    });
+    expect(result.monthlyPayment).toBeCloseTo(500, 6);
+    expect(result.totalInterest).toBeCloseTo(60000, 4);
+    expect(result.capitalOutstanding).toBe(100000);
+  });
+
+  test("uses whole months for fractional terms", () => {
+    const result = calculateMortgage({
+      loanAmount: 100000,
+      annualRate: 4,
+      termYears: 20.5,
+    });
+    expect(result.termMonths).toBe(246);
+    expect(result.schedule).toHaveLength(246);
+  });
+});
+
+describe("groupScheduleByYear", () => {
+  test("rolls months up into years with running totals", () => {
+    const schedule = buildSchedule({
+      loanAmount: 50000,
+      annualRate: 3,
+      termMonths: 30,
+    });
+    const years = groupScheduleByYear(schedule);
+    expect(years.map((year) => year.months.length)).toEqual([12, 12, 6]);
+    expect(years[2].balance).toBe(0);
+    expect(years[2].cumulativePrincipal).toBeCloseTo(50000, 6);
+    const interest = years.reduce((sum, year) => sum + year.interest, 0);
+    expect(years[2].cumulativeInterest).toBeCloseTo(interest, 6);
+  });
+});
@@ -0,0 +1,139 @@
+// Offset mortgages: savings held with the lender are set against the loan,
+// so interest is only charged on the balance minus the savings. The savings
+// stay yours (they earn no interest) and can grow with regular deposits.
+// The interest saved either shortens the term, at the standard payment, or
+// lowers the payment, over the same term.
+import {
+  BALANCE_EPSILON,
+  monthlyPayment,
+  monthlyRate,
+  rateAtMonth,
+} from "./mortgage";
+
+// "term": keep the standard payment and finish sooner. "payment": pay less
+// each month and finish on time.
+export const OFFSET_MODES = ["term", "payment"];
+
+// Payment that clears `balance` over `months` when interest is only charged
+// on the part not covered by `savings` (assuming the savings stay the same).
+// The net balance is paid off first, at the usual rate; after that the rest
+// is interest-free. Savings never earn interest, so there's no closed form –
+// the payment is found by bisection.
+export function offsetPayment(balance, savings, annualRate, months) {
+  if (!(balance > 0) || !(months > 0)) return 0;
+  const covered = Math.min(Math.max(savings, 0), balance);
+  const net = balance - covered;
+  const r = monthlyRate(annualRate);
+  if (net <= 0 || r === 0) return balance / months;
+
+  // Months to clear the net balance at `payment`, and whether the months
+  // left after that are enough to repay the covered part interest-free
+  const clears = (payment) => {
+    if (payment <= net * r) return false;
+    const netMonths = -Math.log(1 - (net * r) / payment) / Math.log(1 + r);
+    return payment * (months - netMonths) >= covered;
+  };
+  let low = balance / months;
+  let high = monthlyPayment(balance, annualRate, months);
+  for (let i = 0; i < 50; i++) {
+    const mid = (low + high) / 2;
+    if (clears(mid)) high = mid;
+    else low = mid;
+  }
+  return high;
+}
+
+// Month-by-month schedule for an offset mortgage, in the same row shape as
+// buildSchedule plus the `savings` set against the loan that month. Regular
+// contributions are added to the savings at the end of each month.
+// `standardSchedule` (the same loan without an offset) sets the payment in
+// "term" mode.
+export function buildOffsetSchedule({
+  loanAmount,
+  annualRate,
+  termMonths,
+  rateChanges = [],
+  savings = 0,
+  monthlyContribution = 0,
+  mode = "term",
+  standardSchedule = [],
+}) {
+  if (!(loanAmount > 0) || !(termMonths > 0)) return [];
+
+  const rows = [];
+  let balance = loanAmount;
+  let saved = Math.max(savings, 0);
+  let cumulativeInterest = 0;
+  let cumulativePrincipal = 0;
+  for (let month = 1; month <= termMonths; month++) {
+    const rate = rateAtMonth(month, annualRate, rateChanges);
+    const interest = Math.max(balance - saved, 0) * monthlyRate(rate);
+    const standard = standardSchedule[month - 1];
+    const payment =
+      mode === "payment" || !standard
+        ? offsetPayment(balance, saved, rate, termMonths - month + 1)
+        : standard.payment;
+    let principal = Math.max(payment - interest, 0);
+    if (month === termMonths || balance - principal < BALANCE_EPSILON) {
+      principal = balance;
+    }
+    balance -= principal;
+
+    cumulativeInterest += interest;
+    cumulativePrincipal += principal;
+    rows.push({
+      month,
+      rate,
+      payment: principal + interest,
+      principal,
+      interest,
+      overpayment: 0,
+      balance,
+      savings: saved,
+      cumulativeInterest,
+      cumulativePrincipal,
+    });
+
+    if (balance <= 0) break;
+    saved += Math.max(monthlyContribution, 0);
+  }
+  return rows;
+}
+
+// Offset results compared with `standard` (the same loan without an offset,
+// from calculateMortgage): how much sooner it's paid off or how much lower
+// the payment is, and the interest saved.
+export function compareOffset({
+  loanAmount,
+  annualRate,
+  termMonths,
+  rateChanges,
+  savings,
+  monthlyContribution,
+  mode,
+  standard,
+}) {
+  const schedule = buildOffsetSchedule({
+    loanAmount,
+    annualRate,
+    termMonths,
+    rateChanges,
+    savings,
+    monthlyContribution,
+    mode,
+    standardSchedule: standard.schedule,
+  });
+  if (schedule.length === 0) return null;
+
+  const totalInterest = schedule[schedule.length - 1].cumulativeInterest;
+  return {
+    mode,
+    schedule,
+    monthlyPayment: schedule[0].payment,
+    paymentSaving: standard.monthlyPayment - schedule[0].payment,
+    months: schedule.length,
+    monthsSaved: Math.max(standard.schedule.length - schedule.length, 0),
+    totalInterest,
+    interestSaved: Math.max(standard.totalInterest - totalInterest, 0),
+  };
+}
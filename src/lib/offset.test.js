@@ -0,0 +1,99 @@
+import { buildOffsetSchedule, compareOffset, offsetPayment } from "./offset";
+import { calculateMortgage, monthlyPayment } from "./mortgage";
+
+const standard = calculateMortgage({
+  loanAmount: 200000,
+  annualRate: 5,
+  termYears: 25,
+});
+
+const deal = {
+  loanAmount: 200000,
+  annualRate: 5,
+  termMonths: 300,
+  rateChanges: [],
+  savings: 0,
+  monthlyContribution: 0,
+};
+
+describe("offsetPayment", () => {
+  test("is the usual payment without savings", () => {
+    expect(offsetPayment(200000, 0, 5, 300)).toBeCloseTo(
+      monthlyPayment(200000, 5, 300),
+      6
+    );
+  });
+
+  test("clears the loan with interest on the net balance only", () => {
+    const payment = offsetPayment(200000, 50000, 5, 300);
+    const schedule = buildOffsetSchedule({
+      ...deal,
+      savings: 50000,
+      mode: "payment",
+    });
+    expect(payment).toBeLessThan(monthlyPayment(200000, 5, 300));
+    expect(schedule).toHaveLength(300);
+    // Recalculated each month, the payment barely moves
+    schedule.forEach((row) => expect(row.payment).toBeCloseTo(payment, 0));
+  });
+
+  test("splits the balance evenly when savings cover it", () => {
+    expect(offsetPayment(100000, 150000, 5, 100)).toBe(1000);
+  });
+});
+
+describe("buildOffsetSchedule", () => {
+  test("charges interest on the balance minus savings", () => {
+    const [first] = buildOffsetSchedule({
+      ...deal,
+      savings: 50000,
+      standardSchedule: standard.schedule,
+    });
+    expect(first.interest).toBeCloseTo((150000 * 0.05) / 12, 6);
+    expect(first.payment).toBeCloseTo(standard.monthlyPayment, 6);
+  });
+
+  test("adds regular contributions to the savings each month", () => {
+    const schedule = buildOffsetSchedule({
+      ...deal,
+      savings: 1000,
+      monthlyContribution: 200,
+    });
+    expect(schedule[0].savings).toBe(1000);
+    expect(schedule[12].savings).toBe(3400);
+  });
+});
+
+describe("compareOffset", () => {
+  test("finishes sooner at the standard payment", () => {
+    const result = compareOffset({
+      ...deal,
+      standard,
+      savings: 30000,
+      mode: "term",
+    });
+    expect(result.monthsSaved).toBeGreaterThan(0);
+    expect(result.interestSaved).toBeGreaterThan(0);
+    expect(result.paymentSaving).toBeCloseTo(0, 6);
+    expect(result.schedule[result.months - 1].balance).toBe(0);
+  });
+
+  test("pays less each month over the same term", () => {
+    const result = compareOffset({
+      ...deal,
+      standard,
+      savings: 30000,
+      mode: "payment",
+    });
+    expect(result.months).toBe(300);
+    expect(result.monthsSaved).toBe(0);
+    expect(result.paymentSaving).toBeGreaterThan(0);
+    expect(result.interestSaved).toBeGreaterThan(0);
+  });
+
+  test("saves nothing without savings", () => {
+    const result = compareOffset({ ...deal, standard, mode: "term" });
+    expect(result.monthsSaved).toBe(0);
+    expect(result.interestSaved).toBeCloseTo(0, 6);
+  });
+});
@@ -0,0 +1,69 @@
+// Overpayment helpers that sit on top of the schedule engine in ./mortgage.
+// Most UK fixed and discounted deals let you overpay up to 10% of the balance
+// each year before early repayment charges apply.
+
+export const DEFAULT_ALLOWANCE_PCT = 10;
+
+// Turn the raw overpayment inputs into the shape buildSchedule expects,
+// dropping lump sums that fall outside the term or have no amount.
+export function normaliseOverpayments(monthly, lumpSums, termMonths) {
+  return {
+    monthly: monthly > 0 ? monthly : 0,
+    lumpSums: lumpSums.filter(
+      ({ month, amount }) =>
+        Number.isInteger(month) &&
+        month >= 1 &&
+        month <= termMonths &&
+        amount > 0
+    ),
+  };
+}
+
+export function hasOverpayments(overpayments) {
+  return overpayments.monthly > 0 || overpayments.lumpSums.length > 0;
+}
+
+// Check each year of the mortgage against the allowance, worked out as a
+// percentage of the balance at the start of that year. Returns the years
+// where the overpayments go over the limit.
+export function findAllowanceBreaches(schedule, loanAmount, allowancePct) {
+  if (!(allowancePct > 0)) return [];
+
+  const breaches = [];
+  let startBalance = loanAmount;
+  let overpaid = 0;
+
+  schedule.forEach((row, index) => {
+    overpaid += row.overpayment;
+    const endOfYear = row.month % 12 === 0 || index === schedule.length - 1;
+    if (!endOfYear) return;
+
+    const allowance = (startBalance * allowancePct) / 100;
+    if (overpaid > allowance + 0.005) {
+      breaches.push({
+        year: Math.ceil(row.month / 12),
+        overpaid,
+        allowance,
+      });
+    }
+    startBalance = row.balance;
+    overpaid = 0;
+  });
+
+  return breaches;
+}
+
+// Before/after summary of a mortgage with and without overpayments
+export function compareOverpayments(base, withOverpayments) {
+  const baseMonths = base.schedule.length;
+  const newMonths = withOverpayments.schedule.length;
+  return {
+    baseMonths,
+    newMonths,
+    monthsSaved: Math.max(baseMonths - newMonths, 0),
+    interestSaved: Math.max(
+      base.totalInterest - withOverpayments.totalInterest,
+      0
+    ),
+  };
+}
@@ -0,0 +1,96 @@
+import { calculateMortgage } from "./mortgage";
+import {
+  compareOverpayments,
+  findAllowanceBreaches,
+  hasOverpayments,
+  normaliseOverpayments,
+} from "./overpayments";
+
+const loan = { loanAmount: 200000, annualRate: 5, termYears: 25 };
+
+describe("normaliseOverpayments", () => {
+  test("drops lump sums outside the term or without an amount", () => {
+    const result = normaliseOverpayments(
+      -50,
+      [
+        { month: 12, amount: 5000 },
+        { month: 0, amount: 5000 },
+        { month: 301, amount: 5000 },
+        { month: 24, amount: 0 },
+        { month: 6.5, amount: 100 },
+      ],
+      300
+    );
+    expect(result).toEqual({
+      monthly: 0,
+      lumpSums: [{ month: 12, amount: 5000 }],
+    });
+    expect(hasOverpayments(result)).toBe(true);
+    expect(hasOverpayments(normaliseOverpayments(0, [], 300))).toBe(false);
+  });
+});
+
+describe("overpayments in the schedule", () => {
+  test("a regular overpayment shortens the term and saves interest", () => {
+    const base = calculateMortgage(loan);
+    const overpaid = calculateMortgage({
+      ...loan,
+      overpayments: { monthly: 200, lumpSums: [] },
+    });
+    const summary = compareOverpayments(base, overpaid);
+
+    expect(overpaid.monthlyPayment).toBeCloseTo(base.monthlyPayment, 6);
+    expect(summary.newMonths).toBeLessThan(300);
+    expect(summary.monthsSaved).toBe(300 - summary.newMonths);
+    expect(summary.interestSaved).toBeGreaterThan(0);
+    expect(overpaid.schedule[overpaid.schedule.length - 1].balance).toBe(0);
+  });
+
+  test("a lump sum reduces the balance in its month", () => {
+    const overpaid = calculateMortgage({
+      ...loan,
+      overpayments: { monthly: 0, lumpSums: [{ month: 12, amount: 10000 }] },
+    });
+    const base = calculateMortgage(loan);
+    expect(overpaid.schedule[11].overpayment).toBe(10000);
+    expect(overpaid.schedule[11].balance).toBeCloseTo(
+      base.schedule[11].balance - 10000,
+      6
+    );
+  });
+
+  test("overpaying an interest-only loan lowers the interest", () => {
+    const overpaid = calculateMortgage({
+      ...loan,
+      interestOnlyAmount: 200000,
+      overpayments: { monthly: 0, lumpSums: [{ month: 1, amount: 20000 }] },
+    });
+    expect(overpaid.schedule[1].interest).toBeCloseTo((180000 * 0.05) / 12, 6);
+    expect(overpaid.capitalOutstanding).toBeCloseTo(180000, 6);
+  });
+});
+
+describe("findAllowanceBreaches", () => {
+  test("flags years that overpay more than the allowance", () => {
+    const overpaid = calculateMortgage({
+      ...loan,
+      overpayments: { monthly: 0, lumpSums: [{ month: 18, amount: 30000 }] },
+    });
+    const breaches = findAllowanceBreaches(overpaid.schedule, 200000, 10);
+    expect(breaches).toHaveLength(1);
+    expect(breaches[0].year).toBe(2);
+    expect(breaches[0].overpaid).toBe(30000);
+    expect(breaches[0].allowance).toBeCloseTo(
+      overpaid.schedule[11].balance * 0.1,
+      6
+    );
+  });
+
+  test("is switched off by a 0% allowance", () => {
+    const overpaid = calculateMortgage({
+      ...loan,
+      overpayments: { monthly: 5000, lumpSums: [] },
+    });
+    expect(findAllowanceBreaches(overpaid.schedule, 200000, 0)).toEqual([]);
+  });
+});
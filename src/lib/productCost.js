@@ -0,0 +1,68 @@
+// Product fees, cashback and the APRC (Annual Percentage Rate of Charge), so
+// deals with different fees can be compared on their true cost rather than
+// their headline rate.
+
+// The amount actually borrowed: product fees added to the loan accrue
+// interest along with the rest of it.
+export function borrowingWithFee(loanAmount, fee, feeAddedToLoan) {
+  return loanAmount + (feeAddedToLoan && fee > 0 ? fee : 0);
+}
+
+// APRC as an annual percentage: the rate X at which the money advanced equals
+// the present value of everything the borrower pays (payments at month k are
+// discounted by (1 + X)^(k / 12)). Fees paid upfront and cashback count at
+// time zero, and any capital left at the end is repaid in the final month.
+export function calculateAprc({ advance, upfrontCosts = 0, schedule }) {
+  if (!(advance > 0) || schedule.length === 0) return 0;
+
+  const last = schedule[schedule.length - 1];
+  const flows = schedule.map((row) => ({
+    years: row.month / 12,
+    amount: row.payment + (row.overpayment || 0),
+  }));
+  flows[flows.length - 1].amount += last.balance;
+
+  // Net present value of the borrower's payments minus the advance; it falls
+  // as the rate rises, so bisection finds the root.
+  const npv = (rate) =>
+    flows.reduce(
+      (sum, { years, amount }) => sum + amount / Math.pow(1 + rate, years),
+      upfrontCosts
+    ) - advance;
+
+  let low = -0.99;
+  let high = 1;
+  if (npv(high) > 0) return high * 100;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (npv(mid) > 0) low = mid;
+    else high = mid;
+  }
+  return ((low + high) / 2) * 100;
+}
+
+// Cost of a deal over its first `periodMonths`: interest paid plus fees, less
+// cashback. Fees added to the loan count in full because they're still owed.
+export function costOverPeriod({ schedule, periodMonths, fee, cashback }) {
+  let payments = 0;
+  let interest = 0;
+  schedule.forEach((row) => {
+    if (row.month > periodMonths) return;
+    payments += row.payment + (row.overpayment || 0);
+    interest += row.interest;
+  });
+  return {
+    payments,
+    interest,
+    trueCost: interest + (fee > 0 ? fee : 0) - (cashback > 0 ? cashback : 0),
+  };
+}
+
+// Index of the cheapest scenario by true cost (ties go to the first)
+export function cheapestIndex(costs) {
+  return costs.reduce(
+    (best, cost, index) =>
+      cost.trueCost < costs[best].trueCost ? index : best,
+    0
+  );
+}
@@ -0,0 +1,85 @@
+import { calculateMortgage } from "./mortgage";
+import {
+  borrowingWithFee,
+  calculateAprc,
+  cheapestIndex,
+  costOverPeriod,
+} from "./productCost";
+
+const loan = { loanAmount: 200000, annualRate: 5, termYears: 25 };
+
+describe("borrowingWithFee", () => {
+  test("only adds the fee when it's added to the loan", () => {
+    expect(borrowingWithFee(200000, 999, true)).toBe(200999);
+    expect(borrowingWithFee(200000, 999, false)).toBe(200000);
+  });
+});
+
+describe("calculateAprc", () => {
+  test("is the annual equivalent of the rate with no fees", () => {
+    const { schedule } = calculateMortgage(loan);
+    const aprc = calculateAprc({ advance: 200000, schedule });
+    expect(aprc).toBeCloseTo((Math.pow(1 + 0.05 / 12, 12) - 1) * 100, 4);
+  });
+
+  test("rises with an upfront fee and falls with cashback", () => {
+    const { schedule } = calculateMortgage(loan);
+    const base = calculateAprc({ advance: 200000, schedule });
+    expect(
+      calculateAprc({ advance: 200000, upfrontCosts: 1999, schedule })
+    ).toBeGreaterThan(base);
+    expect(
+      calculateAprc({ advance: 200000, upfrontCosts: -1000, schedule })
+    ).toBeLessThan(base);
+  });
+
+  test("counts capital repaid at the end of an interest-only loan", () => {
+    const { schedule } = calculateMortgage({
+      ...loan,
+      interestOnlyAmount: 200000,
+    });
+    const aprc = calculateAprc({ advance: 200000, schedule });
+    expect(aprc).toBeCloseTo((Math.pow(1 + 0.05 / 12, 12) - 1) * 100, 4);
+  });
+});
+
+describe("costOverPeriod", () => {
+  test("is interest plus fees less cashback over the period", () => {
+    const { schedule } = calculateMortgage(loan);
+    const interest = schedule
+      .slice(0, 24)
+      .reduce((sum, row) => sum + row.interest, 0);
+    const cost = costOverPeriod({
+      schedule,
+      periodMonths: 24,
+      fee: 999,
+      cashback: 250,
+    });
+    expect(cost.interest).toBeCloseTo(interest, 6);
+    expect(cost.trueCost).toBeCloseTo(interest + 999 - 250, 6);
+  });
+
+  test("lets a no-fee deal beat a cheaper rate with a big fee", () => {
+    const lowRate = calculateMortgage({
+      ...loan,
+      annualRate: 4.5,
+      loanAmount: 201999,
+    });
+    const noFee = calculateMortgage({ ...loan, annualRate: 4.6 });
+    const costs = [
+      costOverPeriod({
+        schedule: lowRate.schedule,
+        periodMonths: 24,
+        fee: 1999,
+        cashback: 0,
+      }),
+      costOverPeriod({
+        schedule: noFee.schedule,
+        periodMonths: 24,
+        fee: 0,
+        cashback: 0,
+      }),
+    ];
+    expect(cheapestIndex(costs)).toBe(1);
+  });
+});
@@ -0,0 +1,48 @@
+// Helpers for mortgages whose rate changes during the term, e.g. a fixed-rate
+// deal that reverts to the lender's standard variable rate (SVR).
+
+export const FIXED_PERIOD_OPTIONS = [2, 3, 5, 10];
+
+// Rate changes for a fixed deal: the reversion rate starts the month after
+// the fixed period ends. No change if the fixed period covers the whole term.
+export function fixedRateChanges(fixedYears, reversionRate, termMonths) {
+  const fixedMonths = Math.round(fixedYears * 12);
+  const reverts =
+    fixedMonths > 0 && fixedMonths < termMonths && reversionRate > 0;
+  if (!reverts) return [];
+  return [{ month: fixedMonths + 1, annualRate: reversionRate }];
+}
+
+// Split a schedule into runs of months at the same rate. Each phase reports
+// its regular payment (from its first month) and what was paid in total.
+export function summarisePhases(schedule) {
+  const phases = [];
+  schedule.forEach((row) => {
+    const current = phases[phases.length - 1];
+    if (current && current.rate === row.rate) {
+      current.toMonth = row.month;
+      current.totalPaid += row.payment + row.overpayment;
+      current.interest += row.interest;
+      return;
+    }
+    phases.push({
+      rate: row.rate,
+      fromMonth: row.month,
+      toMonth: row.month,
+      payment: row.payment,
+      totalPaid: row.payment + row.overpayment,
+      interest: row.interest,
+    });
+  });
+  return phases;
+}
+
+// Change in monthly payment when the first phase ends
+export function paymentShock(phases) {
+  if (phases.length < 2) return null;
+  const amount = phases[1].payment - phases[0].payment;
+  return {
+    amount,
+    percent: phases[0].payment > 0 ? (amount / phases[0].payment) * 100 : 0,
+  };
+}
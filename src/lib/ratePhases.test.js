@@ -0,0 +1,50 @@
+import { calculateMortgage, monthlyPayment } from "./mortgage";
+import {
+  fixedRateChanges,
+  paymentShock,
+  summarisePhases,
+} from "./ratePhases";
+
+describe("fixedRateChanges", () => {
+  test("reverts the month after the fixed period", () => {
+    expect(fixedRateChanges(5, 7.5, 300)).toEqual([
+      { month: 61, annualRate: 7.5 },
+    ]);
+  });
+
+  test("does nothing without a follow-on rate or a shorter fixed period", () => {
+    expect(fixedRateChanges(5, 0, 300)).toEqual([]);
+    expect(fixedRateChanges(10, 7.5, 120)).toEqual([]);
+  });
+});
+
+describe("a fixed deal that reverts to SVR", () => {
+  const result = calculateMortgage({
+    loanAmount: 200000,
+    annualRate: 4,
+    termYears: 25,
+    rateChanges: fixedRateChanges(2, 7, 300),
+  });
+  const phases = summarisePhases(result.schedule);
+
+  test("recalculates the payment on the remaining balance", () => {
+    expect(phases).toHaveLength(2);
+    expect(phases[0]).toMatchObject({ rate: 4, fromMonth: 1, toMonth: 24 });
+    expect(phases[1]).toMatchObject({ rate: 7, fromMonth: 25, toMonth: 300 });
+    expect(phases[1].payment).toBeCloseTo(
+      monthlyPayment(result.schedule[23].balance, 7, 276),
+      6
+    );
+    expect(result.schedule[299].balance).toBe(0);
+  });
+
+  test("reports the payment shock", () => {
+    const shock = paymentShock(phases);
+    expect(shock.amount).toBeCloseTo(phases[1].payment - phases[0].payment, 6);
+    expect(shock.percent).toBeGreaterThan(0);
+  });
+
+  test("totals the initial period", () => {
+    expect(phases[0].totalPaid).toBeCloseTo(phases[0].payment * 24, 6);
+  });
+});
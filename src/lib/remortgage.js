@@ -0,0 +1,104 @@
+// Remortgaging: compare staying with the current lender (on the current deal,
+// then its SVR) with switching the outstanding balance to a new product.
+// Costs are counted the same way as the scenario comparison (see
+// lib/productCost): interest plus fees less cashback, with any early
+// repayment charge (ERC) added to the cost of switching.
+import { buildSchedule } from "./mortgage";
+import { borrowingWithFee, costOverPeriod } from "./productCost";
+import { fixedRateChanges } from "./ratePhases";
+
+// Cost of each option at the end of every month, from month 1
+function runningCosts(schedule, upfront) {
+  let cost = upfront;
+  return schedule.map((row) => {
+    cost += row.interest;
+    return cost;
+  });
+}
+
+// `current`: { rate, dealMonths, svr } – `dealMonths` left at `rate` before
+// moving to the SVR (0 if already on it).
+// `next`: { rate, fixedYears, reversionRate, fee, feeAdded, cashback } for
+// the new product; `fixedYears` is 0 for a variable deal.
+// Both options run over the same remaining term. They are compared over
+// `periodMonths` – usually the new deal's fixed period.
+export function compareRemortgage({
+  balance,
+  termMonths,
+  current,
+  next,
+  erc = 0,
+  periodMonths,
+}) {
+  if (!(balance > 0) || !(termMonths > 0)) return null;
+
+  const staySchedule = buildSchedule({
+    loanAmount: balance,
+    annualRate: current.dealMonths > 0 ? current.rate : current.svr,
+    termMonths,
+    rateChanges:
+      current.dealMonths > 0
+        ? fixedRateChanges(current.dealMonths / 12, current.svr, termMonths)
+        : [],
+  });
+
+  const borrowing = borrowingWithFee(balance, next.fee, next.feeAdded);
+  const switchSchedule = buildSchedule({
+    loanAmount: borrowing,
+    annualRate: next.rate,
+    termMonths,
+    rateChanges: fixedRateChanges(
+      next.fixedYears,
+      next.reversionRate,
+      termMonths
+    ),
+  });
+  if (staySchedule.length === 0 || switchSchedule.length === 0) return null;
+
+  const months = Math.min(periodMonths || termMonths, termMonths);
+  const charge = erc > 0 ? erc : 0;
+  const stay = {
+    borrowing: balance,
+    schedule: staySchedule,
+    monthlyPayment: staySchedule[0].payment,
+    ...costOverPeriod({
+      schedule: staySchedule,
+      periodMonths: months,
+      fee: 0,
+      cashback: 0,
+    }),
+  };
+  const switchCost = costOverPeriod({
+    schedule: switchSchedule,
+    periodMonths: months,
+    fee: next.fee,
+    cashback: next.cashback,
+  });
+  const change = {
+    borrowing,
+    schedule: switchSchedule,
+    monthlyPayment: switchSchedule[0].payment,
+    ...switchCost,
+    trueCost: switchCost.trueCost + charge,
+  };
+
+  // First month in which switching has cost no more than staying, counting
+  // the ERC and fees up front
+  const upfront =
+    charge +
+    (next.fee > 0 ? next.fee : 0) -
+    (next.cashback > 0 ? next.cashback : 0);
+  const stayCosts = runningCosts(staySchedule, 0);
+  const switchCosts = runningCosts(switchSchedule, upfront);
+  const index = switchCosts.findIndex(
+    (cost, i) => i < stayCosts.length && cost <= stayCosts[i]
+  );
+
+  return {
+    periodMonths: months,
+    stay,
+    switch: change,
+    saving: stay.trueCost - change.trueCost,
+    breakEvenMonth: index === -1 ? null : index + 1,
+  };
+}
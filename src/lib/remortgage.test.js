@@ -0,0 +1,94 @@
+import { compareRemortgage } from "./remortgage";
+import { monthlyPayment } from "./mortgage";
+
+// £180,000 left over 20 years, about to move to a 7.5% SVR
+const base = {
+  balance: 180000,
+  termMonths: 240,
+  current: { rate: 3, dealMonths: 0, svr: 7.5 },
+  next: {
+    rate: 4.5,
+    fixedYears: 5,
+    reversionRate: 7.5,
+    fee: 999,
+    feeAdded: false,
+    cashback: 0,
+  },
+  periodMonths: 60,
+};
+
+describe("compareRemortgage", () => {
+  test("stays on the SVR when the current deal has ended", () => {
+    const result = compareRemortgage(base);
+    expect(result.stay.monthlyPayment).toBeCloseTo(
+      monthlyPayment(180000, 7.5, 240),
+      6
+    );
+    expect(result.switch.monthlyPayment).toBeCloseTo(
+      monthlyPayment(180000, 4.5, 240),
+      6
+    );
+    expect(result.periodMonths).toBe(60);
+  });
+
+  test("counts fees, cashback and the ERC against switching", () => {
+    const noCharge = compareRemortgage(base);
+    const withCharge = compareRemortgage({ ...base, erc: 2000 });
+    expect(withCharge.switch.trueCost).toBeCloseTo(
+      noCharge.switch.trueCost + 2000,
+      6
+    );
+    expect(withCharge.saving).toBeCloseTo(noCharge.saving - 2000, 6);
+    expect(noCharge.switch.trueCost).toBeCloseTo(
+      noCharge.switch.interest + 999,
+      6
+    );
+  });
+
+  test("breaks even once the interest saved covers the upfront costs", () => {
+    const result = compareRemortgage({ ...base, erc: 2000 });
+    const month = result.breakEvenMonth;
+    // Interest saving is about £450 a month, so ~£3,000 takes 7 months
+    expect(month).toBe(7);
+    const interestTo = (schedule, m) =>
+      schedule.slice(0, m).reduce((sum, row) => sum + row.interest, 0);
+    const switchCost = (m) => 2999 + interestTo(result.switch.schedule, m);
+    expect(switchCost(month)).toBeLessThanOrEqual(
+      interestTo(result.stay.schedule, month)
+    );
+    expect(switchCost(month - 1)).toBeGreaterThan(
+      interestTo(result.stay.schedule, month - 1)
+    );
+  });
+
+  test("keeps the current rate until the current deal ends", () => {
+    const result = compareRemortgage({
+      ...base,
+      current: { rate: 3, dealMonths: 12, svr: 7.5 },
+    });
+    expect(result.stay.schedule[11].rate).toBe(3);
+    expect(result.stay.schedule[12].rate).toBe(7.5);
+  });
+
+  test("never breaks even if switching costs more each month", () => {
+    const result = compareRemortgage({
+      ...base,
+      next: { ...base.next, rate: 8 },
+    });
+    expect(result.breakEvenMonth).toBeNull();
+    expect(result.saving).toBeLessThan(0);
+  });
+
+  test("adds a fee added to the loan to the new balance", () => {
+    const result = compareRemortgage({
+      ...base,
+      next: { ...base.next, feeAdded: true },
+    });
+    expect(result.switch.borrowing).toBe(180999);
+  });
+
+  test("returns null without a balance or term", () => {
+    expect(compareRemortgage({ ...base, balance: 0 })).toBeNull();
+    expect(compareRemortgage({ ...base, termMonths: 0 })).toBeNull();
+  });
+});
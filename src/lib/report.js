@@ -0,0 +1,206 @@
+// Figures for the printable report and the schedule downloads. Everything
+// shown on screen, printed or downloaded goes through the same formatting
+// here, so the numbers always agree.
+import { formatCurrency, formatDuration, parseNumber } from "./format";
+import { termToMonths } from "./mortgage";
+import { termYearsFor } from "./term";
+import { BUYER_TYPES } from "./stampDuty";
+
+export const REPAYMENT_LABELS = {
+  repayment: "Repayment",
+  "interest-only": "Interest-only",
+  "part-and-part": "Part-and-part",
+};
+
+// Headline results, formatted as shown in the results step
+export function headlineFigures({
+  monthlyPayment,
+  loanAmount,
+  ltv,
+  totalInterest,
+  totalPayment,
+  aprc,
+  capitalOutstanding,
+}) {
+  const hasResult = monthlyPayment > 0 && loanAmount > 0;
+  return {
+    monthlyPayment: formatCurrency(hasResult ? monthlyPayment : 0, 2),
+    loanAmount: formatCurrency(loanAmount),
+    ltv: ltv ? `${ltv.toFixed(1)}%` : "–",
+    totalInterest: formatCurrency(totalInterest),
+    totalPayment: formatCurrency(totalPayment),
+    aprc: hasResult ? `${aprc.toFixed(1)}%` : "–",
+    capitalOutstanding: formatCurrency(capitalOutstanding),
+  };
+}
+
+function amount(value) {
+  return formatCurrency(parseNumber(value));
+}
+
+// The inputs behind a calculation as label/value pairs, leaving out
+// anything not filled in
+export function reportInputs(formData) {
+  const buyer = BUYER_TYPES.find(({ value }) => value === formData.buyerType);
+  const fixed = formData.mortgageType === "fixed";
+  const tracker = formData.mortgageType === "tracker";
+  const shared = !!formData.sharedOwnership;
+  const inputs = [
+    [
+      "Property price",
+      formData.propertyPrice && amount(formData.propertyPrice),
+    ],
+    ["Deposit", formData.deposit && amount(formData.deposit)],
+    ["Annual income", formData.income && amount(formData.income)],
+    [
+      "Second applicant's income",
+      formData.secondIncome && amount(formData.secondIncome),
+    ],
+    [
+      "Term",
+      formData.term && formatDuration(termToMonths(termYearsFor(formData))),
+    ],
+    [
+      "Applicant ages",
+      [formData.applicantAge, formData.secondApplicantAge]
+        .filter(Boolean)
+        .join(" and "),
+    ],
+    [
+      "Lender's maximum age",
+      (formData.applicantAge || formData.secondApplicantAge) &&
+        formData.maxAgeAtEnd,
+    ],
+    [
+      "Shared ownership share",
+      shared && formData.ownershipShare && `${formData.ownershipShare}%`,
+    ],
+    ["Rent", shared && formData.rentRate && `${formData.rentRate}% a year`],
+    [
+      "Service charge",
+      shared &&
+        formData.serviceCharge &&
+        `${amount(formData.serviceCharge)} a month`,
+    ],
+    [
+      "Mortgage type",
+      fixed
+        ? `${formData.fixedPeriod}-year fixed`
+        : tracker
+        ? "Tracker"
+        : "Variable",
+    ],
+    [
+      tracker ? "Margin over base rate" : "Interest rate",
+      formData.interestRate && `${formData.interestRate}%`,
+    ],
+    [
+      "Base rate today",
+      tracker && formData.baseRate && `${formData.baseRate}%`,
+    ],
+    [
+      "Base-rate changes",
+      tracker &&
+        (formData.baseRatePath || [])
+          .filter(({ year, rate }) => year !== "" && rate !== "")
+          .map(({ year, rate }) => `year ${year}: ${rate}%`)
+          .join(", "),
+    ],
+    [
+      "Collar",
+      tracker && formData.trackerCollar && `${formData.trackerCollar}%`,
+    ],
+    [
+      "Follow-on rate",
+      fixed && formData.reversionRate && `${formData.reversionRate}%`,
+    ],
+    ["Repayment type", REPAYMENT_LABELS[formData.repaymentType]],
+    [
+      "Interest-only part",
+      formData.repaymentType === "part-and-part" &&
+        amount(formData.interestOnlyPart),
+    ],
+    [
+      "Product fee",
+      formData.arrangementFee &&
+        `${amount(formData.arrangementFee)}${
+          formData.feeAddedToLoan ? " (added to the loan)" : ""
+        }`,
+    ],
+    ["Cashback", formData.cashback && amount(formData.cashback)],
+    [
+      "Monthly overpayment",
+      formData.monthlyOverpayment && amount(formData.monthlyOverpayment),
+    ],
+    [
+      "Offset savings",
+      formData.offsetSavings && amount(formData.offsetSavings),
+    ],
+    [
+      "Added to offset savings monthly",
+      formData.offsetContribution && amount(formData.offsetContribution),
+    ],
+    ["Buyer type", buyer && buyer.label],
+  ];
+  return inputs
+    .filter(([, value]) => value)
+    .map(([label, value]) => ({ label, value }));
+}
+
+// Schedule columns for the downloads, with the same rounding (to the penny)
+// as the month-by-month rows on screen
+const SCHEDULE_COLUMNS = [
+  { key: "month", label: "Month" },
+  { key: "rate", label: "Rate (%)" },
+  { key: "payment", label: "Payment" },
+  { key: "principal", label: "Principal" },
+  { key: "interest", label: "Interest" },
+  { key: "overpayment", label: "Overpaid" },
+  { key: "balance", label: "Balance" },
+  { key: "cumulativeInterest", label: "Interest to date" },
+  { key: "cumulativePrincipal", label: "Principal to date" },
+];
+
+function roundedRow(row) {
+  const rounded = {};
+  SCHEDULE_COLUMNS.forEach(({ key }) => {
+    rounded[key] =
+      key === "month" || key === "rate"
+        ? row[key]
+        : Number(row[key].toFixed(2)) || 0;
+  });
+  return rounded;
+}
+
+export function scheduleToCsv(schedule) {
+  const lines = [
+    SCHEDULE_COLUMNS.map(({ label }) => label).join(","),
+    ...schedule.map((row) => {
+      const rounded = roundedRow(row);
+      return SCHEDULE_COLUMNS.map(({ key }) =>
+        key === "month" || key === "rate"
+          ? String(rounded[key])
+          : rounded[key].toFixed(2)
+      ).join(",");
+    }),
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// `summary` holds the headline figures (see headlineFigures) to go with it
+export function scheduleToJson(schedule, summary) {
+  return JSON.stringify(
+    { summary, schedule: schedule.map(roundedRow) },
+    null,
+    2
+  );
+}
+
+// e.g. "mortgage-schedule-2026-10-19.csv"
+export function exportFileName(extension, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+  return `mortgage-schedule-${day}.${extension}`;
+}
@@ -0,0 +1,113 @@
+import {
+  exportFileName,
+  headlineFigures,
+  reportInputs,
+  scheduleToCsv,
+  scheduleToJson,
+} from "./report";
+import { calculateMortgage } from "./mortgage";
+import { formatCurrency } from "./format";
+
+const result = calculateMortgage({
+  loanAmount: 200000,
+  annualRate: 4.5,
+  termYears: 25,
+});
+
+describe("headlineFigures", () => {
+  test("formats the results as shown on screen", () => {
+    const figures = headlineFigures({
+      ...result,
+      loanAmount: 200000,
+      ltv: 80,
+      aprc: 4.56,
+    });
+    expect(figures.monthlyPayment).toBe(formatCurrency(1111.66, 2));
+    expect(figures.loanAmount).toBe(formatCurrency(200000));
+    expect(figures.ltv).toBe("80.0%");
+    expect(figures.aprc).toBe("4.6%");
+    expect(figures.totalPayment).toBe(formatCurrency(result.totalPayment));
+  });
+
+  test("shows blanks until there is a result", () => {
+    const figures = headlineFigures({
+      monthlyPayment: 0,
+      loanAmount: 0,
+      ltv: 0,
+      totalInterest: 0,
+      totalPayment: 0,
+      aprc: 0,
+      capitalOutstanding: 0,
+    });
+    expect(figures.monthlyPayment).toBe("£0.00");
+    expect(figures.ltv).toBe("–");
+    expect(figures.aprc).toBe("–");
+  });
+});
+
+describe("reportInputs", () => {
+  test("lists the filled-in inputs", () => {
+    const inputs = reportInputs({
+      propertyPrice: "250,000",
+      deposit: "50,000",
+      income: "",
+      secondIncome: "",
+      term: "25",
+      mortgageType: "fixed",
+      fixedPeriod: "5",
+      reversionRate: "7.5",
+      interestRate: "4.5",
+      repaymentType: "repayment",
+      interestOnlyPart: "",
+      arrangementFee: "999",
+      feeAddedToLoan: true,
+      cashback: "",
+      monthlyOverpayment: "",
+      buyerType: "first-time",
+    });
+    expect(inputs.map(({ label }) => label)).not.toContain("Annual income");
+    expect(inputs).toContainEqual({ label: "Term", value: "25 years" });
+    expect(inputs).toContainEqual({
+      label: "Mortgage type",
+      value: "5-year fixed",
+    });
+    expect(inputs).toContainEqual({
+      label: "Product fee",
+      value: `${formatCurrency(999)} (added to the loan)`,
+    });
+  });
+});
+
+describe("schedule downloads", () => {
+  test("CSV has a header and one row per month, to the penny", () => {
+    const lines = scheduleToCsv(result.schedule).trim().split("\r\n");
+    expect(lines).toHaveLength(301);
+    expect(lines[0]).toBe(
+      "Month,Rate (%),Payment,Principal,Interest,Overpaid,Balance," +
+        "Interest to date,Principal to date"
+    );
+    const first = lines[1].split(",");
+    expect(first[0]).toBe("1");
+    expect(first[1]).toBe("4.5");
+    expect(first[2]).toBe("1111.66");
+    expect(first[4]).toBe("750.00");
+    expect(lines[300].split(",")[6]).toBe("0.00");
+  });
+
+  test("JSON matches the CSV figures", () => {
+    const json = JSON.parse(scheduleToJson(result.schedule, { a: 1 }));
+    expect(json.summary).toEqual({ a: 1 });
+    expect(json.schedule).toHaveLength(300);
+    expect(json.schedule[0]).toMatchObject({
+      month: 1,
+      payment: 1111.66,
+      interest: 750,
+    });
+  });
+
+  test("file names carry the date", () => {
+    expect(exportFileName("csv", new Date(2026, 0, 5))).toBe(
+      "mortgage-schedule-2026-01-05.csv"
+    );
+  });
+});
@@ -0,0 +1,108 @@
+// A library of named calculations kept in localStorage, e.g.
+// "Flat on High St – 5yr fix". Each one holds a versioned form snapshot (see
+// lib/storage) so it is migrated when loaded.
+import { FORM_VERSION, migrateFormData } from "./storage";
+import { formatCurrency, parseNumber } from "./format";
+
+export const LIBRARY_VERSION = 1;
+
+const MAX_NAME_LENGTH = 60;
+
+function nextId(calculations) {
+  return calculations.reduce((max, { id }) => Math.max(max, id), 0) + 1;
+}
+
+function cleanName(name, fallback) {
+  return String(name).trim().slice(0, MAX_NAME_LENGTH) || fallback;
+}
+
+// Calculations from the stored library (parsed JSON), oldest first. Entries
+// that can't be read are skipped rather than losing the whole library.
+export function loadLibrary(stored, emptyForm) {
+  if (!stored || !Array.isArray(stored.calculations)) return [];
+  return stored.calculations
+    .filter((entry) => entry && Number.isInteger(entry.id) && entry.formData)
+    .map((entry) => ({
+      id: entry.id,
+      name: cleanName(entry.name || "", `Calculation ${entry.id}`),
+      savedAt: entry.savedAt,
+      formData: migrateFormData(
+        { version: entry.formVersion || 0, formData: entry.formData },
+        emptyForm
+      ),
+    }));
+}
+
+// What gets written to localStorage
+export function serialiseLibrary(calculations) {
+  return {
+    version: LIBRARY_VERSION,
+    calculations: calculations.map((calculation) => ({
+      ...calculation,
+      formVersion: FORM_VERSION,
+    })),
+  };
+}
+
+// Default name from the main figures, e.g. "£250,000 – 4.5% 5yr fix"
+export function suggestName(formData) {
+  const price = parseNumber(formData.propertyPrice);
+  const parts = [];
+  if (price > 0) {
+    parts.push(
+      formData.sharedOwnership
+        ? `${formatCurrency(price)} (${formData.ownershipShare}% share)`
+        : formatCurrency(price)
+    );
+  }
+  if (formData.interestRate) {
+    parts.push(
+      formData.mortgageType === "fixed"
+        ? `${formData.interestRate}% ${formData.fixedPeriod}yr fix`
+        : formData.mortgageType === "tracker"
+        ? `base + ${formData.interestRate}% tracker`
+        : `${formData.interestRate}% variable`
+    );
+  }
+  return parts.join(" – ") || "My calculation";
+}
+
+export function saveCalculation(
+  calculations,
+  name,
+  formData,
+  now = new Date()
+) {
+  return [
+    ...calculations,
+    {
+      id: nextId(calculations),
+      name: cleanName(name, suggestName(formData)),
+      savedAt: now.toISOString(),
+      formData,
+    },
+  ];
+}
+
+export function renameCalculation(calculations, id, name) {
+  return calculations.map((calculation) =>
+    calculation.id === id
+      ? { ...calculation, name: cleanName(name, calculation.name) }
+      : calculation
+  );
+}
+
+export function duplicateCalculation(calculations, id, now = new Date()) {
+  const source = calculations.find((calculation) => calculation.id === id);
+  if (!source) return calculations;
+  return saveCalculation(
+    calculations,
+    `${source.name} (copy)`,
+    source.formData,
+    now
+  );
+}
+
+export function deleteCalculation(calculations, id) {
+  return calculations.filter((calculation) => calculation.id !== id);
+}
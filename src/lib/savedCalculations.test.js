@@ -0,0 +1,89 @@
+import {
+  LIBRARY_VERSION,
+  deleteCalculation,
+  duplicateCalculation,
+  loadLibrary,
+  renameCalculation,
+  saveCalculation,
+  serialiseLibrary,
+  suggestName,
+} from "./savedCalculations";
+import { FORM_VERSION } from "./storage";
+
+const emptyForm = {
+  propertyPrice: "",
+  interestRate: "",
+  mortgageType: "fixed",
+  fixedPeriod: "5",
+  scenarios: [],
+};
+const now = new Date("2025-06-01T12:00:00Z");
+const form = { ...emptyForm, propertyPrice: "250,000", interestRate: "4.5" };
+
+describe("suggestName", () => {
+  test("describes the price and deal", () => {
+    expect(suggestName(form)).toBe("£250,000 – 4.5% 5yr fix");
+    expect(suggestName({ ...form, mortgageType: "variable" })).toBe(
+      "£250,000 – 4.5% variable"
+    );
+    expect(
+      suggestName({ ...form, sharedOwnership: true, ownershipShare: "40" })
+    ).toBe("£250,000 (40% share) – 4.5% 5yr fix");
+    expect(suggestName(emptyForm)).toBe("My calculation");
+  });
+});
+
+describe("library actions", () => {
+  const saved = saveCalculation([], "Flat on High St", form, now);
+
+  test("saves with an id, name and date", () => {
+    expect(saved).toEqual([
+      {
+        id: 1,
+        name: "Flat on High St",
+        savedAt: "2025-06-01T12:00:00.000Z",
+        formData: form,
+      },
+    ]);
+    expect(saveCalculation(saved, "  ", form, now)[1].name).toBe(
+      "£250,000 – 4.5% 5yr fix"
+    );
+  });
+
+  test("renames, duplicates and deletes", () => {
+    const renamed = renameCalculation(saved, 1, "House on Park Rd");
+    expect(renamed[0].name).toBe("House on Park Rd");
+    expect(renameCalculation(saved, 1, "")[0].name).toBe("Flat on High St");
+
+    const copied = duplicateCalculation(saved, 1, now);
+    expect(copied[1]).toMatchObject({ id: 2, name: "Flat on High St (copy)" });
+    expect(deleteCalculation(copied, 1).map(({ id }) => id)).toEqual([2]);
+  });
+});
+
+describe("loadLibrary", () => {
+  test("round-trips through storage", () => {
+    const saved = saveCalculation([], "Flat", form, now);
+    const stored = JSON.parse(JSON.stringify(serialiseLibrary(saved)));
+    expect(stored.version).toBe(LIBRARY_VERSION);
+    expect(stored.calculations[0].formVersion).toBe(FORM_VERSION);
+    expect(loadLibrary(stored, emptyForm)).toEqual(saved);
+  });
+
+  test("migrates old snapshots and skips broken entries", () => {
+    const library = loadLibrary(
+      {
+        version: 1,
+        calculations: [
+          { id: 3, name: "Old", formData: { ...form, interestRateB: "5" } },
+          { name: "No id", formData: form },
+          null,
+        ],
+      },
+      emptyForm
+    );
+    expect(library).toHaveLength(1);
+    expect(library[0].formData.scenarios[0].interestRate).toBe("5");
+    expect(loadLibrary(null, emptyForm)).toEqual([]);
+  });
+});
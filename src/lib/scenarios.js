@@ -0,0 +1,277 @@
+// Comparison scenarios: alternative deals that can vary the rate, term,
+// deposit, repayment type and fees of the main calculation. Scenarios keep
+// the raw strings typed into the form, using the same field names as the
+// main form, so the main deal can be evaluated with the same code.
+import { parseNumber, parseNumberInput } from "./format";
+import {
+  calculateMortgage,
+  interestOnlyAmountFor,
+  loanToValue,
+  termToMonths,
+} from "./mortgage";
+import { fixedRateChanges } from "./ratePhases";
+import { baseRateSteps, trackerRates } from "./tracker";
+import { purchasePriceFor } from "./sharedOwnership";
+import { extraMonthsValid, termYearsFor, termYearsWhole } from "./term";
+import {
+  borrowingWithFee,
+  calculateAprc,
+  cheapestIndex,
+  costOverPeriod,
+} from "./productCost";
+
+// Including the main deal
+export const MAX_SCENARIOS = 5;
+
+// Inputs each scenario can vary
+export const SCENARIO_FIELDS = [
+  "interestRate",
+  "term",
+  "deposit",
+  "repaymentType",
+  "interestOnlyPart",
+  "arrangementFee",
+  "feeAddedToLoan",
+  "cashback",
+  // Added after the others so older links still line up (see urlState)
+  "termExtraMonths",
+];
+
+// "Scenario A" is the main deal, comparisons follow on from "B"
+export function scenarioName(index) {
+  return `Scenario ${String.fromCharCode(65 + index)}`;
+}
+
+function pickScenarioFields(source) {
+  const picked = {};
+  SCENARIO_FIELDS.forEach((field) => {
+    picked[field] = source[field];
+  });
+  return picked;
+}
+
+function nextId(scenarios) {
+  return scenarios.reduce((max, { id }) => Math.max(max, id), 0) + 1;
+}
+
+// First "Scenario X" name not already used by a comparison scenario
+function nextName(scenarios) {
+  const used = scenarios.map(({ name }) => name);
+  let index = 1;
+  while (used.includes(scenarioName(index))) index += 1;
+  return scenarioName(index);
+}
+
+// New comparison scenario, starting from a copy of `source` (the main form or
+// another scenario)
+export function createScenario(source, scenarios, name) {
+  return {
+    ...pickScenarioFields(source),
+    id: nextId(scenarios),
+    name: name || nextName(scenarios),
+  };
+}
+
+// Older saves held a single comparison rate (and fees) for "Scenario B"
+// instead of a list of scenarios
+export function legacyScenarios(saved) {
+  if (!saved.interestRateB) return saved.scenarios || [];
+  return [
+    {
+      ...pickScenarioFields(saved),
+      id: 1,
+      name: scenarioName(1),
+      interestRate: saved.interestRateB,
+      arrangementFee: saved.arrangementFeeB || "",
+      feeAddedToLoan: !!saved.feeAddedToLoanB,
+      cashback: saved.cashbackB || "",
+    },
+  ];
+}
+
+// Field -> message for anything that would stop the scenario being compared.
+// Uses the same rules as the main form's checks.
+export function scenarioErrors(scenario, propertyPrice) {
+  const errors = {};
+  // Text that isn't a number is NaN, so it fails every check below
+  const rate = parseNumberInput(scenario.interestRate);
+  const term = parseNumberInput(scenario.term);
+  const extraMonths = scenario.termExtraMonths
+    ? parseNumberInput(scenario.termExtraMonths)
+    : 0;
+  const deposit =
+    scenario.deposit === "" ? 0 : parseNumberInput(scenario.deposit);
+  const part = parseNumberInput(scenario.interestOnlyPart);
+
+  if (!(rate > 0 && rate < 100)) {
+    errors.interestRate = "Enter a rate between 0 and 100.";
+  }
+  if (!(term > 0)) {
+    errors.term = "Enter a term greater than 0.";
+  } else if (!termYearsWhole(scenario)) {
+    errors.term = "Enter whole years when adding months.";
+  }
+  if (!extraMonthsValid(extraMonths)) {
+    errors.termExtraMonths = "Enter a whole number of months from 0 to 11.";
+  }
+  if (!(deposit >= 0) || deposit >= propertyPrice) {
+    errors.deposit = "Enter a deposit of 0 or more, below the property price.";
+  }
+  if (
+    scenario.repaymentType === "part-and-part" &&
+    !(part > 0 && part < propertyPrice - deposit)
+  ) {
+    errors.interestOnlyPart =
+      "Enter an interest-only part greater than 0 and less than the loan.";
+  }
+  ["arrangementFee", "cashback"].forEach((field) => {
+    if (scenario[field] !== "" && !(parseNumberInput(scenario[field]) >= 0)) {
+      errors[field] = "Enter an amount of 0 or more.";
+    }
+  });
+  return errors;
+}
+
+// Inputs from the main form that every scenario shares: the price being
+// paid (just the share, for shared ownership), the fixed period / follow-on
+// rate and a tracker's base-rate path
+export function scenarioContextFor(formData) {
+  return {
+    propertyPrice: purchasePriceFor(formData),
+    mortgageType: formData.mortgageType,
+    fixedPeriod: parseNumber(formData.fixedPeriod),
+    reversionRate: parseNumber(formData.reversionRate),
+    baseRate: parseNumber(formData.baseRate),
+    trackerCollar: parseNumber(formData.trackerCollar),
+    baseRatePath: formData.baseRatePath || [],
+  };
+}
+
+// Full results for one scenario. `context` holds the inputs shared by every
+// scenario: property price, the fixed period / follow-on rate and the
+// base-rate path. For a tracker, each scenario's rate is its margin over the
+// base rate.
+export function evaluateScenario(
+  scenario,
+  {
+    propertyPrice,
+    mortgageType,
+    fixedPeriod,
+    reversionRate,
+    baseRate = 0,
+    trackerCollar = 0,
+    baseRatePath = [],
+  }
+) {
+  const deposit = parseNumber(scenario.deposit);
+  const termYears = termYearsFor(scenario);
+  const fee = parseNumber(scenario.arrangementFee);
+  const cashback = parseNumber(scenario.cashback);
+
+  const loanAmount =
+    propertyPrice && deposit >= 0 ? Math.max(propertyPrice - deposit, 0) : 0;
+  // Product fees added to the loan are borrowed too
+  const borrowing = borrowingWithFee(loanAmount, fee, scenario.feeAddedToLoan);
+  const interestOnlyAmount = interestOnlyAmountFor(
+    scenario.repaymentType,
+    borrowing,
+    parseNumber(scenario.interestOnlyPart)
+  );
+
+  // Fixed deals revert to the follow-on rate once the fixed period ends;
+  // trackers follow the base rate
+  let annualRate = parseNumber(scenario.interestRate);
+  let rateChanges = [];
+  if (mortgageType === "fixed") {
+    rateChanges = fixedRateChanges(
+      fixedPeriod,
+      reversionRate,
+      termToMonths(termYears)
+    );
+  } else if (mortgageType === "tracker") {
+    ({ annualRate, rateChanges } = trackerRates({
+      baseRate,
+      margin: annualRate,
+      collar: trackerCollar,
+      steps: baseRateSteps(baseRatePath, Math.ceil(termYears)),
+    }));
+  }
+
+  const result = calculateMortgage({
+    loanAmount: borrowing,
+    annualRate,
+    termYears,
+    interestOnlyAmount,
+    rateChanges,
+  });
+
+  return {
+    ...result,
+    mortgageType,
+    annualRate,
+    termYears,
+    deposit,
+    fee,
+    cashback,
+    loanAmount,
+    borrowing,
+    interestOnlyAmount,
+    rateChanges,
+    ltv: loanToValue(loanAmount, propertyPrice),
+    aprc: calculateAprc({
+      advance: loanAmount,
+      upfrontCosts: (scenario.feeAddedToLoan ? 0 : fee) - cashback,
+      schedule: result.schedule,
+    }),
+  };
+}
+
+// Period the deals are compared over: the shortest fixed period among deals
+// whose rate reverts, otherwise (including trackers) the shortest term among
+// them, so the order of the deals doesn't matter. Null entries (scenarios
+// that couldn't be evaluated) are skipped.
+export function comparisonPeriod(results) {
+  const valid = results.filter(Boolean);
+  if (valid.length === 0) return 0;
+  const reverting = valid.filter(
+    (result) => result.mortgageType === "fixed" && result.rateChanges.length > 0
+  );
+  if (reverting.length > 0) {
+    return Math.min(
+      ...reverting.map(({ rateChanges }) => rateChanges[0].month - 1)
+    );
+  }
+  return Math.min(...valid.map((result) => result.termMonths));
+}
+
+// Costs closer than this count as the same, e.g. a deal and its copy
+const COST_TIE = 0.01;
+
+// Add the true cost over `periodMonths` to each result and mark the cheapest
+// (only when there is more than one deal and none costs the same as it).
+// Null entries stay null and never count as cheapest.
+export function compareScenarios(results, periodMonths) {
+  const costed = results.map(
+    (result) =>
+      result && {
+        ...result,
+        ...costOverPeriod({
+          schedule: result.schedule,
+          periodMonths,
+          fee: result.fee,
+          cashback: result.cashback,
+        }),
+      }
+  );
+  const valid = costed.filter(Boolean);
+  const best = valid.length > 1 ? valid[cheapestIndex(valid)] : null;
+  const tied =
+    best &&
+    valid.some(
+      (result) =>
+        result !== best && Math.abs(result.trueCost - best.trueCost) < COST_TIE
+    );
+  return costed.map(
+    (result) => result && { ...result, cheapest: !tied && result === best }
+  );
+}
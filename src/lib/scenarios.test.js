@@ -0,0 +1,216 @@
+import {
+  comparisonPeriod,
+  compareScenarios,
+  createScenario,
+  evaluateScenario,
+  legacyScenarios,
+  scenarioErrors,
+  scenarioName,
+} from "./scenarios";
+
+const deal = {
+  interestRate: "4.5",
+  term: "25",
+  deposit: "50,000",
+  repaymentType: "repayment",
+  interestOnlyPart: "",
+  arrangementFee: "999",
+  feeAddedToLoan: false,
+  cashback: "",
+};
+
+const context = {
+  propertyPrice: 250000,
+  mortgageType: "variable",
+  fixedPeriod: 5,
+  reversionRate: 0,
+};
+
+describe("createScenario", () => {
+  test("copies the deal and picks the next free name", () => {
+    const first = createScenario({ ...deal, income: "50000" }, []);
+    expect(first).toEqual({ ...deal, id: 1, name: "Scenario B" });
+
+    const second = createScenario(deal, [first, { id: 7, name: "Scenario D" }]);
+    expect(second.id).toBe(8);
+    expect(second.name).toBe("Scenario C");
+  });
+
+  test("keeps a given name", () => {
+    expect(createScenario(deal, [], "Lower fee").name).toBe("Lower fee");
+    expect(scenarioName(0)).toBe("Scenario A");
+  });
+});
+
+describe("legacyScenarios", () => {
+  test("turns the old single comparison rate into a scenario", () => {
+    const [scenario] = legacyScenarios({
+      ...deal,
+      interestRateB: "5.2",
+      arrangementFeeB: "0",
+      cashbackB: "250",
+    });
+    expect(scenario).toMatchObject({
+      id: 1,
+      name: "Scenario B",
+      interestRate: "5.2",
+      term: "25",
+      arrangementFee: "0",
+      feeAddedToLoan: false,
+      cashback: "250",
+    });
+  });
+
+  test("keeps saved scenarios and ignores a blank comparison rate", () => {
+    expect(legacyScenarios({ interestRateB: "" })).toEqual([]);
+    const scenarios = [{ ...deal, id: 3, name: "Mine" }];
+    expect(legacyScenarios({ scenarios, interestRateB: "" })).toBe(scenarios);
+  });
+});
+
+describe("scenarioErrors", () => {
+  test("passes a complete deal", () => {
+    expect(scenarioErrors(deal, 250000)).toEqual({});
+  });
+
+  test("flags each invalid field", () => {
+    const errors = scenarioErrors(
+      {
+        ...deal,
+        interestRate: "",
+        term: "0",
+        termExtraMonths: "12",
+        deposit: "300,000",
+        repaymentType: "part-and-part",
+        arrangementFee: "-1",
+      },
+      250000
+    );
+    expect(Object.keys(errors).sort()).toEqual([
+      "arrangementFee",
+      "deposit",
+      "interestOnlyPart",
+      "interestRate",
+      "term",
+      "termExtraMonths",
+    ]);
+  });
+
+  test("wants whole years alongside extra months", () => {
+    expect(
+      scenarioErrors({ ...deal, term: "25.5", termExtraMonths: "6" }, 250000)
+    ).toEqual({ term: "Enter whole years when adding months." });
+    expect(scenarioErrors({ ...deal, term: "25.5" }, 250000)).toEqual({});
+  });
+});
+
+describe("evaluateScenario", () => {
+  test("uses the scenario's own deposit, term and fee", () => {
+    const result = evaluateScenario(
+      { ...deal, feeAddedToLoan: true, term: "20" },
+      context
+    );
+    expect(result.loanAmount).toBe(200000);
+    expect(result.borrowing).toBe(200999);
+    expect(result.ltv).toBe(80);
+    expect(result.termMonths).toBe(240);
+    expect(result.rateChanges).toEqual([]);
+  });
+
+  test("adds the scenario's extra months to the term", () => {
+    const result = evaluateScenario(
+      { ...deal, term: "25", termExtraMonths: "6" },
+      context
+    );
+    expect(result.termMonths).toBe(306);
+  });
+
+  test("reverts to the shared follow-on rate on fixed deals", () => {
+    const result = evaluateScenario(deal, {
+      ...context,
+      mortgageType: "fixed",
+      reversionRate: 7,
+    });
+    expect(result.rateChanges).toEqual([{ month: 61, annualRate: 7 }]);
+  });
+});
+
+describe("compareScenarios", () => {
+  test("costs each deal over the same period and marks the cheapest", () => {
+    const cheap = evaluateScenario({ ...deal, arrangementFee: "" }, context);
+    const dear = evaluateScenario({ ...deal, interestRate: "5" }, context);
+    const period = comparisonPeriod([null, cheap, dear]);
+    expect(period).toBe(300);
+
+    const [invalid, a, b] = compareScenarios([null, cheap, dear], period);
+    expect(invalid).toBeNull();
+    expect(a.cheapest).toBe(true);
+    expect(b.cheapest).toBe(false);
+    expect(b.trueCost).toBeCloseTo(b.interest + 999, 6);
+  });
+
+  test("has no cheapest with a single deal", () => {
+    const [only] = compareScenarios([evaluateScenario(deal, context)], 60);
+    expect(only.cheapest).toBe(false);
+  });
+
+  test("has no cheapest when the deals cost the same", () => {
+    const main = evaluateScenario(deal, context);
+    const copy = evaluateScenario(createScenario(deal, []), context);
+    const dear = evaluateScenario({ ...deal, interestRate: "5" }, context);
+    const compared = compareScenarios([main, copy, dear], 300);
+    expect(compared.map(({ cheapest }) => cheapest)).toEqual([
+      false,
+      false,
+      false,
+    ]);
+  });
+
+  test("uses the fixed period when deals revert", () => {
+    const fixed = evaluateScenario(deal, {
+      ...context,
+      mortgageType: "fixed",
+      reversionRate: 7,
+    });
+    expect(comparisonPeriod([fixed])).toBe(60);
+    expect(comparisonPeriod([null])).toBe(0);
+  });
+
+  test("compares over the same period whatever order the deals are in", () => {
+    const fixedFor = (fixedPeriod, interestRate) =>
+      evaluateScenario(
+        { ...deal, interestRate },
+        {
+          ...context,
+          mortgageType: "fixed",
+          fixedPeriod,
+          reversionRate: 7,
+        }
+      );
+    const twoYear = fixedFor(2, "4.5");
+    const fiveYear = fixedFor(5, "4.2");
+    expect(comparisonPeriod([twoYear, fiveYear])).toBe(24);
+    expect(comparisonPeriod([fiveYear, twoYear])).toBe(24);
+
+    const [a, b] = compareScenarios([twoYear, fiveYear], 24);
+    const [c, d] = compareScenarios([fiveYear, twoYear], 24);
+    expect([c.trueCost, d.trueCost]).toEqual([b.trueCost, a.trueCost]);
+    expect([c.cheapest, d.cheapest]).toEqual([b.cheapest, a.cheapest]);
+  });
+
+  test("tracks the base rate, with each scenario's rate as its margin", () => {
+    const tracker = evaluateScenario(
+      { ...deal, interestRate: "1" },
+      {
+        ...context,
+        mortgageType: "tracker",
+        baseRate: 4,
+        baseRatePath: [{ year: "2", rate: "3" }],
+      }
+    );
+    expect(tracker.annualRate).toBe(5);
+    expect(tracker.rateChanges).toEqual([{ month: 13, annualRate: 4 }]);
+    // Base-rate moves don't shorten the comparison period
+    expect(comparisonPeriod([tracker])).toBe(300);
+  });
+});
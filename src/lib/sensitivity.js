@@ -0,0 +1,159 @@
+// Rate sensitivity: how the payment and total cost change if rates move by a
+// few percentage points, or follow a custom path (e.g. +1 point from year 2).
+// Rate moves only apply from `fromMonth` – for a fixed deal, the first month
+// after the fixed period – since a fixed rate can't change.
+import { calculateMortgage, rateAtMonth } from "./mortgage";
+import { STRESS_PASS_RATIO, combinedIncome } from "./affordability";
+
+// Percentage-point moves shown in the table
+export const RATE_SHIFTS = [-3, -2, -1, -0.5, 0, 0.5, 1, 2, 3];
+
+// Largest move considered when looking for the affordability limit
+const MAX_SHIFT = 25;
+
+// Largest change allowed in a custom rate path, in percentage points
+export const MAX_RATE_CHANGE = 20;
+
+// A rate change typed into the form, e.g. "1" or "-0.5": blank, or a number
+// within MAX_RATE_CHANGE of today's rate
+export function rateChangeValid(value) {
+  const text = String(value).trim();
+  return (
+    text === "" ||
+    (/^-?\d+(\.\d+)?$/.test(text) && Math.abs(Number(text)) <= MAX_RATE_CHANGE)
+  );
+}
+
+// The form's `[{ year, change }]` rate path as `[{ month, change }]` steps,
+// skipping incomplete or invalid rows. Year 1 starts in month 1.
+export function ratePathSteps(ratePath, termYears) {
+  return (ratePath || [])
+    .map(({ year, change }) => ({
+      year: Number(String(year).trim()),
+      change: String(change).trim(),
+    }))
+    .filter(
+      ({ year, change }) =>
+        Number.isInteger(year) &&
+        year >= 1 &&
+        year <= termYears &&
+        change !== "" &&
+        rateChangeValid(change)
+    )
+    .map(({ year, change }) => ({
+      month: (year - 1) * 12 + 1,
+      change: Number(change),
+    }));
+}
+
+// Shift in `month` from a path of `[{ month, change }]` steps: each change
+// holds from its month until the next one
+function shiftAt(month, path) {
+  return path.reduce(
+    (shift, step) => (step.month <= month ? step.change : shift),
+    0
+  );
+}
+
+// The deal's rates with a path of shifts applied from `fromMonth`, in the
+// `{ annualRate, rateChanges }` shape buildSchedule expects. Rates never go
+// below 0.
+export function shiftedRates({ annualRate, rateChanges, path, fromMonth }) {
+  const sorted = [...rateChanges].sort((a, b) => a.month - b.month);
+  const steps = [...path].sort((a, b) => a.month - b.month);
+  const rateAt = (month) =>
+    Math.max(
+      rateAtMonth(month, annualRate, sorted) +
+        (month >= fromMonth ? shiftAt(month, steps) : 0),
+      0
+    );
+
+  const months = [
+    ...new Set([
+      fromMonth,
+      ...sorted.map(({ month }) => month),
+      ...steps.map(({ month }) => Math.max(month, fromMonth)),
+    ]),
+  ]
+    .filter((month) => month > 1)
+    .sort((a, b) => a - b);
+
+  return {
+    annualRate: rateAt(1),
+    rateChanges: months.map((month) => ({ month, annualRate: rateAt(month) })),
+  };
+}
+
+// Results for one path. `payment` is the highest monthly payment once rates
+// can change (with the rate at the time), which is what the affordability
+// limit is checked against.
+function evaluatePath(deal, path) {
+  const rates = shiftedRates({ ...deal, path });
+  const result = calculateMortgage({
+    loanAmount: deal.loanAmount,
+    termYears: deal.termYears,
+    interestOnlyAmount: deal.interestOnlyAmount,
+    ...rates,
+  });
+  const peak = result.schedule
+    .filter((row) => row.month >= deal.fromMonth)
+    .reduce(
+      (max, row) => (!max || row.payment > max.payment ? row : max),
+      null
+    );
+  return {
+    rate: peak ? peak.rate : rates.annualRate,
+    payment: peak ? peak.payment : 0,
+    totalInterest: result.totalInterest,
+    totalPayment: result.totalPayment,
+  };
+}
+
+// The deal's own rate when changes start to apply
+function rateFrom(deal) {
+  return rateAtMonth(deal.fromMonth, deal.annualRate, deal.rateChanges);
+}
+
+// Lowest rate (once changed) at which the payment goes over `limit`, found by
+// bisection on a flat shift. Null if even a MAX_SHIFT rise stays within it.
+function limitRate(deal, limit) {
+  const payment = (shift) =>
+    evaluatePath(deal, [{ month: 1, change: shift }]).payment;
+  let low = -rateFrom(deal);
+  let high = MAX_SHIFT;
+  if (payment(high) <= limit) return null;
+  if (payment(low) > limit) return 0;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (payment(mid) > limit) high = mid;
+    else low = mid;
+  }
+  return evaluatePath(deal, [{ month: 1, change: high }]).rate;
+}
+
+// `deal`: { loanAmount, annualRate, termYears, interestOnlyAmount,
+// rateChanges, fromMonth }. `customPath` is `[{ month, change }]` (may be
+// empty). The payment limit is the stress-test share of gross monthly income
+// (see lib/affordability), if any income is given.
+export function assessSensitivity({ deal, customPath = [], incomes = [] }) {
+  const monthlyIncome = combinedIncome(incomes) / 12;
+  const paymentLimit =
+    monthlyIncome > 0 ? (monthlyIncome * STRESS_PASS_RATIO) / 100 : null;
+  const flag = (row) => ({
+    ...row,
+    overLimit: paymentLimit !== null && row.payment > paymentLimit,
+  });
+
+  return {
+    rows: RATE_SHIFTS.map((shift) => ({
+      shift,
+      ...evaluatePath(deal, [{ month: 1, change: shift }]),
+    }))
+      // Cuts below a 0% rate would just repeat the 0% row
+      .filter(({ shift }) => rateFrom(deal) + shift >= 0)
+      .map(flag),
+    custom: customPath.length > 0 ? flag(evaluatePath(deal, customPath)) : null,
+    paymentLimit,
+    limitRate: paymentLimit !== null ? limitRate(deal, paymentLimit) : null,
+  };
+}
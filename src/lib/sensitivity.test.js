@@ -0,0 +1,118 @@
+import { assessSensitivity, ratePathSteps, shiftedRates } from "./sensitivity";
+import { monthlyPayment } from "./mortgage";
+
+const variable = {
+  loanAmount: 200000,
+  annualRate: 5,
+  termYears: 25,
+  interestOnlyAmount: 0,
+  rateChanges: [],
+  fromMonth: 1,
+};
+
+describe("shiftedRates", () => {
+  test("applies a path of shifts on top of the deal's rates", () => {
+    expect(
+      shiftedRates({
+        annualRate: 5,
+        rateChanges: [],
+        path: [{ month: 13, change: 1 }],
+        fromMonth: 1,
+      })
+    ).toEqual({ annualRate: 5, rateChanges: [{ month: 13, annualRate: 6 }] });
+  });
+
+  test("leaves the fixed period alone and never goes below 0%", () => {
+    expect(
+      shiftedRates({
+        annualRate: 4,
+        rateChanges: [{ month: 61, annualRate: 7 }],
+        path: [{ month: 1, change: -8 }],
+        fromMonth: 61,
+      })
+    ).toEqual({ annualRate: 4, rateChanges: [{ month: 61, annualRate: 0 }] });
+  });
+});
+
+describe("ratePathSteps", () => {
+  test("turns years into months and skips rows that aren't valid", () => {
+    expect(
+      ratePathSteps(
+        [
+          { year: "2", change: "1" },
+          { year: "4", change: "-0.5" },
+          { year: "", change: "1" },
+          { year: "30", change: "1" },
+          { year: "3", change: "50" },
+        ],
+        25
+      )
+    ).toEqual([
+      { month: 13, change: 1 },
+      { month: 37, change: -0.5 },
+    ]);
+  });
+});
+
+describe("assessSensitivity", () => {
+  test("shows each rate move with its payment and cost", () => {
+    const { rows } = assessSensitivity({ deal: variable });
+    expect(rows.map(({ shift }) => shift)).toEqual([
+      -3, -2, -1, -0.5, 0, 0.5, 1, 2, 3,
+    ]);
+    const plusOne = rows.find(({ shift }) => shift === 1);
+    expect(plusOne.rate).toBe(6);
+    expect(plusOne.payment).toBeCloseTo(monthlyPayment(200000, 6, 300), 6);
+    const current = rows.find(({ shift }) => shift === 0);
+    expect(plusOne.totalInterest).toBeGreaterThan(current.totalInterest);
+  });
+
+  test("skips cuts that would take the rate below 0%", () => {
+    const { rows } = assessSensitivity({
+      deal: { ...variable, annualRate: 1.5 },
+    });
+    expect(rows[0].shift).toBe(-1);
+  });
+
+  test("uses the payment after a fixed period ends", () => {
+    const { rows } = assessSensitivity({
+      deal: {
+        ...variable,
+        annualRate: 4,
+        rateChanges: [{ month: 61, annualRate: 7 }],
+        fromMonth: 61,
+      },
+    });
+    expect(rows.find(({ shift }) => shift === 1).rate).toBe(8);
+    expect(rows.find(({ shift }) => shift === -3).rate).toBe(4);
+  });
+
+  test("costs a custom rate path", () => {
+    const { custom } = assessSensitivity({
+      deal: variable,
+      customPath: [{ month: 13, change: 1 }],
+    });
+    expect(custom.rate).toBe(6);
+    expect(custom.payment).toBeGreaterThan(monthlyPayment(200000, 5, 300));
+    expect(custom.payment).toBeLessThan(monthlyPayment(200000, 6, 300));
+  });
+
+  test("flags payments over the income threshold and finds the limit", () => {
+    // 30% of £60,000 / 12 = £1,500 a month
+    const result = assessSensitivity({
+      deal: variable,
+      incomes: [60000, 0],
+    });
+    expect(result.paymentLimit).toBe(1500);
+    expect(result.rows.find(({ shift }) => shift === 3).overLimit).toBe(true);
+    expect(result.rows.find(({ shift }) => shift === 0).overLimit).toBe(false);
+    expect(monthlyPayment(200000, result.limitRate, 300)).toBeCloseTo(1500, 1);
+  });
+
+  test("has no limit without an income", () => {
+    const result = assessSensitivity({ deal: variable });
+    expect(result.paymentLimit).toBeNull();
+    expect(result.limitRate).toBeNull();
+    expect(result.rows.every(({ overLimit }) => !overLimit)).toBe(true);
+  });
+});
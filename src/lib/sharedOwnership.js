@@ -0,0 +1,84 @@
+// Shared ownership: the buyer buys a share of the home (usually 25–75%) with
+// a deposit and mortgage, and pays rent to the housing provider on the share
+// they don't own, plus a service charge. Buying more of the home later is
+// called staircasing and is priced at the home's value at the time.
+import { monthlyPayment } from "./mortgage";
+import { parseNumber } from "./format";
+
+export const MIN_SHARE = 25;
+export const MAX_SHARE = 75;
+export const DEFAULT_SHARE = 50;
+
+// Rent is usually set at 2.75% a year of the value of the unowned share
+export const DEFAULT_RENT_RATE = 2.75;
+
+export function shareValid(share) {
+  return share >= MIN_SHARE && share <= MAX_SHARE;
+}
+
+// Price of the share being bought
+export function shareValue(propertyPrice, share) {
+  return (propertyPrice * share) / 100;
+}
+
+// What the mortgage and deposit pay for: the share being bought, or the
+// whole home for an ordinary purchase
+export function purchasePriceFor(formData) {
+  const price = parseNumber(formData.propertyPrice);
+  return formData.sharedOwnership
+    ? shareValue(price, parseNumber(formData.ownershipShare))
+    : price;
+}
+
+// Monthly rent on the share the buyer doesn't own
+export function monthlyRent(propertyPrice, share, rentRate) {
+  const unowned = (propertyPrice * (100 - share)) / 100;
+  return (unowned * Math.max(rentRate, 0)) / 100 / 12;
+}
+
+// Monthly housing cost: mortgage, rent and service charge
+export function sharedOwnershipCosts({
+  propertyPrice,
+  share,
+  rentRate,
+  serviceCharge,
+  mortgagePayment,
+}) {
+  const rent = monthlyRent(propertyPrice, share, rentRate);
+  return {
+    shareValue: shareValue(propertyPrice, share),
+    rent,
+    serviceCharge,
+    mortgagePayment,
+    total: mortgagePayment + rent + serviceCharge,
+  };
+}
+
+// Staircasing from `fromShare` to `toShare` after `years`, with the home's
+// value growing by `growthRate`% a year. The rent falls in proportion to the
+// share still rented (rent reviews are left out). `extraPayment` is the
+// monthly cost of borrowing the whole amount at `annualRate` over the
+// `remainingMonths` of the mortgage.
+export function staircasingCost({
+  propertyPrice,
+  fromShare,
+  toShare,
+  years,
+  growthRate,
+  rentRate,
+  annualRate,
+  remainingMonths,
+}) {
+  const futureValue = propertyPrice * Math.pow(1 + growthRate / 100, years);
+  const cost = (futureValue * (toShare - fromShare)) / 100;
+  const rentBefore = monthlyRent(propertyPrice, fromShare, rentRate);
+  const rentAfter = monthlyRent(propertyPrice, toShare, rentRate);
+  return {
+    futureValue,
+    cost,
+    rentBefore,
+    rentAfter,
+    rentSaving: rentBefore - rentAfter,
+    extraPayment: monthlyPayment(cost, annualRate, remainingMonths),
+  };
+}
@@ -0,0 +1,78 @@
+import {
+  monthlyRent,
+  purchasePriceFor,
+  shareValid,
+  sharedOwnershipCosts,
+  staircasingCost,
+} from "./sharedOwnership";
+import { monthlyPayment } from "./mortgage";
+
+describe("purchasePriceFor", () => {
+  test("is the share's value for shared ownership", () => {
+    const form = { propertyPrice: "300,000", ownershipShare: "40" };
+    expect(purchasePriceFor({ ...form, sharedOwnership: true })).toBe(120000);
+    expect(purchasePriceFor({ ...form, sharedOwnership: false })).toBe(300000);
+  });
+
+  test("accepts shares from 25% to 75%", () => {
+    expect(shareValid(25)).toBe(true);
+    expect(shareValid(75)).toBe(true);
+    expect(shareValid(10)).toBe(false);
+    expect(shareValid(80)).toBe(false);
+  });
+});
+
+describe("sharedOwnershipCosts", () => {
+  test("adds rent on the unowned share and the service charge", () => {
+    // 2.75% of the £180,000 unowned share is £4,950 a year
+    expect(monthlyRent(300000, 40, 2.75)).toBeCloseTo(412.5, 6);
+    const costs = sharedOwnershipCosts({
+      propertyPrice: 300000,
+      share: 40,
+      rentRate: 2.75,
+      serviceCharge: 100,
+      mortgagePayment: 600,
+    });
+    expect(costs.shareValue).toBe(120000);
+    expect(costs.total).toBeCloseTo(1112.5, 6);
+  });
+});
+
+describe("staircasingCost", () => {
+  test("prices the extra share at the future value and cuts the rent", () => {
+    const result = staircasingCost({
+      propertyPrice: 300000,
+      fromShare: 40,
+      toShare: 75,
+      years: 5,
+      growthRate: 2,
+      rentRate: 2.75,
+      annualRate: 5,
+      remainingMonths: 240,
+    });
+    const futureValue = 300000 * Math.pow(1.02, 5);
+    expect(result.futureValue).toBeCloseTo(futureValue, 6);
+    expect(result.cost).toBeCloseTo(futureValue * 0.35, 6);
+    expect(result.rentAfter).toBeCloseTo(412.5 * (25 / 60), 6);
+    expect(result.rentSaving).toBeCloseTo(412.5 - result.rentAfter, 6);
+    expect(result.extraPayment).toBeCloseTo(
+      monthlyPayment(result.cost, 5, 240),
+      6
+    );
+  });
+
+  test("ends the rent when staircasing to 100%", () => {
+    const result = staircasingCost({
+      propertyPrice: 300000,
+      fromShare: 50,
+      toShare: 100,
+      years: 0,
+      growthRate: 0,
+      rentRate: 2.75,
+      annualRate: 5,
+      remainingMonths: 300,
+    });
+    expect(result.cost).toBe(150000);
+    expect(result.rentAfter).toBe(0);
+  });
+});
@@ -0,0 +1,95 @@
+// Stamp Duty Land Tax (SDLT) and the other cash needed on completion.
+// Rates come from ../data/sdltRates.json so they can be updated when the
+// government changes them without touching this code or the components.
+import SDLT_RATES from "../data/sdltRates.json";
+
+export const BUYER_TYPES = [
+  { value: "first-time", label: "First-time buyer" },
+  { value: "mover", label: "Moving home" },
+  { value: "additional", label: "Additional property (e.g. second home)" },
+];
+
+// Tax on each slice of the price. `bands` are in ascending order with the
+// last one open-ended (`upTo: null`).
+function taxByBand(price, bands, surcharge = 0) {
+  const slices = [];
+  let from = 0;
+  bands.forEach(({ upTo, rate }) => {
+    const to = upTo === null ? Infinity : upTo;
+    if (price > from) {
+      const amount = Math.min(price, to) - from;
+      const bandRate = rate + surcharge;
+      slices.push({ from, to, rate: bandRate, tax: (amount * bandRate) / 100 });
+    }
+    from = to;
+  });
+  return slices;
+}
+
+// SDLT for a purchase. First-time buyer relief only applies up to its maximum
+// price; above that the standard rates apply to the whole price. The
+// additional-property surcharge is added to every band.
+export function calculateSdlt(price, buyerType, rates = SDLT_RATES) {
+  if (!(price > 0)) {
+    return { total: 0, bands: [], reliefApplied: false, surcharge: 0 };
+  }
+
+  const reliefApplied =
+    buyerType === "first-time" && price <= rates.firstTimeBuyer.maxPrice;
+  const surcharge =
+    buyerType === "additional" && price >= rates.additionalProperty.minPrice
+      ? rates.additionalProperty.surcharge
+      : 0;
+
+  const bands = taxByBand(
+    price,
+    reliefApplied ? rates.firstTimeBuyer.bands : rates.standard,
+    surcharge
+  );
+
+  return {
+    total: bands.reduce((sum, band) => sum + band.tax, 0),
+    bands,
+    reliefApplied,
+    surcharge,
+  };
+}
+
+// Buying fees captured alongside SDLT, in display order. The lender's product
+// fee is entered with the mortgage options instead, as it can be added to
+// the loan.
+export const UPFRONT_FEE_FIELDS = [
+  {
+    name: "valuationFee",
+    label: "Valuation fee (£)",
+    placeholder: "e.g. 300",
+    hint: "The lender's valuation of the property. Often free with some deals.",
+  },
+  {
+    name: "legalFees",
+    label: "Legal / conveyancing fees (£)",
+    placeholder: "e.g. 1,500",
+    hint: "Your solicitor or conveyancer's fees, including searches.",
+  },
+  {
+    name: "surveyCost",
+    label: "Survey (£)",
+    placeholder: "e.g. 600",
+    hint: "An optional independent survey of the property's condition.",
+  },
+];
+
+// Total cash needed on completion: deposit plus fees plus tax. `fees` is a
+// map of name -> amount, including any product fee paid upfront.
+export function calculateUpfrontCosts({ deposit, sdlt, fees }) {
+  const totalFees = Object.values(fees).reduce(
+    (sum, fee) => sum + (fee > 0 ? fee : 0),
+    0
+  );
+  return {
+    deposit,
+    sdlt,
+    totalFees,
+    totalCash: deposit + sdlt + totalFees,
+  };
+}
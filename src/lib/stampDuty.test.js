@@ -0,0 +1,55 @@
+import { calculateSdlt, calculateUpfrontCosts } from "./stampDuty";
+
+describe("calculateSdlt", () => {
+  test("uses the standard bands for home movers", () => {
+    // 2% of £125k + 5% of £50k
+    expect(calculateSdlt(300000, "mover").total).toBe(5000);
+    expect(calculateSdlt(125000, "mover").total).toBe(0);
+  });
+
+  test("applies the top bands on expensive homes", () => {
+    // 2,500 + 33,750 + 57,500 + 12% of £500k
+    expect(calculateSdlt(2000000, "mover").total).toBe(153750);
+  });
+
+  test("gives first-time buyer relief up to £500k", () => {
+    const result = calculateSdlt(400000, "first-time");
+    expect(result.reliefApplied).toBe(true);
+    expect(result.total).toBe(5000);
+    expect(calculateSdlt(300000, "first-time").total).toBe(0);
+  });
+
+  test("drops first-time buyer relief above the maximum price", () => {
+    const result = calculateSdlt(550000, "first-time");
+    expect(result.reliefApplied).toBe(false);
+    expect(result.total).toBe(calculateSdlt(550000, "mover").total);
+  });
+
+  test("adds the surcharge to every band for additional properties", () => {
+    const result = calculateSdlt(300000, "additional");
+    expect(result.surcharge).toBe(5);
+    expect(result.total).toBe(5000 + 15000);
+    expect(calculateSdlt(30000, "additional").total).toBe(0);
+  });
+
+  test("reads bands from the rates table it is given", () => {
+    const rates = {
+      standard: [{ upTo: null, rate: 1 }],
+      firstTimeBuyer: { maxPrice: 0, bands: [] },
+      additionalProperty: { surcharge: 0, minPrice: 0 },
+    };
+    expect(calculateSdlt(100000, "mover", rates).total).toBe(1000);
+  });
+});
+
+describe("calculateUpfrontCosts", () => {
+  test("adds deposit, tax and fees", () => {
+    const result = calculateUpfrontCosts({
+      deposit: 30000,
+      sdlt: 5000,
+      fees: { arrangementFee: 999, legalFees: 1500, surveyCost: 0 },
+    });
+    expect(result.totalFees).toBe(2499);
+    expect(result.totalCash).toBe(37499);
+  });
+});
@@ -0,0 +1,99 @@
+// Versioned storage for form snapshots. Each snapshot is saved as
+// `{ version, formData }` and migrated step by step on load, so older saves
+// keep working as fields are added, renamed or restructured.
+import { createScenario, legacyScenarios } from "./scenarios";
+
+// Bump this and add a migration below whenever the form's shape changes
+export const FORM_VERSION = 2;
+
+// MIGRATIONS[n] upgrades form data from version n - 1 to version n
+const MIGRATIONS = {
+  // Version 0 was saved unversioned, with one comparison rate ("Scenario B")
+  // and its fees instead of a list of scenarios
+  1: ({
+    interestRateB,
+    arrangementFeeB,
+    feeAddedToLoanB,
+    cashbackB,
+    ...formData
+  }) => ({
+    ...formData,
+    scenarios: legacyScenarios({
+      ...formData,
+      interestRateB,
+      arrangementFeeB,
+      feeAddedToLoanB,
+      cashbackB,
+    }),
+  }),
+  // Version 2 added months to the term, which each scenario has too
+  2: (formData) => ({
+    ...formData,
+    scenarios: Array.isArray(formData.scenarios)
+      ? formData.scenarios.map((scenario) =>
+          isPlainObject(scenario)
+            ? { ...scenario, termExtraMonths: scenario.termExtraMonths || "" }
+            : scenario
+        )
+      : formData.scenarios,
+  }),
+};
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Keep only the fields the form knows about, with the same kind of value as
+// their default (string, boolean or list). Anything else falls back to the
+// default rather than breaking the calculator.
+export function sanitiseForm(formData, emptyForm) {
+  const clean = {};
+  Object.keys(emptyForm).forEach((name) => {
+    const fallback = emptyForm[name];
+    const value = formData[name];
+    if (Array.isArray(fallback)) {
+      clean[name] = Array.isArray(value) ? value.filter(isPlainObject) : [];
+    } else {
+      clean[name] = typeof value === typeof fallback ? value : fallback;
+    }
+  });
+  return clean;
+}
+
+// Each comparison scenario is checked the same way, against what a new
+// scenario copied from the empty form would hold, so missing inputs are
+// filled in rather than left undefined
+function sanitiseScenarios(scenarios, emptyForm) {
+  return scenarios.reduce(
+    (clean, scenario) => [
+      ...clean,
+      sanitiseForm(scenario, createScenario(emptyForm, clean)),
+    ],
+    []
+  );
+}
+
+// `stored` is a parsed snapshot – either `{ version, formData }` or, from
+// before versioning, the bare form data. Snapshots from a newer version than
+// this code knows about are used as they are.
+export function migrateFormData(stored, emptyForm) {
+  if (!isPlainObject(stored)) return emptyForm;
+  const versioned =
+    Number.isInteger(stored.version) && isPlainObject(stored.formData);
+  let version = versioned ? stored.version : 0;
+  let formData = versioned ? stored.formData : stored;
+
+  while (version < FORM_VERSION) {
+    version += 1;
+    formData = MIGRATIONS[version]({ ...emptyForm, ...formData });
+  }
+  const clean = sanitiseForm(formData, emptyForm);
+  return {
+    ...clean,
+    scenarios: sanitiseScenarios(clean.scenarios, emptyForm),
+  };
+}
+
+export function versionFormData(formData) {
+  return { version: FORM_VERSION, formData };
+}
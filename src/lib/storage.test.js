@@ -0,0 +1,102 @@
+import { FORM_VERSION, migrateFormData, versionFormData } from "./storage";
+
+const emptyForm = {
+  propertyPrice: "",
+  interestRate: "",
+  term: "",
+  termExtraMonths: "",
+  deposit: "",
+  repaymentType: "repayment",
+  interestOnlyPart: "",
+  arrangementFee: "",
+  feeAddedToLoan: false,
+  cashback: "",
+  lumpSums: [],
+  scenarios: [],
+};
+
+describe("migrateFormData", () => {
+  test("upgrades an unversioned save with a Scenario B rate", () => {
+    const form = migrateFormData(
+      {
+        propertyPrice: "250,000",
+        interestRate: "4.5",
+        term: "25",
+        interestRateB: "5.1",
+        cashbackB: "500",
+      },
+      emptyForm
+    );
+    expect(form.propertyPrice).toBe("250,000");
+    expect(form).not.toHaveProperty("interestRateB");
+    expect(form.scenarios).toHaveLength(1);
+    expect(form.scenarios[0]).toMatchObject({
+      name: "Scenario B",
+      interestRate: "5.1",
+      term: "25",
+      cashback: "500",
+    });
+  });
+
+  test("gives version 1 scenarios no extra months on the term", () => {
+    const form = migrateFormData(
+      { version: 1, formData: { ...emptyForm, scenarios: [{ id: 1 }] } },
+      emptyForm
+    );
+    expect(form.scenarios[0]).toMatchObject({ id: 1, termExtraMonths: "" });
+  });
+
+  test("round-trips the current version unchanged", () => {
+    const form = { ...emptyForm, propertyPrice: "300,000", lumpSums: [] };
+    expect(migrateFormData(versionFormData(form), emptyForm)).toEqual(form);
+    expect(versionFormData(form).version).toBe(FORM_VERSION);
+  });
+
+  test("replaces values of the wrong kind and drops unknown fields", () => {
+    const form = migrateFormData(
+      versionFormData({
+        propertyPrice: 250000,
+        feeAddedToLoan: "yes",
+        lumpSums: "none",
+        scenarios: [{ id: 1, name: "Mine" }, null, "x"],
+        somethingElse: "?",
+      }),
+      emptyForm
+    );
+    expect(form).toEqual({
+      ...emptyForm,
+      scenarios: [expect.objectContaining({ id: 1, name: "Mine" })],
+    });
+  });
+
+  test("fills in scenarios with missing or broken inputs", () => {
+    const form = migrateFormData(
+      versionFormData({
+        ...emptyForm,
+        scenarios: [{ id: 1, interestRate: "5.1", term: null }, {}],
+      }),
+      emptyForm
+    );
+    expect(form.scenarios).toEqual([
+      {
+        id: 1,
+        name: "Scenario B",
+        interestRate: "5.1",
+        term: "",
+        termExtraMonths: "",
+        deposit: "",
+        repaymentType: "repayment",
+        interestOnlyPart: "",
+        arrangementFee: "",
+        feeAddedToLoan: false,
+        cashback: "",
+      },
+      expect.objectContaining({ id: 2, name: "Scenario C", interestRate: "" }),
+    ]);
+  });
+
+  test("falls back to the empty form for unreadable data", () => {
+    expect(migrateFormData(null, emptyForm)).toBe(emptyForm);
+    expect(migrateFormData([1, 2], emptyForm)).toBe(emptyForm);
+  });
+});
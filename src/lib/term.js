@@ -0,0 +1,69 @@
+// Loan terms entered as whole years plus months, and the lender's age limit:
+// most lenders want the mortgage repaid by the time the oldest applicant
+// reaches a maximum age, usually 70 or 75.
+import { parseNumber, parseNumberInput } from "./format";
+import { termToMonths } from "./mortgage";
+
+export const MAX_AGE_OPTIONS = [70, 75];
+export const DEFAULT_MAX_AGE = 75;
+
+// Youngest and oldest age accepted for an applicant
+export const MIN_AGE = 18;
+export const MAX_AGE = 99;
+
+export function extraMonthsValid(months) {
+  return Number.isInteger(months) && months >= 0 && months <= 11;
+}
+
+export function ageValid(age) {
+  return Number.isInteger(age) && age >= MIN_AGE && age <= MAX_AGE;
+}
+
+export const WHOLE_YEARS_MESSAGE =
+  "Please enter whole years when adding months, e.g. 25 years and 6 months.";
+
+// A fraction of a year can't be mixed with extra months (25.5 years plus 6
+// months would quietly become 26 years), so with months the years must be
+// whole. Years that aren't a number are left to the term's own check.
+export function termYearsWhole({ term, termExtraMonths = "" }) {
+  const years = parseNumberInput(term);
+  return (
+    !(parseNumber(termExtraMonths) > 0) ||
+    isNaN(years) ||
+    Number.isInteger(years)
+  );
+}
+
+// Term in years from the form's `term` (years, possibly fractional, e.g.
+// 25.5) and `termExtraMonths`, e.g. 25 years and 6 months -> 25.5
+export function termYearsFor({ term, termExtraMonths = "" }) {
+  return parseNumber(term) + parseNumber(termExtraMonths) / 12;
+}
+
+// Form values for a term of `months`, e.g. 306 -> "25" years and "6" months.
+// No months are left blank, as the form leaves them.
+export function termFields(months) {
+  const rest = months % 12;
+  return {
+    term: String(Math.floor(months / 12)),
+    termExtraMonths: rest ? String(rest) : "",
+  };
+}
+
+// Whether a term of `termMonths` ends before the oldest applicant reaches
+// `maxAge`. Blank ages (0) are ignored, so with no ages there's nothing to
+// check and the result is null. `maxTermMonths` is the longest term the
+// lender would allow.
+export function ageLimitCheck(ages, termMonths, maxAge = DEFAULT_MAX_AGE) {
+  const known = ages.filter((age) => age > 0);
+  if (known.length === 0 || !(termMonths > 0)) return null;
+  const oldest = Math.max(...known);
+  const maxTermMonths = Math.max(termToMonths(maxAge - oldest), 0);
+  return {
+    oldest,
+    maxAge,
+    ageAtEnd: oldest + termMonths / 12,
+    maxTermMonths,
+    withinLimit: termMonths <= maxTermMonths,
+  };
+}
@@ -0,0 +1,60 @@
+import {
+  ageLimitCheck,
+  ageValid,
+  extraMonthsValid,
+  termFields,
+  termYearsFor,
+  termYearsWhole,
+} from "./term";
+
+describe("term in years and months", () => {
+  test("adds the extra months to the years", () => {
+    expect(termYearsFor({ term: "25", termExtraMonths: "6" })).toBe(25.5);
+    expect(termYearsFor({ term: "30.5", termExtraMonths: "" })).toBe(30.5);
+    expect(termYearsFor({ term: "25" })).toBe(25);
+  });
+
+  test("only allows a fraction of a year without extra months", () => {
+    expect(termYearsWhole({ term: "25.5", termExtraMonths: "" })).toBe(true);
+    expect(termYearsWhole({ term: "25", termExtraMonths: "6" })).toBe(true);
+    expect(termYearsWhole({ term: "25.5", termExtraMonths: "6" })).toBe(false);
+    expect(termYearsWhole({ term: "", termExtraMonths: "6" })).toBe(true);
+  });
+
+  test("splits months back into form values", () => {
+    expect(termFields(306)).toEqual({ term: "25", termExtraMonths: "6" });
+    expect(termFields(300)).toEqual({ term: "25", termExtraMonths: "" });
+  });
+
+  test("checks extra months and ages are whole numbers in range", () => {
+    expect(extraMonthsValid(11)).toBe(true);
+    expect(extraMonthsValid(12)).toBe(false);
+    expect(extraMonthsValid(1.5)).toBe(false);
+    expect(ageValid(35)).toBe(true);
+    expect(ageValid(17)).toBe(false);
+    expect(ageValid(35.5)).toBe(false);
+  });
+});
+
+describe("ageLimitCheck", () => {
+  test("goes by the oldest applicant", () => {
+    const check = ageLimitCheck([35, 40], 300, 75);
+    expect(check.oldest).toBe(40);
+    expect(check.ageAtEnd).toBe(65);
+    expect(check.withinLimit).toBe(true);
+    expect(check.maxTermMonths).toBe(420);
+  });
+
+  test("suggests the longest term when the term runs past the limit", () => {
+    const check = ageLimitCheck([48, 0], 360, 70);
+    expect(check.ageAtEnd).toBe(78);
+    expect(check.withinLimit).toBe(false);
+    expect(check.maxTermMonths).toBe(264);
+  });
+
+  test("has nothing to check without an age or a term", () => {
+    expect(ageLimitCheck([0, 0], 300)).toBeNull();
+    expect(ageLimitCheck([35], 0)).toBeNull();
+    expect(ageLimitCheck([80], 120, 75).maxTermMonths).toBe(0);
+  });
+});
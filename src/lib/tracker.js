@@ -0,0 +1,70 @@
+// Tracker mortgages: the rate is the Bank of England base rate plus a set
+// margin, so it moves whenever the base rate does. A collar is a minimum
+// rate the lender charges however far the base rate falls.
+import { fieldValid } from "./validation";
+import { summarisePhases } from "./ratePhases";
+
+// Rate paid for a given base rate – never below the collar (if any) or 0%.
+// Rounded so sums like 4.1 + 1.2 don't show as 5.300000000000001%.
+export function trackerRate(baseRate, margin, collar = 0) {
+  const rate = Math.round((baseRate + margin) * 10000) / 10000;
+  return Math.max(rate, collar > 0 ? collar : 0);
+}
+
+// The form's `[{ year, rate }]` base-rate path as `[{ month, baseRate }]`
+// steps, skipping incomplete or invalid rows. Year 1 is today's base rate, so
+// the path starts from year 2; a later row for the same year wins.
+export function baseRateSteps(basePath, termYears) {
+  const byMonth = {};
+  (basePath || []).forEach(({ year, rate }) => {
+    const yearNum = Number(String(year).trim());
+    const rateText = String(rate).trim();
+    if (
+      Number.isInteger(yearNum) &&
+      yearNum >= 2 &&
+      yearNum <= termYears &&
+      /^\d+(\.\d+)?$/.test(rateText) &&
+      fieldValid("baseRate", rateText)
+    ) {
+      byMonth[(yearNum - 1) * 12 + 1] = Number(rateText);
+    }
+  });
+  return Object.keys(byMonth)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map((month) => ({ month, baseRate: byMonth[month] }));
+}
+
+// Starting rate and rate changes for a tracker, in the `{ annualRate,
+// rateChanges }` shape buildSchedule expects. `steps` come from
+// baseRateSteps; each base-rate change moves the rate paid by the same
+// amount, until it hits the collar.
+export function trackerRates({ baseRate, margin, collar, steps = [] }) {
+  return {
+    annualRate: trackerRate(baseRate, margin, collar),
+    rateChanges: steps.map((step) => ({
+      month: step.month,
+      annualRate: trackerRate(step.baseRate, margin, collar),
+    })),
+  };
+}
+
+// Lowest and highest regular payment over the schedule, and the average rate
+// weighted by the balance it was charged on (so a high rate late in the term,
+// on a smaller balance, counts for less).
+export function trackerSummary(schedule) {
+  if (schedule.length === 0) return null;
+  const payments = summarisePhases(schedule).map(({ payment }) => payment);
+  let weighted = 0;
+  let balances = 0;
+  schedule.forEach((row) => {
+    const opening = row.balance + row.principal + row.overpayment;
+    weighted += row.rate * opening;
+    balances += opening;
+  });
+  return {
+    minPayment: Math.min(...payments),
+    maxPayment: Math.max(...payments),
+    averageRate: balances > 0 ? weighted / balances : schedule[0].rate,
+  };
+}
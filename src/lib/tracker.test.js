@@ -0,0 +1,82 @@
+import {
+  baseRateSteps,
+  trackerRate,
+  trackerRates,
+  trackerSummary,
+} from "./tracker";
+import { calculateMortgage, monthlyPayment } from "./mortgage";
+
+describe("trackerRate", () => {
+  test("adds the margin to the base rate", () => {
+    expect(trackerRate(4.1, 1.2)).toBe(5.3);
+  });
+
+  test("never goes below the collar", () => {
+    expect(trackerRate(0.1, 1, 2.5)).toBe(2.5);
+    expect(trackerRate(4, 1, 2.5)).toBe(5);
+  });
+});
+
+describe("baseRateSteps", () => {
+  test("turns years into months and skips rows that aren't valid", () => {
+    expect(
+      baseRateSteps(
+        [
+          { year: "3", rate: "3.5" },
+          { year: "2", rate: "4.5" },
+          { year: "1", rate: "9" },
+          { year: "30", rate: "3" },
+          { year: "4", rate: "" },
+          { year: "5", rate: "abc" },
+        ],
+        25
+      )
+    ).toEqual([
+      { month: 13, baseRate: 4.5 },
+      { month: 25, baseRate: 3.5 },
+    ]);
+  });
+});
+
+describe("trackerRates", () => {
+  test("moves the rate with the base rate, down to the collar", () => {
+    expect(
+      trackerRates({
+        baseRate: 4,
+        margin: 0.75,
+        collar: 3,
+        steps: [
+          { month: 13, baseRate: 5 },
+          { month: 25, baseRate: 1 },
+        ],
+      })
+    ).toEqual({
+      annualRate: 4.75,
+      rateChanges: [
+        { month: 13, annualRate: 5.75 },
+        { month: 25, annualRate: 3 },
+      ],
+    });
+  });
+});
+
+describe("trackerSummary", () => {
+  test("gives the payment range and a balance-weighted average rate", () => {
+    const { schedule } = calculateMortgage({
+      loanAmount: 200000,
+      annualRate: 5,
+      termYears: 25,
+      rateChanges: [{ month: 13, annualRate: 6 }],
+    });
+    const summary = trackerSummary(schedule);
+    expect(summary.minPayment).toBeCloseTo(monthlyPayment(200000, 5, 300), 6);
+    expect(summary.maxPayment).toBeGreaterThan(summary.minPayment);
+    // Mostly at 6%, but the first year at 5% is on the largest balance
+    expect(summary.averageRate).toBeGreaterThan(5.9);
+    expect(summary.averageRate).toBeLessThan(6);
+  });
+
+  test("is null without a schedule", () => {
+    expect(trackerSummary([])).toBeNull();
+  });
+});
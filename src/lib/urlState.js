@@ -0,0 +1,310 @@
+// Calculator state in the URL query string, so a calculation can be shared
+// or bookmarked. Links only carry the inputs that differ from the defaults,
+// with short readable names, e.g.
+//   ?step=results&price=250000&deposit=25000&term=25&rate=4.5
+// Anything read back from a URL is untrusted: each value is checked against
+// its field's type and dropped if it doesn't fit.
+import { FIXED_PERIOD_OPTIONS } from "./ratePhases";
+import { BUYER_TYPES } from "./stampDuty";
+import { MAX_SCENARIOS, SCENARIO_FIELDS } from "./scenarios";
+import { rateChangeValid } from "./sensitivity";
+import { OFFSET_MODES } from "./offset";
+import { ICR_OPTIONS } from "./buyToLet";
+import { MAX_AGE, MAX_AGE_OPTIONS, MIN_AGE } from "./term";
+import { parseNumberInput } from "./format";
+
+// Longest term, lump-sum month and scenario name accepted from a link
+const MAX_TERM_YEARS = 50;
+const MAX_LUMP_SUMS = 24;
+const MAX_RATE_STEPS = 24;
+const MAX_BASE_STEPS = MAX_TERM_YEARS;
+const MAX_NAME_LENGTH = 40;
+
+// Number (as the form accepts it, e.g. "250,000" or "250k") within
+// [min, max], as a clean string
+function numberIn(value, min, max) {
+  const num = parseNumberInput(value);
+  return num >= min && num <= max ? String(num) : null;
+}
+
+// As numberIn, for whole numbers only (months, ages)
+function wholeNumberIn(value, min, max) {
+  const cleaned = numberIn(value, min, max);
+  return cleaned !== null && Number.isInteger(Number(cleaned)) ? cleaned : null;
+}
+
+// Rate path step in percentage points – may be negative, e.g. "-0.5"
+function rateChange(value) {
+  const text = String(value).trim();
+  return text !== "" && rateChangeValid(text) ? String(Number(text)) : null;
+}
+
+// Each type checks a raw value and returns the string stored in the URL, or
+// null if the value isn't acceptable. `toForm` turns it back into what the
+// form would hold.
+const TYPES = {
+  amount: {
+    clean: (value) => numberIn(value, 0, 1e9),
+    toForm: (value) =>
+      Number(value).toLocaleString("en-GB", { maximumFractionDigits: 2 }),
+  },
+  rate: { clean: (value) => numberIn(value, 0, 100) },
+  years: { clean: (value) => numberIn(value, 0, MAX_TERM_YEARS) },
+  months: { clean: (value) => wholeNumberIn(value, 0, 11) },
+  age: { clean: (value) => wholeNumberIn(value, MIN_AGE, MAX_AGE) },
+  multiple: { clean: (value) => numberIn(value, 0, 20) },
+  flag: {
+    clean: (value) => (value === true || value === "1" ? "1" : null),
+    toForm: () => true,
+  },
+};
+
+function oneOf(values) {
+  return { clean: (value) => (values.includes(value) ? value : null) };
+}
+
+const REPAYMENT_TYPE = oneOf(["repayment", "interest-only", "part-and-part"]);
+
+// URL parameter -> form field
+const FIELDS = [
+  {
+    param: "mode",
+    name: "calculatorMode",
+    type: oneOf(["payment", "borrow", "term", "remortgage", "btl"]),
+  },
+  { param: "target", name: "targetPayment", type: TYPES.amount },
+  { param: "price", name: "propertyPrice", type: TYPES.amount },
+  { param: "deposit", name: "deposit", type: TYPES.amount },
+  { param: "income", name: "income", type: TYPES.amount },
+  { param: "income2", name: "secondIncome", type: TYPES.amount },
+  { param: "term", name: "term", type: TYPES.years },
+  { param: "months", name: "termExtraMonths", type: TYPES.months },
+  { param: "age", name: "applicantAge", type: TYPES.age },
+  { param: "age2", name: "secondApplicantAge", type: TYPES.age },
+  {
+    param: "maxage",
+    name: "maxAgeAtEnd",
+    type: oneOf(MAX_AGE_OPTIONS.map(String)),
+  },
+  { param: "so", name: "sharedOwnership", type: TYPES.flag },
+  { param: "share", name: "ownershipShare", type: TYPES.rate },
+  { param: "rent", name: "rentRate", type: TYPES.rate },
+  { param: "service", name: "serviceCharge", type: TYPES.amount },
+  { param: "stair", name: "staircaseShare", type: TYPES.rate },
+  { param: "stairyear", name: "staircaseYear", type: TYPES.years },
+  { param: "growth", name: "priceGrowth", type: TYPES.rate },
+  {
+    param: "type",
+    name: "mortgageType",
+    type: oneOf(["fixed", "variable", "tracker"]),
+  },
+  {
+    param: "fixed",
+    name: "fixedPeriod",
+    type: oneOf(FIXED_PERIOD_OPTIONS.map(String)),
+  },
+  { param: "svr", name: "reversionRate", type: TYPES.rate },
+  { param: "rate", name: "interestRate", type: TYPES.rate },
+  { param: "base", name: "baseRate", type: TYPES.rate },
+  { param: "collar", name: "trackerCollar", type: TYPES.rate },
+  { param: "repay", name: "repaymentType", type: REPAYMENT_TYPE },
+  { param: "io", name: "interestOnlyPart", type: TYPES.amount },
+  { param: "fee", name: "arrangementFee", type: TYPES.amount },
+  { param: "feeadded", name: "feeAddedToLoan", type: TYPES.flag },
+  { param: "cashback", name: "cashback", type: TYPES.amount },
+  { param: "overpay", name: "monthlyOverpayment", type: TYPES.amount },
+  { param: "allowance", name: "overpaymentAllowance", type: TYPES.rate },
+  { param: "offset", name: "offsetSavings", type: TYPES.amount },
+  { param: "offsetadd", name: "offsetContribution", type: TYPES.amount },
+  {
+    param: "offsetmode",
+    name: "offsetMode",
+    type: oneOf(OFFSET_MODES),
+  },
+  { param: "multiple", name: "incomeMultiple", type: TYPES.multiple },
+  { param: "stress", name: "stressBuffer", type: TYPES.rate },
+  { param: "budget", name: "includeBudget", type: TYPES.flag },
+  { param: "takehome", name: "takeHomePay", type: TYPES.amount },
+  { param: "loans", name: "loanRepayments", type: TYPES.amount },
+  { param: "cards", name: "creditCardPayments", type: TYPES.amount },
+  { param: "childcare", name: "childcareCosts", type: TYPES.amount },
+  { param: "bills", name: "householdBills", type: TYPES.amount },
+  {
+    param: "buyer",
+    name: "buyerType",
+    type: oneOf(BUYER_TYPES.map(({ value }) => value)),
+  },
+  { param: "valuation", name: "valuationFee", type: TYPES.amount },
+  { param: "legal", name: "legalFees", type: TYPES.amount },
+  { param: "survey", name: "surveyCost", type: TYPES.amount },
+  { param: "balance", name: "currentBalance", type: TYPES.amount },
+  { param: "left", name: "remainingTerm", type: TYPES.years },
+  { param: "currate", name: "currentRate", type: TYPES.rate },
+  { param: "dealleft", name: "currentDealMonths", type: TYPES.amount },
+  { param: "cursvr", name: "svrRate", type: TYPES.rate },
+  { param: "erc", name: "earlyRepaymentCharge", type: TYPES.amount },
+  { param: "worth", name: "propertyValuation", type: TYPES.amount },
+  { param: "letrent", name: "monthlyRent", type: TYPES.amount },
+  { param: "letcosts", name: "lettingCosts", type: TYPES.amount },
+  {
+    param: "icr",
+    name: "icrRatio",
+    type: oneOf(ICR_OPTIONS.map(({ value }) => value)),
+  },
+  { param: "btlstress", name: "btlStressRate", type: TYPES.rate },
+];
+
+// Types of the scenario fields, in the order they appear in a `scenario`
+// parameter (after the name), separated by "_" – one of the few characters
+// URLs don't need to escape
+const SCENARIO_TYPES = {
+  interestRate: TYPES.rate,
+  term: TYPES.years,
+  deposit: TYPES.amount,
+  repaymentType: REPAYMENT_TYPE,
+  interestOnlyPart: TYPES.amount,
+  arrangementFee: TYPES.amount,
+  feeAddedToLoan: TYPES.flag,
+  cashback: TYPES.amount,
+  termExtraMonths: TYPES.months,
+};
+
+function toForm(type, value) {
+  return type.toForm ? type.toForm(value) : value;
+}
+
+function cleanName(name) {
+  return String(name).replace(/_/g, " ").trim().slice(0, MAX_NAME_LENGTH);
+}
+
+// Defaults are left blank and trailing blanks dropped, as in the main form
+function encodeScenario(scenario, emptyForm) {
+  return [
+    cleanName(scenario.name),
+    ...SCENARIO_FIELDS.map((field) =>
+      scenario[field] === emptyForm[field]
+        ? ""
+        : SCENARIO_TYPES[field].clean(scenario[field]) || ""
+    ),
+  ]
+    .join("_")
+    .replace(/_+$/, "");
+}
+
+function decodeScenario(value, id, emptyForm) {
+  const [name, ...parts] = value.split("_");
+  const scenario = { id, name: cleanName(name) || `Scenario ${id}` };
+  SCENARIO_FIELDS.forEach((field, i) => {
+    const type = SCENARIO_TYPES[field];
+    const cleaned = parts[i] !== undefined ? type.clean(parts[i]) : null;
+    scenario[field] = cleaned ? toForm(type, cleaned) : emptyForm[field];
+  });
+  return scenario;
+}
+
+// Query string (without "?") for the form and current step. Blank, invalid
+// and default values are left out to keep links short.
+export function encodeUrlState(formData, stepId, emptyForm) {
+  const params = new URLSearchParams();
+  params.set("step", stepId);
+
+  FIELDS.forEach(({ param, name, type }) => {
+    const value = formData[name];
+    if (value === "" || value === emptyForm[name]) return;
+    const cleaned = type.clean(value);
+    if (cleaned !== null) params.set(param, cleaned);
+  });
+
+  (formData.lumpSums || []).forEach((lump) => {
+    const month = numberIn(lump.month, 1, MAX_TERM_YEARS * 12);
+    const amount = TYPES.amount.clean(lump.amount);
+    if (month && amount) params.append("lump", `${month}:${amount}`);
+  });
+
+  (formData.ratePath || []).forEach((step) => {
+    const year = numberIn(step.year, 1, MAX_TERM_YEARS);
+    const change = rateChange(step.change);
+    if (year && change) params.append("path", `${year}:${change}`);
+  });
+
+  (formData.baseRatePath || []).forEach((step) => {
+    const year = numberIn(step.year, 2, MAX_TERM_YEARS);
+    const rate = TYPES.rate.clean(step.rate);
+    if (year && rate) params.append("basepath", `${year}:${rate}`);
+  });
+
+  (formData.scenarios || []).forEach((scenario) => {
+    params.append("scenario", encodeScenario(scenario, emptyForm));
+  });
+
+  return params.toString();
+}
+
+// Read the state back from `search` (e.g. window.location.search).
+// `formData` holds only the fields found in the URL, or is null if the URL
+// has no calculator inputs at all. `stepId` is null if missing.
+export function decodeUrlState(search, emptyForm) {
+  const params = new URLSearchParams(search);
+  const formData = {};
+
+  FIELDS.forEach(({ param, name, type }) => {
+    if (!params.has(param)) return;
+    const cleaned = type.clean(params.get(param));
+    if (cleaned !== null) formData[name] = toForm(type, cleaned);
+  });
+
+  const lumpSums = params
+    .getAll("lump")
+    .slice(0, MAX_LUMP_SUMS)
+    .map((value) => {
+      const [month, amount] = value.split(":");
+      return {
+        month: numberIn(month, 1, MAX_TERM_YEARS * 12),
+        amount: TYPES.amount.clean(amount || ""),
+      };
+    })
+    .filter(({ month, amount }) => month && amount)
+    .map(({ month, amount }) => ({
+      month,
+      amount: TYPES.amount.toForm(amount),
+    }));
+  if (lumpSums.length > 0) formData.lumpSums = lumpSums;
+
+  const ratePath = params
+    .getAll("path")
+    .slice(0, MAX_RATE_STEPS)
+    .map((value) => {
+      const [year, change] = value.split(":");
+      return {
+        year: numberIn(year, 1, MAX_TERM_YEARS),
+        change: rateChange(change || ""),
+      };
+    })
+    .filter(({ year, change }) => year && change);
+  if (ratePath.length > 0) formData.ratePath = ratePath;
+
+  const baseRatePath = params
+    .getAll("basepath")
+    .slice(0, MAX_BASE_STEPS)
+    .map((value) => {
+      const [year, rate] = value.split(":");
+      return {
+        year: numberIn(year, 2, MAX_TERM_YEARS),
+        rate: TYPES.rate.clean(rate || ""),
+      };
+    })
+    .filter(({ year, rate }) => year && rate);
+  if (baseRatePath.length > 0) formData.baseRatePath = baseRatePath;
+
+  const scenarios = params
+    .getAll("scenario")
+    .slice(0, MAX_SCENARIOS - 1)
+    .map((value, index) => decodeScenario(value, index + 1, emptyForm));
+  if (scenarios.length > 0) formData.scenarios = scenarios;
+
+  const stepId = params.get("step");
+  return {
+    formData: Object.keys(formData).length > 0 ? formData : null,
+    stepId: /^[a-z-]+$/.test(stepId || "") ? stepId : null,
+  };
+}
@@ -0,0 +1,181 @@
+import { decodeUrlState, encodeUrlState } from "./urlState";
+
+const emptyForm = {
+  calculatorMode: "payment",
+  targetPayment: "",
+  propertyPrice: "",
+  deposit: "",
+  term: "",
+  mortgageType: "fixed",
+  interestRate: "",
+  repaymentType: "repayment",
+  interestOnlyPart: "",
+  arrangementFee: "",
+  feeAddedToLoan: false,
+  cashback: "",
+  buyerType: "mover",
+  lumpSums: [],
+  ratePath: [],
+  scenarios: [],
+};
+
+describe("encodeUrlState", () => {
+  test("keeps only non-default values, without commas", () => {
+    const search = encodeUrlState(
+      {
+        ...emptyForm,
+        propertyPrice: "250,000",
+        deposit: "0",
+        term: "25",
+        interestRate: "4.5",
+        feeAddedToLoan: true,
+      },
+      "results",
+      emptyForm
+    );
+    expect(search).toBe(
+      "step=results&price=250000&deposit=0&term=25&rate=4.5&feeadded=1"
+    );
+  });
+
+  test("leaves out values the form wouldn't accept", () => {
+    const search = encodeUrlState(
+      { ...emptyForm, propertyPrice: "lots", interestRate: "-1" },
+      "details",
+      emptyForm
+    );
+    expect(search).toBe("step=details");
+  });
+});
+
+describe("decodeUrlState", () => {
+  test("reads the reverse calculator's mode and target payment", () => {
+    const { formData } = decodeUrlState(
+      "?mode=borrow&target=1200&mode=nonsense",
+      emptyForm
+    );
+    expect(formData).toEqual({
+      calculatorMode: "borrow",
+      targetPayment: "1,200",
+    });
+    expect(decodeUrlState("?mode=other", emptyForm).formData).toBeNull();
+  });
+
+  test("round-trips the form, lump sums, rate path and scenarios", () => {
+    const form = {
+      ...emptyForm,
+      propertyPrice: "250,000",
+      term: "25",
+      interestRate: "4.5",
+      repaymentType: "part-and-part",
+      interestOnlyPart: "50,000",
+      lumpSums: [{ month: "12", amount: "5,000" }],
+      ratePath: [{ year: "2", change: "-0.5" }],
+      scenarios: [
+        {
+          ...emptyForm,
+          id: 4,
+          name: "Lower_fee",
+          interestRate: "4.9",
+          term: "30",
+          deposit: "25,000",
+          arrangementFee: "0",
+        },
+      ],
+    };
+    const search = encodeUrlState(form, "results", emptyForm);
+    expect(search).toContain("scenario=Lower+fee_4.9_30_25000___0");
+    const { formData, stepId } = decodeUrlState(`?${search}`, emptyForm);
+    expect(stepId).toBe("results");
+    expect(formData).toEqual({
+      propertyPrice: "250,000",
+      term: "25",
+      interestRate: "4.5",
+      repaymentType: "part-and-part",
+      interestOnlyPart: "50,000",
+      lumpSums: [{ month: "12", amount: "5,000" }],
+      ratePath: [{ year: "2", change: "-0.5" }],
+      scenarios: [
+        {
+          id: 1,
+          name: "Lower fee",
+          interestRate: "4.9",
+          term: "30",
+          deposit: "25,000",
+          repaymentType: "repayment",
+          interestOnlyPart: "",
+          arrangementFee: "0",
+          feeAddedToLoan: false,
+          cashback: "",
+        },
+      ],
+    });
+  });
+
+  test("reads the term's extra months, the ages and the lender's maximum age", () => {
+    const { formData } = decodeUrlState(
+      "?term=25&months=6&age=40&age2=17&maxage=70",
+      emptyForm
+    );
+    expect(formData).toEqual({
+      term: "25",
+      termExtraMonths: "6",
+      applicantAge: "40",
+      maxAgeAtEnd: "70",
+    });
+    expect(
+      decodeUrlState("?months=12&maxage=72", emptyForm).formData
+    ).toBeNull();
+  });
+
+  test("drops untrusted values that don't fit their field", () => {
+    const { formData, stepId } = decodeUrlState(
+      "?step=<script>&price=1e99&term=500&rate=4.5abc&type=capped" +
+        "&buyer=first-time&lump=0:100&lump=6:-5&deposit=10000" +
+        "&path=0:1&path=3:abc&path=2:99",
+      emptyForm
+    );
+    expect(stepId).toBeNull();
+    expect(formData).toEqual({ buyerType: "first-time", deposit: "10,000" });
+  });
+
+  test("round-trips a tracker's base rate, collar and base-rate path", () => {
+    const form = {
+      ...emptyForm,
+      mortgageType: "tracker",
+      interestRate: "0.75",
+      baseRate: "4",
+      trackerCollar: "3",
+      baseRatePath: [
+        { year: "2", rate: "3.5" },
+        { year: "1", rate: "2" },
+      ],
+    };
+    const search = encodeUrlState(form, "results", emptyForm);
+    expect(search).toContain("basepath=2%3A3.5");
+    expect(decodeUrlState(`?${search}`, emptyForm).formData).toEqual({
+      mortgageType: "tracker",
+      interestRate: "0.75",
+      baseRate: "4",
+      trackerCollar: "3",
+      baseRatePath: [{ year: "2", rate: "3.5" }],
+    });
+  });
+
+  test("caps the number of scenarios", () => {
+    const search = Array.from(
+      { length: 8 },
+      (_, i) => `scenario=S${i}_5`
+    ).join("&");
+    const { formData } = decodeUrlState(search, emptyForm);
+    expect(formData.scenarios).toHaveLength(4);
+  });
+
+  test("has no form data without calculator inputs", () => {
+    expect(decodeUrlState("?step=options", emptyForm)).toEqual({
+      formData: null,
+      stepId: "options",
+    });
+    expect(decodeUrlState("", emptyForm).stepId).toBeNull();
+  });
+});
@@ -0,0 +1,197 @@
+// Rules for the form's number fields, shared by the inline checks in the
+// form and by anything else that accepts form values (e.g. file imports).
+// Blank fields are allowed here; whether a field is required is up to the
+// step that uses it.
+import { parseNumberInput } from "./format";
+import { MAX_SHARE, MIN_SHARE, shareValid } from "./sharedOwnership";
+import { MAX_AGE, MIN_AGE, ageValid, extraMonthsValid } from "./term";
+
+const positive = (num) => num > 0;
+const zeroOrMore = (num) => num >= 0;
+const percentage = (num) => num > 0 && num < 100;
+// The base rate has been as low as 0.1%, so 0 is allowed
+const rate = (num) => num >= 0 && num < 100;
+
+export const FIELD_RULES = {
+  propertyPrice: {
+    valid: positive,
+    message: "Please enter a valid property price greater than 0.",
+  },
+  deposit: {
+    valid: zeroOrMore,
+    message: "Please enter a valid deposit (0 or more).",
+  },
+  income: {
+    valid: positive,
+    message: "Please enter a valid income greater than 0.",
+  },
+  secondIncome: {
+    valid: zeroOrMore,
+    message: "Please enter a valid income, or leave it blank.",
+  },
+  term: {
+    valid: positive,
+    message: "Please enter a valid term in years (greater than 0).",
+  },
+  termExtraMonths: {
+    valid: extraMonthsValid,
+    message: "Please enter a whole number of months from 0 to 11.",
+  },
+  applicantAge: {
+    valid: ageValid,
+    message: `Please enter an age from ${MIN_AGE} to ${MAX_AGE}, or leave it blank.`,
+  },
+  secondApplicantAge: {
+    valid: ageValid,
+    message: `Please enter an age from ${MIN_AGE} to ${MAX_AGE}, or leave it blank.`,
+  },
+  interestRate: {
+    valid: percentage,
+    message: "Please enter a valid interest rate between 0 and 100.",
+  },
+  reversionRate: {
+    valid: percentage,
+    message: "Please enter a valid follow-on rate between 0 and 100.",
+  },
+  baseRate: {
+    valid: rate,
+    message: "Please enter a valid base rate from 0 up to 100.",
+  },
+  trackerCollar: {
+    valid: percentage,
+    message:
+      "Please enter a valid collar between 0 and 100, or leave it blank.",
+  },
+  interestOnlyPart: {
+    valid: positive,
+    message: "Please enter an amount greater than 0.",
+  },
+  arrangementFee: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  cashback: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  monthlyOverpayment: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  offsetSavings: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  offsetContribution: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  ownershipShare: {
+    valid: shareValid,
+    message: `Please enter a share between ${MIN_SHARE}% and ${MAX_SHARE}%.`,
+  },
+  rentRate: {
+    valid: rate,
+    message: "Please enter a valid rent rate from 0 up to 100.",
+  },
+  serviceCharge: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  staircaseShare: {
+    valid: (num) => num > 0 && num <= 100,
+    message: "Please enter a share up to 100%.",
+  },
+  staircaseYear: {
+    valid: (num) => Number.isInteger(num) && num >= 0,
+    message: "Please enter a whole number of years (0 or more).",
+  },
+  priceGrowth: {
+    valid: rate,
+    message: "Please enter a yearly growth rate from 0 up to 100.",
+  },
+  targetPayment: {
+    valid: positive,
+    message: "Please enter a valid monthly payment greater than 0.",
+  },
+  monthlyRent: {
+    valid: positive,
+    message: "Please enter a valid monthly rent greater than 0.",
+  },
+  lettingCosts: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  btlStressRate: {
+    valid: percentage,
+    message: "Please enter a valid stress rate between 0 and 100.",
+  },
+  currentBalance: {
+    valid: positive,
+    message: "Please enter a valid balance greater than 0.",
+  },
+  remainingTerm: {
+    valid: positive,
+    message: "Please enter a valid term in years (greater than 0).",
+  },
+  currentRate: {
+    valid: percentage,
+    message: "Please enter a valid interest rate between 0 and 100.",
+  },
+  currentDealMonths: {
+    valid: zeroOrMore,
+    message: "Please enter a number of months (0 or more).",
+  },
+  svrRate: {
+    valid: percentage,
+    message: "Please enter a valid SVR between 0 and 100.",
+  },
+  earlyRepaymentCharge: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  propertyValuation: {
+    valid: positive,
+    message: "Please enter a valid property value greater than 0.",
+  },
+  takeHomePay: {
+    valid: positive,
+    message: "Please enter a valid amount greater than 0, or leave it blank.",
+  },
+  loanRepayments: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  creditCardPayments: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  childcareCosts: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  householdBills: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  valuationFee: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  legalFees: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+  surveyCost: {
+    valid: zeroOrMore,
+    message: "Please enter an amount of 0 or more.",
+  },
+};
+
+// True if the field is blank or its value is a number that passes the
+// field's rule. Text that isn't a number (e.g. "abc") never passes.
+export function fieldValid(name, value) {
+  if (value === "") return true;
+  const num = parseNumberInput(value);
+  return !isNaN(num) && FIELD_RULES[name].valid(num);
+}
@@ -0,0 +1,25 @@
+import { fieldValid } from "./validation";
+
+describe("fieldValid", () => {
+  test("allows blank fields", () => {
+    expect(fieldValid("propertyPrice", "")).toBe(true);
+    expect(fieldValid("interestRate", "")).toBe(true);
+  });
+
+  test("applies each field's rule", () => {
+    expect(fieldValid("propertyPrice", "250,000")).toBe(true);
+    expect(fieldValid("propertyPrice", "0")).toBe(false);
+    expect(fieldValid("deposit", "0")).toBe(true);
+    expect(fieldValid("deposit", "-1")).toBe(false);
+    expect(fieldValid("interestRate", "4.5")).toBe(true);
+    expect(fieldValid("interestRate", "100")).toBe(false);
+  });
+
+  test("accepts shorthand and symbols but not other text", () => {
+    expect(fieldValid("propertyPrice", "250k")).toBe(true);
+    expect(fieldValid("propertyPrice", "£250,000")).toBe(true);
+    expect(fieldValid("interestRate", "4.5%")).toBe(true);
+    expect(fieldValid("deposit", "abc")).toBe(false);
+    expect(fieldValid("interestRate", "4.5abc")).toBe(false);
+  });
+});